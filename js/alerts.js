@@ -0,0 +1,496 @@
+// ============================================================
+// GAMBIT HD2 — Alert Rules
+//
+// User-defined rules evaluated after every render against the
+// state of the previous one, so each alert fires on the change
+// ("a gambit just reached FAVORABLE"), not on every refresh
+// while the condition holds:
+//
+//   gambit-tier       — a gambit reaches a risk tier or better
+//   defense-deadline  — a defense drops below N hours left
+//   defense-fall      — a defense is newly projected to fall
+//   new-defense       — a new defense campaign starts
+//
+// Matches fire as browser notifications when permission has
+// been granted, otherwise as in-page toasts. Each match has a
+// key (rule + planet + event) that won't fire twice within
+// ALERT_DEDUPE_MS, even across tabs. Rules can be snoozed one
+// at a time, or all alerts muted / snoozed together.
+//
+// Depends on globals from core.js (state, factionCls,
+// factionLabel), defense.js (projectDefense, defenseHoursLeft)
+// detail.js (openPlanetDetail) and html.js (html).
+// ============================================================
+
+const ALERTS_KEY       = 'gambit-hd2-alerts';
+const ALERTS_FIRED_KEY = 'gambit-hd2-alerts-fired';
+
+const ALERT_DEDUPE_MS = 6 * 3_600_000;
+const ALERT_SNOOZE_MS = 3_600_000;
+const ALERT_TOAST_MS  = 15_000;
+
+// Weakest first, so a higher index is a better tier
+const RISK_TIERS = ['CRITICAL', 'RISKY', 'VIABLE', 'FAVORABLE', 'OPTIMAL'];
+
+const ALERT_FACTIONS = { any: 'ANY FACTION', terminid: 'TERMINIDS', automaton: 'AUTOMATONS', illuminate: 'ILLUMINATE' };
+
+const ALERT_DEFAULTS = {
+  muted:        false,
+  snoozedUntil: 0,
+  rules: [
+    { id: 'default-favorable', type: 'gambit-tier',      enabled: true, params: { tier: 'FAVORABLE' } },
+    { id: 'default-deadline',  type: 'defense-deadline', enabled: true, params: { hours: 2, confirmedOnly: true } },
+    { id: 'default-automaton', type: 'new-defense',      enabled: true, params: { faction: 'automaton' } },
+  ],
+};
+
+const alertConfig = loadAlertConfig();
+
+// Observation from the previous render — null until the first one,
+// which only sets the baseline so a page load doesn't fire everything
+let alertPrev = null;
+
+// ---- Rule Types --------------------------------------------
+// Each type declares its parameters (for the add-rule form), a
+// one-line description, and check(params, cur, prev) → matches.
+// A match is { key, title, body, planet }.
+
+const ALERT_RULE_TYPES = {
+  'gambit-tier': {
+    label:  'Gambit reaches a risk tier',
+    params: { tier: { label: 'Tier or better', options: Object.fromEntries([...RISK_TIERS].reverse().map(t => [t, t])), default: 'FAVORABLE' } },
+    describe: p => `Any gambit reaches ${p.tier} or better`,
+    check(p, cur, prev) {
+      const min = RISK_TIERS.indexOf(p.tier);
+      const out = [];
+      for (const [index, g] of cur.gambits) {
+        const before = prev.gambits.get(index)?.rank ?? -1;
+        if (g.rank < min || before >= min) continue;
+        out.push({
+          key:    `gambit-tier:${index}:${p.tier}`,
+          title:  `GAMBIT ${g.tier}: ${g.name}`,
+          body:   `Success ${g.successPct}${g.confirmed ? ' — confirmed attacker on a defense' : ''}`,
+          planet: index,
+        });
+      }
+      return out;
+    },
+  },
+
+  'defense-deadline': {
+    label:  'Defense drops below a time left',
+    params: {
+      hours:         { label: 'Hours left', type: 'number', min: 0.5, max: 72, step: 0.5, default: 2 },
+      confirmedOnly: { label: 'Only defenses with a confirmed attacker', type: 'checkbox', default: true },
+    },
+    describe: p => `A defense${p.confirmedOnly ? ' connected to a confirmed attacker' : ''} drops below ${p.hours}h`,
+    check(p, cur, prev) {
+      const out = [];
+      for (const [index, d] of cur.defenses) {
+        if (p.confirmedOnly && !d.confirmedAttacker) continue;
+        const before = prev.defenses.get(index)?.hoursLeft ?? Infinity;
+        if (d.hoursLeft >= p.hours || before < p.hours) continue;
+        out.push({
+          key:    `defense-deadline:${index}:${d.eventId}:${p.hours}`,
+          title:  `DEFENSE UNDER ${p.hours}H: ${d.name}`,
+          body:   `${d.hoursLeft.toFixed(1)}h left against the ${d.factionLabel}`,
+          planet: index,
+        });
+      }
+      return out;
+    },
+  },
+
+  'defense-fall': {
+    label:    'Defense projected to fall',
+    params:   {},
+    describe: () => 'A defense is newly projected to fall',
+    check(p, cur, prev) {
+      const out = [];
+      for (const [index, d] of cur.defenses) {
+        if (d.status !== 'fall' || prev.defenses.get(index)?.status === 'fall') continue;
+        out.push({
+          key:    `defense-fall:${index}:${d.eventId}`,
+          title:  `DEFENSE WILL FALL: ${d.name}`,
+          body:   `Integrity runs out in ${d.fallHours.toFixed(1)}h at the current rate`,
+          planet: index,
+        });
+      }
+      return out;
+    },
+  },
+
+  'new-defense': {
+    label:    'New defense campaign',
+    params:   { faction: { label: 'Against', options: ALERT_FACTIONS, default: 'any' } },
+    describe: p => `New defense campaign against ${ALERT_FACTIONS[p.faction] ?? p.faction}`,
+    check(p, cur, prev) {
+      const out = [];
+      for (const [index, d] of cur.defenses) {
+        if (prev.defenses.has(index)) continue;
+        if (p.faction !== 'any' && d.faction !== p.faction) continue;
+        out.push({
+          key:    `new-defense:${index}:${d.eventId}`,
+          title:  `NEW DEFENSE: ${d.name}`,
+          body:   `Under attack by the ${d.factionLabel}`,
+          planet: index,
+        });
+      }
+      return out;
+    },
+  },
+};
+
+// ---- Persistence -------------------------------------------
+
+/** Read persisted alert rules, falling back to the default set. */
+function loadAlertConfig() {
+  try {
+    const stored = JSON.parse(localStorage.getItem(ALERTS_KEY) ?? 'null');
+    return stored ? { ...structuredClone(ALERT_DEFAULTS), ...stored } : structuredClone(ALERT_DEFAULTS);
+  } catch {
+    return structuredClone(ALERT_DEFAULTS);
+  }
+}
+
+function saveAlertConfig() {
+  try {
+    localStorage.setItem(ALERTS_KEY, JSON.stringify(alertConfig));
+  } catch (err) {
+    console.warn('[GAMBIT] Failed to save alert rules:', err);
+  }
+}
+
+/**
+ * Record `key` as fired. Returns false if it already fired within
+ * ALERT_DEDUPE_MS — the log lives in localStorage so other open
+ * tabs see it too.
+ */
+function claimAlertKey(key, now = Date.now()) {
+  let fired = {};
+  try {
+    fired = JSON.parse(localStorage.getItem(ALERTS_FIRED_KEY) ?? '{}');
+  } catch { /* start a fresh log */ }
+
+  if (now - (fired[key] ?? 0) < ALERT_DEDUPE_MS) return false;
+
+  fired[key] = now;
+  for (const k of Object.keys(fired)) {
+    if (now - fired[k] > ALERT_DEDUPE_MS) delete fired[k];
+  }
+  try {
+    localStorage.setItem(ALERTS_FIRED_KEY, JSON.stringify(fired));
+  } catch { /* dedupe falls back to this evaluation only */ }
+  return true;
+}
+
+// ---- Evaluation --------------------------------------------
+
+/** Snapshot the parts of state the rules compare between renders. */
+function observeForAlerts() {
+  const gambits  = new Map();
+  const defenses = new Map();
+
+  for (const g of state.gambits ?? []) {
+    const planet = g.libCampaign.planet;
+    gambits.set(planet.index, {
+      name:       planet.name ?? `#${planet.index}`,
+      tier:       g.risk.label,
+      rank:       RISK_TIERS.indexOf(g.risk.label),
+      successPct: g.scoringModel === 'montecarlo' ? `${g.successPct}%` : String(g.successPct),
+      confirmed:  g.isConfirmedAttacker,
+    });
+  }
+
+  for (const dc of state.defenseCampaigns) {
+    const planet  = dc.planet;
+    const faction = planet.event?.faction ?? dc.faction;
+    const outlook = projectDefense(dc);
+    defenses.set(planet.index, {
+      name:              planet.name ?? `#${planet.index}`,
+      eventId:           planet.event?.id,
+      faction:           factionCls(faction),
+      factionLabel:      factionLabel(faction),
+      hoursLeft:         defenseHoursLeft(dc),
+      status:            outlook?.status ?? 'unknown',
+      fallHours:         outlook?.fallHours ?? null,
+      confirmedAttacker: (state.gambits ?? []).some(g =>
+        (g.libCampaign.planet.attacking ?? []).includes(planet.index)),
+    });
+  }
+
+  return { gambits, defenses };
+}
+
+/** True while every alert is muted or snoozed. */
+function alertsSilenced(now = Date.now()) {
+  return alertConfig.muted || alertConfig.snoozedUntil > now;
+}
+
+/**
+ * Evaluate every enabled rule against the previous render and
+ * fire new matches. Called at the end of render() in app.js.
+ */
+function evaluateAlerts() {
+  const cur  = observeForAlerts();
+  const prev = alertPrev;
+  alertPrev  = cur;
+  updateAlertsButton();
+  if (!prev) return;
+
+  const now = Date.now();
+  if (alertsSilenced(now)) return;
+
+  for (const rule of alertConfig.rules) {
+    const type = ALERT_RULE_TYPES[rule.type];
+    if (!type || !rule.enabled || rule.snoozedUntil > now) continue;
+    for (const match of type.check(rule.params, cur, prev)) {
+      if (claimAlertKey(match.key, now)) fireAlert(match, rule);
+    }
+  }
+}
+
+// ---- Delivery ----------------------------------------------
+
+function notificationsGranted() {
+  return typeof Notification === 'function' && Notification.permission === 'granted';
+}
+
+/** Deliver a match as a browser notification, or an in-page toast. */
+function fireAlert(match, rule) {
+  if (notificationsGranted()) {
+    try {
+      const note = new Notification(match.title, { body: match.body, tag: match.key });
+      note.onclick = () => {
+        window.focus();
+        openPlanetDetail(match.planet);
+        note.close();
+      };
+      return;
+    } catch (err) {
+      // Some browsers only allow notifications from a service worker
+      console.warn('[GAMBIT] Notification failed, falling back to toast:', err);
+    }
+  }
+  showToast(match, rule);
+}
+
+function showToast(match, rule) {
+  const container = document.getElementById('toast-container');
+  if (!container) return;
+
+  const toast = document.createElement('div');
+  toast.className = 'toast';
+  toast.innerHTML = html`
+    <div class="toast-title">${match.title}</div>
+    <div class="toast-body">${match.body}</div>
+    <div class="toast-actions">
+      <button class="toast-btn" data-action="view">VIEW</button>
+      <button class="toast-btn" data-action="snooze" title="${ALERT_RULE_TYPES[rule.type].describe(rule.params)}">SNOOZE RULE 1H</button>
+      <button class="toast-btn" data-action="close" title="Dismiss">&#10005;</button>
+    </div>`;
+
+  toast.addEventListener('click', evt => {
+    const action = evt.target.closest('[data-action]')?.getAttribute('data-action');
+    if (action === 'view')   openPlanetDetail(match.planet);
+    if (action === 'snooze') snoozeAlertRule(rule.id);
+    if (action) toast.remove();
+  });
+
+  container.appendChild(toast);
+  setTimeout(() => toast.remove(), ALERT_TOAST_MS);
+}
+
+// ---- Rule Management ---------------------------------------
+
+function findAlertRule(id) {
+  return alertConfig.rules.find(r => r.id === id);
+}
+
+function toggleAlertRule(id, enabled) {
+  const rule = findAlertRule(id);
+  if (!rule) return;
+  rule.enabled = enabled;
+  saveAlertConfig();
+  renderAlertsPanel();
+}
+
+function snoozeAlertRule(id) {
+  const rule = findAlertRule(id);
+  if (!rule) return;
+  rule.snoozedUntil = rule.snoozedUntil > Date.now() ? 0 : Date.now() + ALERT_SNOOZE_MS;
+  saveAlertConfig();
+  renderAlertsPanel();
+}
+
+function deleteAlertRule(id) {
+  alertConfig.rules = alertConfig.rules.filter(r => r.id !== id);
+  saveAlertConfig();
+  renderAlertsPanel();
+}
+
+/** Add a rule from the panel's add-rule form. */
+function addAlertRule() {
+  const type = document.getElementById('alert-type')?.value;
+  const def  = ALERT_RULE_TYPES[type];
+  if (!def) return;
+
+  const params = {};
+  for (const [key, spec] of Object.entries(def.params)) {
+    const input = document.querySelector(`#alert-add [data-param="${key}"]`);
+    if (spec.type === 'checkbox')    params[key] = !!input?.checked;
+    else if (spec.type === 'number') params[key] = Math.min(spec.max, Math.max(spec.min, Number(input?.value) || spec.default));
+    else                             params[key] = input?.value ?? spec.default;
+  }
+
+  alertConfig.rules.push({ id: `r${Date.now().toString(36)}`, type, enabled: true, params });
+  saveAlertConfig();
+  renderAlertsPanel();
+  requestAlertPermission();
+}
+
+/** Mute everything until unmuted. */
+function toggleAlertsMuted() {
+  alertConfig.muted = !alertConfig.muted;
+  saveAlertConfig();
+  renderAlertsPanel();
+}
+
+/** Silence everything for ALERT_SNOOZE_MS, or resume early. */
+function snoozeAllAlerts() {
+  alertConfig.snoozedUntil = alertConfig.snoozedUntil > Date.now() ? 0 : Date.now() + ALERT_SNOOZE_MS;
+  saveAlertConfig();
+  renderAlertsPanel();
+}
+
+/** Ask for notification permission — must run from a user gesture. */
+function requestAlertPermission() {
+  if (typeof Notification !== 'function' || Notification.permission !== 'default') return;
+  Notification.requestPermission().then(renderAlertsPanel);
+}
+
+// ---- Panel -------------------------------------------------
+
+/** Local time label for a snooze end. */
+function fmtUntil(ts) {
+  return new Date(ts).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+}
+
+function renderParamInput(key, spec) {
+  if (spec.options) {
+    const opts = Object.entries(spec.options)
+      .map(([value, label]) => html`<option value="${value}"${value === spec.default ? ' selected' : ''}>${label}</option>`);
+    return html`<label class="alert-param">${spec.label} <select class="model-select" data-param="${key}">${opts}</select></label>`;
+  }
+  if (spec.type === 'checkbox') {
+    return html`<label class="alert-param"><input type="checkbox" data-param="${key}"${spec.default ? ' checked' : ''}> ${spec.label}</label>`;
+  }
+  return html`<label class="alert-param">${spec.label}
+    <input type="number" class="alert-number" data-param="${key}" value="${spec.default}" min="${spec.min}" max="${spec.max}" step="${spec.step}"></label>`;
+}
+
+/** Re-draw the add-rule parameter fields for the selected type. */
+function renderAlertParams() {
+  const def  = ALERT_RULE_TYPES[document.getElementById('alert-type')?.value];
+  const wrap = document.getElementById('alert-params');
+  if (def && wrap) wrap.innerHTML = html`${Object.entries(def.params).map(([k, spec]) => renderParamInput(k, spec))}`;
+}
+
+function renderAlertsPanel() {
+  updateAlertsButton();
+  const content = document.getElementById('alerts-content');
+  if (!content || document.getElementById('alerts-panel')?.classList.contains('hidden')) return;
+
+  const now = Date.now();
+
+  const permission = typeof Notification !== 'function' ? 'unsupported' : Notification.permission;
+  const notifyHtml = {
+    granted:     html`<span class="alert-status on">BROWSER NOTIFICATIONS ON</span>`,
+    denied:      html`<span class="alert-status">NOTIFICATIONS BLOCKED — SHOWING IN-PAGE TOASTS</span>`,
+    unsupported: html`<span class="alert-status">NOTIFICATIONS UNSUPPORTED — SHOWING IN-PAGE TOASTS</span>`,
+    default:     html`<button class="btn-action" onclick="requestAlertPermission()">ENABLE BROWSER NOTIFICATIONS</button>`,
+  }[permission];
+
+  const snoozed = alertConfig.snoozedUntil > now;
+
+  const rules = alertConfig.rules.map(rule => {
+    const def = ALERT_RULE_TYPES[rule.type];
+    if (!def) return null;
+    const ruleSnoozed = rule.snoozedUntil > now;
+    return html`
+      <div class="alert-rule${rule.enabled ? '' : ' disabled'}">
+        <input type="checkbox" ${rule.enabled ? 'checked' : ''} onchange="toggleAlertRule('${rule.id}', this.checked)" title="Enabled">
+        <span class="alert-rule-text">${def.describe(rule.params)}</span>
+        <button class="toast-btn" onclick="snoozeAlertRule('${rule.id}')">
+          ${ruleSnoozed ? `SNOOZED TO ${fmtUntil(rule.snoozedUntil)}` : 'SNOOZE 1H'}
+        </button>
+        <button class="toast-btn" onclick="deleteAlertRule('${rule.id}')" title="Delete rule">&#10005;</button>
+      </div>`;
+  }).filter(Boolean);
+
+  const typeOptions = Object.entries(ALERT_RULE_TYPES)
+    .map(([type, def]) => html`<option value="${type}">${def.label}</option>`);
+
+  content.innerHTML = html`
+    <div class="detail-header">
+      <div>
+        <div class="gambit-label">EVALUATED AFTER EVERY REFRESH</div>
+        <div class="gambit-planet-title">ALERT RULES</div>
+      </div>
+    </div>
+
+    <div class="alert-controls">
+      ${notifyHtml}
+      <button class="btn-action${alertConfig.muted ? ' active' : ''}" onclick="toggleAlertsMuted()">
+        ${alertConfig.muted ? 'UNMUTE' : 'MUTE ALL'}
+      </button>
+      <button class="btn-action${snoozed ? ' active' : ''}" onclick="snoozeAllAlerts()">
+        ${snoozed ? `SNOOZED TO ${fmtUntil(alertConfig.snoozedUntil)} — RESUME` : 'SNOOZE ALL 1H'}
+      </button>
+    </div>
+
+    <div class="detail-section">
+      <div class="gambit-section-label">RULES</div>
+      ${rules.length ? rules : html`<span class="detail-text">No rules yet — add one below.</span>`}
+    </div>
+
+    <div class="detail-section" id="alert-add">
+      <div class="gambit-section-label">ADD RULE</div>
+      <select id="alert-type" class="model-select" onchange="renderAlertParams()">${typeOptions}</select>
+      <div id="alert-params" class="alert-params"></div>
+      <button class="btn-action" onclick="addAlertRule()">ADD RULE</button>
+    </div>`;
+
+  renderAlertParams();
+}
+
+/** Header button: bell with the number of active rules, struck through when silenced. */
+function updateAlertsButton() {
+  const btn = document.getElementById('alerts-btn');
+  if (!btn) return;
+  const active = alertConfig.rules.filter(r => r.enabled).length;
+  btn.classList.toggle('silenced', alertsSilenced());
+  btn.innerHTML = html`&#128276; ALERTS <span class="alerts-count">${active}</span>`;
+}
+
+function openAlertsPanel() {
+  document.getElementById('alerts-panel')?.classList.remove('hidden');
+  renderAlertsPanel();
+}
+
+function closeAlertsPanel() {
+  document.getElementById('alerts-panel')?.classList.add('hidden');
+}
+
+window.openAlertsPanel        = openAlertsPanel;
+window.closeAlertsPanel       = closeAlertsPanel;
+window.toggleAlertRule        = toggleAlertRule;
+window.snoozeAlertRule        = snoozeAlertRule;
+window.deleteAlertRule        = deleteAlertRule;
+window.addAlertRule           = addAlertRule;
+window.renderAlertParams      = renderAlertParams;
+window.toggleAlertsMuted      = toggleAlertsMuted;
+window.snoozeAllAlerts        = snoozeAllAlerts;
+window.requestAlertPermission = requestAlertPermission;
+
+updateAlertsButton();
@@ -0,0 +1,323 @@
+// ============================================================
+// GAMBIT HD2 — Diver Allocation
+//
+// Each gambit card says what its own liberation needs. The
+// DEPLOY PLAN panel answers the community-wide question: given N
+// extra divers (settings.deployBudget), where should they go?
+//
+// Every liberation and defense gets a success chance as a
+// function of the divers added to it. The rate models behind the
+// cards give the current rate, its uncertainty
+// (rateUncertainty) and what one more diver adds
+// (diverContribution, diverRatePctHr); success means the rate
+// reaches what the deadline requires:
+//
+//   liberation  100% within settings.maxCompletionHrs
+//   defense     integrity above 0% at the event's end
+//
+// A defense is also saved if a connected gambit liberates before
+// it is lost, so the plan maximises
+//
+//   Σ P(liberated) + Σ (1 − P(defense falls) × Π P(gambit misses))
+//
+// — the expected number of planets held or gained, treating the
+// campaigns as independent. The budget is handed out in chunks,
+// each to the target with the best expected gain per chunk over
+// any run of chunks, so a target that only pays off after several
+// chunks is not starved by ones that pay a little straight away.
+//
+// Depends on globals from core.js (state, fmt), gambit.js
+// (diverContribution, diverRatePctHr; the cards' playerReqs come
+// from calcPlayerRequirements), defense.js (projectDefense,
+// defenseHoursLeft), montecarlo.js (rateUncertainty),
+// settings.js (settings, saveSetting) and html.js (html).
+// ============================================================
+
+const ALLOC_STEPS         = 50;      // the budget is handed out in about this many chunks
+const ALLOC_MIN_CHUNK     = 100;     // divers
+const ALLOC_MIN_GAIN      = 1e-4;    // expected planets a chunk must add to be assigned
+const ALLOC_MARGIN_DIVERS = 1_000;   // marginal value is quoted per this many divers
+
+// ---- Success Chances ---------------------------------------
+
+/** Standard normal CDF (Abramowitz & Stegun 7.1.26, |error| < 1.5e-7). */
+function normalCdf(z) {
+  const x   = Math.abs(z) / Math.SQRT2;
+  const t   = 1 / (1 + 0.3275911 * x);
+  const erf = 1 - t * (0.254829592 + t * (-0.284496736 + t * (1.421413741 + t * (-1.453152027 + t * 1.061405429))))
+    * Math.exp(-x * x);
+  return z >= 0 ? (1 + erf) / 2 : (1 - erf) / 2;
+}
+
+/**
+ * Chance that the rate, with `extra` divers added, is at least
+ * `required` %/hr.
+ *
+ * @param {{ rate, sd, perDiver }} model - %/hr now, its uncertainty, %/hr per added diver
+ */
+function rateChance(model, extra, required) {
+  if (!isFinite(required)) return 0;
+  const mean = model.rate + extra * model.perDiver;
+  if (!(model.sd > 0)) return mean >= required ? 1 : 0;
+  return normalCdf((mean - required) / model.sd);
+}
+
+/**
+ * The liberations and defenses the plan can send divers to, and
+ * the ones it has to leave out (with the reason).
+ */
+function allocationTargets() {
+  const imp     = state.war?.impactMultiplier;
+  const targets = [];
+  const skipped = [];
+
+  for (const g of state.gambits ?? []) {
+    const planet = g.libCampaign.planet;
+    if (g.netRate == null) {
+      skipped.push({ planet, reason: 'no liberation rate yet' });
+      continue;
+    }
+    const perDiver = diverContribution(planet, g.netRateObj, imp)?.ratePerPlayer
+      ?? diverRatePctHr(planet.currentOwner, imp);
+    const remaining = 100 - g.libPct;
+
+    targets.push({
+      kind:     'liberation',
+      planet,
+      model:    { rate: g.netRate, sd: rateUncertainty(g.netRateObj), perDiver },
+      required: remaining / settings.maxCompletionHrs,
+      reqs:     g.playerReqs,
+      // Defenses it saves by finishing before they are lost
+      saves:    g.connectedDefenses.map(dc => {
+        const hours = defenseHoursLeft(dc);
+        return { index: dc.planet.index, required: hours > 0 ? remaining / hours : Infinity };
+      }),
+    });
+  }
+
+  for (const dc of state.defenseCampaigns) {
+    const planet  = dc.planet;
+    const outlook = projectDefense(dc);
+    if (!outlook || outlook.status === 'unknown') {
+      skipped.push({ planet, reason: 'defense outlook pending — measured after the next refresh' });
+      continue;
+    }
+    if (!isFinite(outlook.hoursLeft) || outlook.hoursLeft <= 0) {
+      skipped.push({ planet, reason: outlook.hoursLeft <= 0 ? 'defense timer has run out' : 'no defense timer' });
+      continue;
+    }
+
+    targets.push({
+      kind:     'defense',
+      planet,
+      model:    {
+        rate:     outlook.rate.value,
+        sd:       rateUncertainty(outlook.rate),
+        perDiver: diverRatePctHr(planet.event.faction, imp),
+      },
+      required: -outlook.integrity / outlook.hoursLeft,
+      outlook,
+    });
+  }
+
+  // Each defense's link to the liberations that would save it
+  for (const t of targets) {
+    if (t.kind !== 'defense') continue;
+    t.savedBy = targets.flatMap((lib, j) => {
+      const save = lib.kind === 'liberation' && lib.saves.find(s => s.index === t.planet.index);
+      return save ? [{ j, required: save.required }] : [];
+    });
+  }
+
+  return { targets, skipped };
+}
+
+// ---- Optimisation ------------------------------------------
+
+/**
+ * Expected planets held or gained with `alloc[i]` extra divers on
+ * `targets[i]`, and each target's own success chance.
+ */
+function evaluateAllocation(targets, alloc) {
+  const chances = targets.map((t, i) => rateChance(t.model, alloc[i], t.required));
+  let expected  = 0;
+
+  targets.forEach((t, i) => {
+    if (t.kind === 'liberation') {
+      expected += chances[i];
+      return;
+    }
+    // Lost only if it falls on its own and every connected gambit misses
+    let lost = 1 - chances[i];
+    for (const { j, required } of t.savedBy) lost *= 1 - rateChance(targets[j].model, alloc[j], required);
+    chances[i] = 1 - lost;
+    expected  += chances[i];
+  });
+
+  return { expected, chances };
+}
+
+/**
+ * Spread `budget` extra divers over the current liberations and
+ * defenses.
+ *
+ * @returns {{
+ *   budget, chunk, assigned,
+ *   baseline: number,  expected planets held or gained with no extra divers
+ *   expected: number,  … with the plan
+ *   lines:    Array<{ target, divers, before, after, gain, marginal }>,
+ *   skipped:  Array<{ planet, reason }>
+ * }}
+ *   gain     = expected planets this target's divers add to the plan
+ *   marginal = expected planets ALLOC_MARGIN_DIVERS more would add
+ */
+function planDeployment(budget = settings.deployBudget) {
+  const { targets, skipped } = allocationTargets();
+  const chunk = Math.max(ALLOC_MIN_CHUNK, Math.ceil(budget / ALLOC_STEPS / 100) * 100);
+  const alloc = targets.map(() => 0);
+  const base  = evaluateAllocation(targets, alloc);
+
+  let chunksLeft = Math.floor(budget / chunk);
+  let current    = base.expected;
+
+  while (chunksLeft > 0) {
+    let best = null;
+    targets.forEach((t, i) => {
+      for (let k = 1; k <= chunksLeft; k++) {
+        alloc[i] += k * chunk;
+        const value = evaluateAllocation(targets, alloc).expected;
+        alloc[i] -= k * chunk;
+        const perChunk = (value - current) / k;
+        if (!best || perChunk > best.perChunk) best = { i, k, value, perChunk };
+      }
+    });
+    if (!best || best.perChunk < ALLOC_MIN_GAIN) break;
+
+    alloc[best.i] += best.k * chunk;
+    chunksLeft    -= best.k;
+    current        = best.value;
+  }
+
+  const plan      = evaluateAllocation(targets, alloc);
+  const replacing = (i, divers) => evaluateAllocation(targets, alloc.map((d, j) => (j === i ? divers : d))).expected;
+
+  const lines = targets.map((target, i) => ({
+    target,
+    divers:   alloc[i],
+    before:   base.chances[i],
+    after:    plan.chances[i],
+    gain:     alloc[i] ? plan.expected - replacing(i, 0) : 0,
+    marginal: replacing(i, alloc[i] + ALLOC_MARGIN_DIVERS) - plan.expected,
+  })).sort((a, b) => b.divers - a.divers || b.marginal - a.marginal);
+
+  return {
+    budget,
+    chunk,
+    assigned: alloc.reduce((sum, d) => sum + d, 0),
+    baseline: base.expected,
+    expected: plan.expected,
+    lines,
+    skipped,
+  };
+}
+
+// ---- Panel -------------------------------------------------
+
+const fmtAllocChance  = p => `${Math.round(p * 100)}%`;
+const fmtAllocPlanets = v => `${v >= 0 ? '+' : '−'}${Math.abs(v).toFixed(2)}`;
+
+/** What the card models say this target needs on its own. */
+function allocationNeeds(target) {
+  if (target.kind === 'defense') {
+    return target.outlook.status === 'fall' ? `+${fmt(target.outlook.extraDivers)} to hold` : 'holding';
+  }
+  return target.reqs ? `${fmt(target.reqs.min)} to hold · ${fmt(target.reqs.recommended)} to win` : '—';
+}
+
+function renderAllocationLine(line) {
+  const { target } = line;
+  const planet = target.planet;
+  return html`
+    <tr class="${line.divers ? '' : 'alloc-idle'}">
+      <td>${planet.name ?? `PLANET #${planet.index}`}</td>
+      <td><span class="mode-badge ${target.kind}">${target.kind === 'defense' ? 'DEFEND' : 'LIBERATE'}</span></td>
+      <td>${fmt(planet.statistics?.playerCount ?? 0)}</td>
+      <td class="alloc-divers">${line.divers ? `+${fmt(line.divers)}` : '—'}</td>
+      <td>${fmtAllocChance(line.before)}${line.divers > 0 && ` → ${fmtAllocChance(line.after)}`}</td>
+      <td>${line.divers ? fmtAllocPlanets(line.gain) : '—'}</td>
+      <td>${fmtAllocPlanets(line.marginal)}</td>
+      <td class="alloc-needs">${allocationNeeds(target)}</td>
+    </tr>`;
+}
+
+function renderAllocationPanel(error = '') {
+  const content = document.getElementById('allocation-content');
+  if (!content || document.getElementById('allocation-panel')?.classList.contains('hidden')) return;
+
+  const plan = planDeployment();
+  const left = plan.budget - plan.assigned;
+
+  content.innerHTML = html`
+    <div class="detail-header">
+      <div>
+        <div class="gambit-label">WHERE SHOULD EXTRA DIVERS GO</div>
+        <div class="gambit-planet-title">DEPLOYMENT PLAN</div>
+      </div>
+    </div>
+
+    <div class="alert-controls">
+      <label class="setting-label" for="allocation-budget">EXTRA DIVERS</label>
+      <input id="allocation-budget" class="setting-input${error ? ' invalid' : ''}" type="number"
+             min="1000" step="1000" value="${settings.deployBudget}" onchange="setDeployBudget(this.value)">
+      ${error && html`<span class="setting-error">${error}</span>`}
+    </div>
+
+    <div class="detail-section">
+      <div class="alloc-summary">
+        Expected planets held or gained:
+        <strong>${plan.baseline.toFixed(2)} → ${plan.expected.toFixed(2)}</strong>
+        (${fmtAllocPlanets(plan.expected - plan.baseline)}) with ${fmt(plan.assigned)} more divers.
+        ${left >= plan.chunk && html`<span class="alloc-left">${fmt(left)} left over — no target gains from them.</span>`}
+      </div>
+      ${plan.lines.length
+        ? html`
+          <table class="backtest-table alloc-table">
+            <tr><th>Planet</th><th>Campaign</th><th>Divers now</th><th>Send</th><th>Chance</th>
+                <th>Gain</th><th>Next ${fmt(ALLOC_MARGIN_DIVERS)}</th><th>Card says</th></tr>
+            ${plan.lines.map(renderAllocationLine)}
+          </table>`
+        : html`<div class="empty-state">NO ACTIVE CAMPAIGNS TO PLAN FOR</div>`}
+    </div>
+
+    ${plan.skipped.length > 0 && html`
+      <div class="detail-section">
+        <div class="gambit-section-label">NOT PLANNED</div>
+        <ul class="alloc-skipped">
+          ${plan.skipped.map(s => html`<li>${s.planet.name ?? `PLANET #${s.planet.index}`} — ${s.reason}</li>`)}
+        </ul>
+      </div>`}
+
+    <div class="setting-help">
+      Chance: of liberating within ${settings.maxCompletionHrs}h, or of a defense holding — on its own or
+      through a connected gambit finishing first. Gain: expected planets the divers sent there add.
+      Next ${fmt(ALLOC_MARGIN_DIVERS)}: what ${fmt(ALLOC_MARGIN_DIVERS)} more divers there would add.
+      Campaigns are treated as independent.
+    </div>`;
+}
+
+function setDeployBudget(value) {
+  renderAllocationPanel(saveSetting('deployBudget', value) ?? '');
+}
+
+function openAllocationPanel() {
+  document.getElementById('allocation-panel')?.classList.remove('hidden');
+  renderAllocationPanel();
+}
+
+function closeAllocationPanel() {
+  document.getElementById('allocation-panel')?.classList.add('hidden');
+}
+
+window.openAllocationPanel  = openAllocationPanel;
+window.closeAllocationPanel = closeAllocationPanel;
+window.setDeployBudget      = setDeployBudget;
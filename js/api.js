@@ -2,9 +2,28 @@
 // GAMBIT HD2 — API Communication Layer
 // Base: https://api.helldivers2.dev
 // Docs: https://helldivers-2.github.io/api/
+//
+// Every request gets a timeout, retries transient failures
+// with exponential backoff (honouring Retry-After on 429), and
+// keeps the last good response per endpoint. fetchAll() settles
+// each endpoint independently, so one failing endpoint falls
+// back to its cached copy — marked stale — instead of blanking
+// the whole refresh.
+//
+// Where the data comes from is a pluggable data source:
+//   live     — the community API (default)
+//   custom   — any API-compatible base URL: a mirror, a
+//              self-hosted instance, or tools/mock-server.js
+//   fixture  — a static directory of recorded JSON responses
+//
+// Chosen by query parameter (?api=<base URL>, ?fixtures=<dir>,
+// ?source=live) or, failing that, by settings.apiBase /
+// settings.fixtures. Depends on globals from settings.js
+// (settings, validateSetting).
 // ============================================================
 
 const HD2_BASE = 'https://api.helldivers2.dev';
+const FIXTURES_DIR = 'fixtures';
 
 const HD2_HEADERS = {
   'X-Super-Client': 'GambitHD2',
@@ -12,35 +31,292 @@ const HD2_HEADERS = {
   'Accept': 'application/json',
 };
 
+const HD2_ENDPOINTS = {
+  war:         '/api/v1/war',
+  campaigns:   '/api/v1/campaigns',
+  assignments: '/api/v1/assignments',
+  planets:     '/api/v1/planets',
+};
+
+const HD2_TIMEOUT_MS      = 15_000;
+const HD2_MAX_RETRIES     = 3;
+const HD2_BACKOFF_BASE_MS = 1_000;
+
+// Longer waits aren't worth holding a refresh open for — the
+// request fails over to its cached copy and the poll scheduler
+// waits out the window instead.
+const HD2_MAX_RETRY_WAIT_MS = 20_000;
+
+const POLL_INTERVAL_MS    = 60_000;
+const POLL_MAX_BACKOFF_MS = 10 * 60_000;
+
+// path → { data, etag, fetchedAt } of the last good response
+const apiCache = new Map();
+
+// Epoch ms before which the API has asked us not to call again
+let rateLimitedUntil = 0;
+
+// ---- Data Sources ------------------------------------------
+// A data source maps endpoint paths to URLs:
+//   { kind, label, url(path), headers, adapt(path, data), historyKey }
+// historyKey names the snapshot store (history.js) — null means the
+// data isn't a live war and must never be recorded. A source chosen
+// in place of an unusable one also has `error`, shown in the header.
+
+/** The community API, or an API-compatible server at `base`. */
+function apiSource(base = HD2_BASE) {
+  const root = base.replace(/\/+$/, '');
+  const live = root === HD2_BASE;
+  return {
+    kind:       live ? 'live' : 'custom',
+    label:      live ? 'LIVE' : new URL(root, location.href).host.toUpperCase(),
+    url:        path => `${root}${path}`,
+    headers:    HD2_HEADERS,
+    adapt:      async (path, data) => data,
+    historyKey: live ? 'live' : root,
+  };
+}
+
+/**
+ * A directory of recorded responses: war.json, campaigns.json,
+ * assignments.json, planets.json, plus an optional manifest.json
+ * ({ name, description, recordedAt }). When recordedAt is given,
+ * every timestamp in the data is shifted as if it had been recorded
+ * when the page loaded, so timers count down from where they were.
+ *
+ * @param {string} dir - fixture name under fixtures/, or a path
+ */
+function fixtureSource(dir) {
+  const root = (dir.includes('/') ? dir : `${FIXTURES_DIR}/${dir}`).replace(/\/+$/, '');
+
+  // Offset fixed on first load, so timers keep counting down across refreshes
+  let offset = null;
+  const loadOffset = () => offset ??= fetch(`${root}/manifest.json`, { cache: 'no-store' })
+    .then(r => (r.ok ? r.json() : {}))
+    .catch(() => ({}))
+    .then(manifest => Date.now() - Date.parse(manifest.recordedAt ?? ''));
+
+  return {
+    kind:       'fixture',
+    label:      `FIXTURE: ${root.split('/').pop().toUpperCase()}`,
+    url:        path => `${root}/${path.split('/').pop()}.json`,
+    headers:    { Accept: 'application/json' },
+    historyKey: null,
+    adapt: async (path, data) => {
+      const offsetMs = await loadOffset();
+      return isNaN(offsetMs) ? data : rebaseTimes(data, offsetMs);
+    },
+  };
+}
+
+const ISO_DATE = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(\.\d+)?(Z|[+-]\d{2}:?\d{2})$/;
+
+/** Deep copy of `data` with every ISO timestamp string moved by `offsetMs`. */
+function rebaseTimes(data, offsetMs) {
+  if (typeof data === 'string') {
+    return ISO_DATE.test(data) ? new Date(Date.parse(data) + offsetMs).toISOString() : data;
+  }
+  if (Array.isArray(data)) return data.map(v => rebaseTimes(v, offsetMs));
+  if (data && typeof data === 'object') {
+    return Object.fromEntries(Object.entries(data).map(([k, v]) => [k, rebaseTimes(v, offsetMs)]));
+  }
+  return data;
+}
+
 /**
- * Core fetch wrapper with error handling and rate-limit detection.
+ * Pick the data source from the page's query string, then settings.
+ * ?api= is checked like the API base URL setting; a value that isn't
+ * an http(s) URL falls back to the live API instead of failing the
+ * page load.
  */
-async function hd2Fetch(path) {
-  const response = await fetch(`${HD2_BASE}${path}`, { headers: HD2_HEADERS });
+function resolveDataSource() {
+  const query    = new URLSearchParams(location.search);
+  const fixtures = query.get('fixtures');
+  const api      = query.get('api');
+
+  if (query.get('source') === 'live') return apiSource();
+  if (fixtures) return fixtureSource(fixtures);
+  if (api) {
+    const checked = validateSetting('apiBase', api);
+    if (!checked.error) return apiSource(checked.value);
+
+    const error = `Ignoring ?api=${api}: ${checked.error} — showing live data`;
+    console.warn(`[GAMBIT] ${error}`);
+    return { ...apiSource(), error };
+  }
+  if (settings.fixtures) return fixtureSource(settings.fixtures);
+  if (settings.apiBase)  return apiSource(settings.apiBase);
+  return apiSource();
+}
+
+const dataSource = resolveDataSource();
+
+// ---- Errors ------------------------------------------------
+
+/** A failed API request. `retryAfterMs` is set for rate limits. */
+class ApiError extends Error {
+  constructor(message, { path, status = null, retryAfterMs = null } = {}) {
+    super(message);
+    this.name         = 'ApiError';
+    this.path         = path;
+    this.status       = status;
+    this.retryAfterMs = retryAfterMs;
+  }
+
+  /** Worth retrying: network errors, timeouts, 429 and 5xx. */
+  get transient() {
+    return this.status == null || this.status === 429 || this.status >= 500;
+  }
+}
+
+// ---- Helpers -----------------------------------------------
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Parse a Retry-After header (delay in seconds or an HTTP date).
+ *
+ * @returns {number | null} milliseconds to wait
+ */
+function parseRetryAfter(value) {
+  if (!value) return null;
+  const secs = Number(value);
+  if (isFinite(secs)) return Math.max(0, secs * 1000);
+  const at = Date.parse(value);
+  return isNaN(at) ? null : Math.max(0, at - Date.now());
+}
+
+/** Exponential backoff with jitter for the given retry attempt (0-based). */
+function backoffDelay(attempt) {
+  const base = HD2_BACKOFF_BASE_MS * 2 ** attempt;
+  return base + Math.random() * base * 0.5;
+}
+
+// ---- Requests ----------------------------------------------
+
+/**
+ * Single request with a timeout. Sends If-None-Match when an ETag
+ * is known and serves the cached body on 304. (The ETag is only
+ * readable when the API exposes it to CORS; otherwise this quietly
+ * degrades to last-good caching.)
+ */
+async function hd2Request(path, signal) {
+  const cached  = apiCache.get(path);
+  const headers = { ...dataSource.headers };
+  if (cached?.etag) headers['If-None-Match'] = cached.etag;
+
+  const controller = new AbortController();
+  const timer      = setTimeout(() => controller.abort(), HD2_TIMEOUT_MS);
+  const onAbort    = () => controller.abort();
+  signal?.addEventListener('abort', onAbort);
+
+  let response;
+  try {
+    response = await fetch(dataSource.url(path), { headers, signal: controller.signal, cache: 'no-store' });
+  } catch (err) {
+    if (signal?.aborted) throw err;
+    const message = controller.signal.aborted
+      ? `TIMEOUT after ${HD2_TIMEOUT_MS / 1000}s on ${path}`
+      : `NETWORK ERROR on ${path}`;
+    throw new ApiError(message, { path });
+  } finally {
+    clearTimeout(timer);
+    signal?.removeEventListener('abort', onAbort);
+  }
+
+  if (response.status === 304 && cached) {
+    cached.fetchedAt = Date.now();
+    return cached.data;
+  }
 
   if (response.status === 429) {
-    const retryAfter = response.headers.get('Retry-After') ?? '10';
-    throw new Error(`RATE LIMITED — retry in ${retryAfter}s`);
+    const retryAfterMs = parseRetryAfter(response.headers.get('Retry-After')) ?? 10_000;
+    rateLimitedUntil   = Math.max(rateLimitedUntil, Date.now() + retryAfterMs);
+    throw new ApiError(`RATE LIMITED — retry in ${Math.ceil(retryAfterMs / 1000)}s`, { path, status: 429, retryAfterMs });
   }
 
   if (!response.ok) {
-    throw new Error(`HTTP ${response.status} on ${path}`);
+    throw new ApiError(`HTTP ${response.status} on ${path}`, { path, status: response.status });
   }
 
-  return response.json();
+  const data = await dataSource.adapt(path, await response.json());
+  apiCache.set(path, { data, etag: response.headers.get('ETag'), fetchedAt: Date.now() });
+  return data;
+}
+
+/**
+ * Core fetch wrapper: retries transient failures with exponential
+ * backoff, waiting out Retry-After when the API rate-limits us.
+ *
+ * @param {string} path
+ * @param {Object} [opts]
+ * @param {AbortSignal} [opts.signal] - cancels the request and any pending retry
+ */
+async function hd2Fetch(path, { signal } = {}) {
+  for (let attempt = 0; ; attempt++) {
+    // Don't spend a request we already know will be refused
+    const blockedMs = rateLimitedUntil - Date.now();
+    if (blockedMs > HD2_MAX_RETRY_WAIT_MS) {
+      throw new ApiError(`RATE LIMITED — retry in ${Math.ceil(blockedMs / 1000)}s`, { path, status: 429, retryAfterMs: blockedMs });
+    }
+    if (blockedMs > 0) await sleep(blockedMs);
+
+    try {
+      return await hd2Request(path, signal);
+    } catch (err) {
+      if (!(err instanceof ApiError) || !err.transient || attempt >= HD2_MAX_RETRIES) throw err;
+
+      const wait = err.retryAfterMs ?? backoffDelay(attempt);
+      if (wait > HD2_MAX_RETRY_WAIT_MS) throw err;
+      console.warn(`[GAMBIT] ${err.message} — retrying in ${(wait / 1000).toFixed(1)}s`);
+      await sleep(wait);
+      if (signal?.aborted) throw err;
+    }
+  }
 }
 
 /**
  * Fetch all required data in parallel (4 requests, within rate limit).
- * Returns: { war, campaigns, assignments, planets }
+ * Each endpoint settles on its own: a failure falls back to the last
+ * good response for that endpoint and is reported in `stale`.
+ *
+ * Returns: { war, campaigns, assignments, planets, stale }
+ *   stale — endpoint name → { error, fetchedAt } for every section
+ *           served from cache (fetchedAt null when there was none)
+ *
+ * Throws only when every endpoint failed and nothing is cached.
+ */
+async function fetchAll({ signal } = {}) {
+  const names   = Object.keys(HD2_ENDPOINTS);
+  const results = await Promise.allSettled(names.map(name => hd2Fetch(HD2_ENDPOINTS[name], { signal })));
+
+  const data   = { stale: {} };
+  const errors = [];
+  results.forEach((result, i) => {
+    const name = names[i];
+    if (result.status === 'fulfilled') {
+      data[name] = result.value;
+      return;
+    }
+    const cached = apiCache.get(HD2_ENDPOINTS[name]);
+    data[name]       = cached?.data ?? null;
+    data.stale[name] = { error: result.reason, fetchedAt: cached ? new Date(cached.fetchedAt) : null };
+    errors.push(result.reason);
+  });
+
+  if (errors.length === names.length && names.every(n => data[n] == null)) throw errors[0];
+  return data;
+}
+
+// ---- Poll Scheduling ---------------------------------------
+
+/**
+ * Delay before the next automatic refresh: the normal interval,
+ * pushed out past any rate-limit window, and backed off after
+ * consecutive failed refreshes.
  */
-async function fetchAll() {
-  const [war, campaigns, assignments, planets] = await Promise.all([
-    hd2Fetch('/api/v1/war'),
-    hd2Fetch('/api/v1/campaigns'),
-    hd2Fetch('/api/v1/assignments'),
-    hd2Fetch('/api/v1/planets'),
-  ]);
-
-  return { war, campaigns, assignments, planets };
+function nextPollDelay(consecutiveFailures = 0) {
+  const backoff = Math.min(POLL_MAX_BACKOFF_MS, POLL_INTERVAL_MS * 2 ** consecutiveFailures);
+  const limited = rateLimitedUntil - Date.now() + 1_000;
+  return Math.max(backoff, limited);
 }
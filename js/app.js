@@ -1,98 +1,10 @@
 // ============================================================
 // GAMBIT HD2 — Application Logic & Rendering
+//
+// The refresh loop and the dashboard's sections. The war state
+// and the shared planet helpers live in core.js.
 // ============================================================
 
-// ---- State -------------------------------------------------
-
-const state = {
-  planetMap: {},            // index (number) → planet name (string)
-  liberationCampaigns: [],
-  defenseCampaigns: [],
-  allPlanets: [],           // full planet list — used by Strategic Scout
-  timerInterval: null,
-  lastUpdated: null,
-};
-
-// ---- Utilities ---------------------------------------------
-
-/** Format a number with locale-appropriate thousands separators. */
-function fmt(n) {
-  if (n == null) return '—';
-  return Number(n).toLocaleString();
-}
-
-/** Format milliseconds remaining as HH:MM:SS. */
-function fmtCountdown(endTimeStr) {
-  const diff = new Date(endTimeStr).getTime() - Date.now();
-  if (diff <= 0) return 'EXPIRED';
-  const h = Math.floor(diff / 3_600_000);
-  const m = Math.floor((diff % 3_600_000) / 60_000);
-  const s = Math.floor((diff % 60_000) / 1_000);
-  return `${String(h).padStart(2, '0')}:${String(m).padStart(2, '0')}:${String(s).padStart(2, '0')}`;
-}
-
-/** Human-readable "X mins ago" from a Date object. */
-function timeAgo(date) {
-  const s = Math.floor((Date.now() - date.getTime()) / 1000);
-  if (s < 60) return `${s}s ago`;
-  if (s < 3600) return `${Math.floor(s / 60)}m ago`;
-  return `${Math.floor(s / 3600)}h ago`;
-}
-
-/** Returns a CSS class key for a faction string. */
-function factionCls(faction) {
-  if (!faction) return '';
-  const f = faction.toLowerCase();
-  if (f.includes('terminid')) return 'terminid';
-  if (f.includes('automaton')) return 'automaton';
-  if (f.includes('illuminate')) return 'illuminate';
-  return 'human';
-}
-
-/** Returns an uppercase display label for a faction string. */
-function factionLabel(faction) {
-  if (!faction) return 'UNKNOWN';
-  const f = faction.toLowerCase();
-  if (f.includes('terminid')) return 'TERMINIDS';
-  if (f.includes('automaton')) return 'AUTOMATONS';
-  if (f.includes('illuminate')) return 'ILLUMINATE';
-  if (f.includes('human')) return 'SUPER EARTH';
-  return faction.toUpperCase();
-}
-
-/**
- * Liberation % for a planet.
- * Enemy holds HP — reducing to 0 = liberated.
- * liberationPct = (1 - health / maxHealth) * 100
- */
-function libPct(planet) {
-  if (!planet.maxHealth) return 0;
-  return Math.max(0, Math.min(100, (1 - planet.health / planet.maxHealth) * 100));
-}
-
-/**
- * Defense integrity % for a planet event — how much health remains.
- * 100% = full health (just started), 0% = defense has fallen.
- */
-function defPct(event) {
-  if (!event || !event.maxHealth) return 0;
-  return Math.max(0, Math.min(100, (event.health / event.maxHealth) * 100));
-}
-
-/**
- * Hourly decay rate in percent for a liberation campaign.
- * decayPctPerHr = (regenPerSecond * 3600 / maxHealth) * 100
- */
-function decayRate(planet) {
-  if (!planet.regenPerSecond || !planet.maxHealth) return 0;
-  return (planet.regenPerSecond * 3600 / planet.maxHealth) * 100;
-}
-
-/** Hours remaining until a defense event expires. */
-function hoursLeft(endTimeStr) {
-  return (new Date(endTimeStr).getTime() - Date.now()) / 3_600_000;
-}
-
 // ---- Render: Header ----------------------------------------
 
 function renderHeader(war) {
@@ -105,7 +17,7 @@ function renderHeader(war) {
     .filter(f => !f.toLowerCase().includes('human'))
     .map(f => factionLabel(f));
 
-  statsEl.innerHTML = `
+  statsEl.innerHTML = html`
     <div class="stat-item">
       <div class="stat-label">HELLDIVERS DEPLOYED</div>
       <div class="stat-value gold">${fmt(players)}</div>
@@ -121,38 +33,6 @@ function renderHeader(war) {
   `;
 }
 
-// ---- Render: Major Orders ----------------------------------
-
-function renderOrders(assignments) {
-  const container = document.getElementById('orders-container');
-  const countEl = document.getElementById('orders-count');
-  if (!container) return;
-
-  if (countEl) countEl.textContent = assignments.length;
-
-  if (!assignments.length) {
-    container.innerHTML = '<div class="empty-state">NO ACTIVE MAJOR ORDERS</div>';
-    return;
-  }
-
-  container.innerHTML = assignments.map(order => {
-    const text = order.briefing || order.description || 'Stand by for further orders.';
-    const reward = order.reward;
-    const expiry = order.expiration ? new Date(order.expiration) : null;
-
-    return `
-      <div class="order-card">
-        <div class="order-title">${order.title ?? 'CLASSIFIED OPERATION'}</div>
-        <div class="order-briefing">${text}</div>
-        <div class="order-meta">
-          ${reward ? `<span class="order-reward">REWARD: <span class="reward-val">${fmt(reward.amount)} ${reward.type ?? 'MEDALS'}</span></span>` : ''}
-          ${expiry ? `<span class="order-expiry">EXPIRES: ${expiry.toLocaleString()}</span>` : ''}
-        </div>
-      </div>
-    `;
-  }).join('');
-}
-
 // ---- Render: Planet Card -----------------------------------
 
 function renderPlanetCard(campaign, mode) {
@@ -184,11 +64,11 @@ function renderPlanetCard(campaign, mode) {
   let progressHtml = '';
   if (mode === 'liberation') {
     const pct = libPct(planet);
-    progressHtml = `
+    progressHtml = html`
       <div class="progress-section">
         <div class="progress-header">
           <span class="progress-label">LIBERATION PROGRESS</span>
-          <span class="progress-value">${pct.toFixed(1)}%</span>
+          <span class="progress-value" data-value="${pct.toFixed(1)}">${pct.toFixed(1)}%</span>
         </div>
         <div class="progress-bar">
           <div class="progress-fill lib" style="width:${pct}%" data-pct="${pct}"></div>
@@ -196,11 +76,11 @@ function renderPlanetCard(campaign, mode) {
       </div>`;
   } else {
     const pct = defPct(event);
-    progressHtml = `
+    progressHtml = html`
       <div class="progress-section">
         <div class="progress-header">
           <span class="progress-label">DEFENSE INTEGRITY</span>
-          <span class="progress-value">${pct.toFixed(1)}%</span>
+          <span class="progress-value" data-value="${pct.toFixed(1)}">${pct.toFixed(1)}%</span>
         </div>
         <div class="progress-bar">
           <div class="progress-fill def" style="width:${pct}%" data-pct="${pct}"></div>
@@ -213,48 +93,50 @@ function renderPlanetCard(campaign, mode) {
   if (mode === 'defense' && event?.endTime) {
     const remaining = fmtCountdown(event.endTime);
     const hrs = hoursLeft(event.endTime);
-    const urgentCls = hrs < 6 ? (hrs < 1 ? 'critical' : 'urgent') : '';
-    timerHtml = `
+    const urgentCls = urgencyCls(hrs);
+    timerHtml = html`
       <div class="defense-timer ${urgentCls}">
         <span class="timer-label">TIME REMAINING</span>
         <span class="timer-value ${urgentCls}" data-end="${event.endTime}">${remaining}</span>
       </div>`;
   }
 
+  // ---- Projected outcome (defense only) ----
+  // defense.js is loaded after app.js but always present by render time
+  const outlookHtml = mode === 'defense' && typeof projectDefense === 'function'
+    ? renderDefenseOutlook(projectDefense(campaign))
+    : '';
+
   // ---- Stats row ----
-  const statsHtml = `
+  const statsHtml = html`
     <div class="stats-row">
       <div class="stat-chip">
         <span class="chip-icon">&#128101;</span>
-        <span class="chip-val">${fmt(players)}</span>
+        <span class="chip-val" data-value="${players}">${fmt(players)}</span>
         <span class="chip-unit">HELLDIVERS</span>
       </div>
-      ${mode === 'liberation' ? `
+      ${mode === 'liberation' && html`
         <div class="stat-chip">
           <span class="chip-icon">&#128737;</span>
           <span class="chip-val negative">${decay.toFixed(2)}%/hr</span>
           <span class="chip-unit">RESISTANCE</span>
-        </div>` : ''}
+        </div>`}
     </div>`;
 
   // ---- Supply lines ----
-  let supplyHtml = '';
-  if (waypoints.length) {
-    supplyHtml += `
+  const supplyHtml = html`
+    ${waypoints.length > 0 && html`
       <div class="supply-lines">
         <span class="supply-label">SUPPLY LINES</span>
-        ${waypoints.map(n => `<span class="planet-tag">${n}</span>`).join('')}
-      </div>`;
-  }
-  if (attacking.length) {
-    supplyHtml += `
+        ${waypoints.map(n => html`<span class="planet-tag">${n}</span>`)}
+      </div>`}
+    ${attacking.length > 0 && html`
       <div class="supply-lines attacking">
         <span class="supply-label">PUSHING &#8594;</span>
-        ${attacking.map(n => `<span class="planet-tag attack">${n}</span>`).join('')}
-      </div>`;
-  }
+        ${attacking.map(n => html`<span class="planet-tag attack">${n}</span>`)}
+      </div>`}`;
 
-  return `
+  return html`
     <div class="planet-card ${fCls}" data-planet-index="${planet.index}" data-mode="${mode}">
       <div class="planet-header">
         <div class="planet-name-block">
@@ -262,6 +144,7 @@ function renderPlanetCard(campaign, mode) {
           <div class="planet-sector">${planet.sector ?? '—'}</div>
         </div>
         <div class="planet-badges">
+          ${typeof pinButton === 'function' && pinButton(planet.index)}
           <div class="faction-badge ${fCls}">${fLabel}</div>
           <div class="mode-badge ${mode}">${mode === 'liberation' ? 'LIBERATE' : 'DEFEND'}</div>
         </div>
@@ -269,12 +152,30 @@ function renderPlanetCard(campaign, mode) {
       ${progressHtml}
       ${statsHtml}
       ${timerHtml}
+      ${outlookHtml}
       ${supplyHtml}
     </div>`;
 }
 
 // ---- Render: Campaigns -------------------------------------
 
+/**
+ * A campaign list after the list toolbar's filters (filters.js),
+ * with its count label and empty-state text. Unfiltered until
+ * filters.js has loaded — the first refresh can finish before it.
+ */
+function filteredCampaigns(sorted, mode, emptyText) {
+  if (typeof filterCampaigns !== 'function') {
+    return { shown: sorted, count: String(sorted.length), empty: emptyText };
+  }
+  const shown = filterCampaigns(sorted, mode);
+  return {
+    shown,
+    count: filterCount(shown.length, sorted.length),
+    empty: sorted.length ? FILTER_EMPTY : emptyText,
+  };
+}
+
 function renderLiberation(campaigns) {
   const container = document.getElementById('liberation-container');
   const countEl = document.getElementById('liberation-count');
@@ -285,14 +186,12 @@ function renderLiberation(campaigns) {
     (a, b) => (b.planet.statistics?.playerCount ?? 0) - (a.planet.statistics?.playerCount ?? 0)
   );
 
-  countEl.textContent = sorted.length;
-
-  if (!sorted.length) {
-    container.innerHTML = '<div class="empty-state">NO ACTIVE LIBERATION CAMPAIGNS</div>';
-    return;
-  }
+  const { shown, count, empty } = filteredCampaigns(sorted, 'liberation', 'NO ACTIVE LIBERATION CAMPAIGNS');
+  countEl.textContent = count;
 
-  container.innerHTML = sorted.map(c => renderPlanetCard(c, 'liberation')).join('');
+  patchChildren(container, shown.length
+    ? html`${shown.map(c => renderPlanetCard(c, 'liberation'))}`
+    : html`<div class="empty-state">${empty}</div>`);
 }
 
 function renderDefense(campaigns) {
@@ -307,14 +206,12 @@ function renderDefense(campaigns) {
     return ta - tb;
   });
 
-  countEl.textContent = sorted.length;
+  const { shown, count, empty } = filteredCampaigns(sorted, 'defense', 'NO ACTIVE DEFENSE CAMPAIGNS');
+  countEl.textContent = count;
 
-  if (!sorted.length) {
-    container.innerHTML = '<div class="empty-state">NO ACTIVE DEFENSE CAMPAIGNS</div>';
-    return;
-  }
-
-  container.innerHTML = sorted.map(c => renderPlanetCard(c, 'defense')).join('');
+  patchChildren(container, shown.length
+    ? html`${shown.map(c => renderPlanetCard(c, 'defense'))}`
+    : html`<div class="empty-state">${empty}</div>`);
 }
 
 // ---- Timers ------------------------------------------------
@@ -327,7 +224,8 @@ function tickTimers() {
     el.textContent = fmtCountdown(endTime);
 
     const hrs = hoursLeft(endTime);
-    el.className = 'timer-value' + (hrs < 1 ? ' critical' : hrs < 6 ? ' urgent' : '');
+    const cls = urgencyCls(hrs);
+    el.className = 'timer-value' + (cls ? ` ${cls}` : '');
   });
 }
 
@@ -341,64 +239,192 @@ function startTimerTick() {
 function updateLastUpdated() {
   const el = document.getElementById('last-updated');
   if (!el) return;
+  if (state.replayTs != null) {
+    el.title     = '';
+    el.innerHTML = html`<span class="live-dot replay"></span>&nbsp;REPLAY · ${new Date(state.replayTs).toLocaleString()}`;
+    return;
+  }
+  if (state.archive) {
+    el.title     = '';
+    el.innerHTML = html`<span class="live-dot archive"></span>&nbsp;ARCHIVE · ${new Date(state.archive.clock).toLocaleString()}`;
+    return;
+  }
   if (!state.lastUpdated) {
     el.textContent = 'CONNECTING...';
     return;
   }
-  el.innerHTML = `<span class="live-dot"></span>&nbsp;UPDATED ${timeAgo(state.lastUpdated)}`;
+
+  const stale = Object.values(state.stale);
+  el.title    = stale.map(s => s.error?.message).filter(Boolean).join('\n');
+  if (!stale.length) {
+    el.innerHTML = html`<span class="live-dot"></span>&nbsp;UPDATED ${timeAgo(state.lastUpdated)}`;
+    return;
+  }
+
+  const limitedSecs = Math.ceil((rateLimitedUntil - Date.now()) / 1000);
+  const reason = limitedSecs > 0 ? `RATE LIMITED · RETRY IN ${limitedSecs}s`
+    : stale.length === Object.keys(HD2_ENDPOINTS).length ? 'UPLINK LOST'
+    : 'PARTIAL DATA';
+  el.innerHTML = html`<span class="live-dot stale"></span>&nbsp;${reason} · UPDATED ${timeAgo(state.lastUpdated)}`;
+}
+
+// ---- Stale Data --------------------------------------------
+
+/**
+ * Flag every element whose endpoint was served from cache on the
+ * last refresh. Elements declare their endpoints in index.html,
+ * e.g. data-source="campaigns planets"; sections get a badge with
+ * the age of the data they are showing.
+ */
+function markStaleSections() {
+  document.querySelectorAll('[data-source]').forEach(el => {
+    const stale  = el.getAttribute('data-source').split(' ').map(s => state.stale[s]).filter(Boolean);
+    const header = el.querySelector(':scope > .section-header');
+    let badge    = header?.querySelector('.stale-badge');
+
+    el.classList.toggle('stale', stale.length > 0);
+    el.title = stale.map(s => s.error?.message).filter(Boolean).join('\n');
+
+    if (!stale.length) {
+      badge?.remove();
+      return;
+    }
+    if (!header) return;
+
+    // Oldest data wins; no cached copy at all means the section is empty
+    const ages   = stale.map(s => s.fetchedAt);
+    const oldest = ages.includes(null) ? null : new Date(Math.min(...ages));
+    if (!badge) {
+      badge = document.createElement('span');
+      badge.className = 'stale-badge';
+      header.appendChild(badge);
+    }
+    badge.textContent = oldest ? `STALE · ${timeAgo(oldest).toUpperCase()}` : 'NO DATA';
+  });
 }
 
 // ---- Main --------------------------------------------------
 
 /**
  * Process raw API data and render all sections.
+ *
+ * @param {Object}  data
+ * @param {Object}  [opts]
+ * @param {boolean} [opts.observed=true] - fresh API data: recorded in
+ *   history and checked by alert rules. False for replayed frames.
  */
-function render(data) {
+function render(data, { observed = true } = {}) {
   const { war, campaigns, assignments, planets } = data;
-
-  // Build planet name lookup map and store full list for Scout tab
-  state.planetMap = {};
-  state.allPlanets = planets ?? [];
-  (planets ?? []).forEach(p => {
-    if (p.index != null) state.planetMap[p.index] = p.name ?? `#${p.index}`;
-  });
-
-  // Separate campaigns by type: defense = has planet.event, liberation = no event
-  state.liberationCampaigns = (campaigns ?? []).filter(c => !c.planet?.event);
-  state.defenseCampaigns = (campaigns ?? []).filter(c => !!c.planet?.event);
+  ingest(data);
 
   // Render all sections
   renderHeader(war);
-  renderOrders(assignments ?? []);
-  renderLiberation(state.liberationCampaigns);
-  renderDefense(state.defenseCampaigns);
 
-  // Phase 2: Record snapshot for rate measurement, then run gambit analysis.
+  // Phase 2: Record snapshot for rate measurement before any analysis.
+  // recordSnapshot() lives in history.js.
+  // Cached planet data is not a new observation, so it is never recorded,
+  // and neither is a replayed frame.
+  if (typeof recordSnapshot === 'function' && !state.stale.planets && observed) {
+    recordSnapshot(planets, war, state.stale.assignments ? null : assignments, campaigns);
+  }
+
+  // Per-diver contribution model, refitted on the updated history
+  if (typeof refreshCalibration === 'function') {
+    refreshCalibration(state.allPlanets);
+  }
+
+  // Watchlist change log, before the panel is drawn
+  if (typeof recordWatchlist === 'function' && observed) {
+    recordWatchlist();
+  }
+
+  renderViews();
+
+  // Deep link to a planet card that didn't exist until now
+  if (typeof focusPendingPlanet === 'function') {
+    focusPendingPlanet();
+  }
+
+  // Alert rules compare this render with the previous one
+  if (typeof evaluateAlerts === 'function' && observed) {
+    evaluateAlerts();
+  }
+
+  markStaleSections();
+
+  // Track timing
+  if (observed) state.lastUpdated = new Date();
+  updateLastUpdated();
+  startTimerTick();
+}
+
+/**
+ * Render every view derived from campaign data and analysis settings.
+ * Called by render() and again whenever a setting changes (settings.js),
+ * so no API call is needed to see the effect of a new threshold.
+ */
+function renderViews() {
+  // Major Orders are projected from the same history as the campaigns
+  if (typeof renderOrders === 'function') {
+    renderOrders(state.assignments);
+  }
+
   // gambit.js is loaded after app.js, but by the time fetchAll() resolves
-  // these functions are always available.
-  if (typeof recordSnapshot === 'function') {
-    recordSnapshot(planets);
+  // these functions are always available. Gambits come before the
+  // campaign lists, whose filters (filters.js) look at them.
+  if (typeof refreshGambits === 'function') {
+    refreshGambits();
+  }
+
+  if (typeof renderWatchlist === 'function') {
+    renderWatchlist();
   }
-  if (typeof detectGambits === 'function' && typeof renderGambits === 'function') {
-    const gambits = detectGambits(state.liberationCampaigns, state.defenseCampaigns, war);
-    renderGambits(gambits);
+
+  if (typeof renderListToolbar === 'function') {
+    renderListToolbar();
   }
+  renderLiberation(state.liberationCampaigns);
+  renderDefense(state.defenseCampaigns);
 
   // Phase 3: Strategic Scout tab
   if (typeof renderScout === 'function') {
     renderScout();
   }
 
-  // Track timing
-  state.lastUpdated = new Date();
-  updateLastUpdated();
-  startTimerTick();
+  // Galaxy Map — drawn last so it can highlight gambit and scout targets
+  if (typeof renderMap === 'function') {
+    renderMap();
+  }
+
+  // Planet detail panel, if one is open
+  if (typeof renderPlanetDetail === 'function') {
+    renderPlanetDetail();
+  }
+
+  // Deployment plan, if open — it plans from the gambits above
+  if (typeof renderAllocationPanel === 'function') {
+    renderAllocationPanel();
+  }
+
+  tickTimers();
 }
 
 /**
- * Full data refresh. Shows/hides loading and error states as needed.
+ * Full data refresh. Shows/hides loading and error states as needed,
+ * then schedules the next one.
  */
 async function refresh() {
+  // Refreshing from a replay means going back to live data
+  if (state.replayTs != null && typeof exitReplay === 'function') {
+    exitReplay();
+    return;
+  }
+
+  // A manual refresh while one is running would just double the requests
+  if (state.refreshing) return;
+  state.refreshing = true;
+  clearTimeout(state.pollTimer);
+
   const btn = document.getElementById('refresh-btn');
   const loadingEl = document.getElementById('loading');
   const errorEl = document.getElementById('error-screen');
@@ -407,17 +433,40 @@ async function refresh() {
   // Spin the refresh icon without hiding content on subsequent loads
   if (btn) btn.setAttribute('data-loading', 'true');
 
+  // Set when an archive is opened or closed while this refresh is in flight
+  let superseded = false;
+
   try {
-    const data = await fetchAll();
+    // An open archive is re-rendered as it was — nothing is fetched
+    const archive = state.archive;
+    const data    = archive ? archive.data : await fetchAll();
+
+    // Persisted snapshots must be in memory before the first render,
+    // otherwise rates fall back to estimates until two refreshes pass.
+    await historyReady;
+
+    // A replay opened while this was in flight keeps the screen; an
+    // archive opened or closed meanwhile is loaded right after
+    if (state.replayTs != null) return;
+    if (state.archive !== archive) {
+      superseded = true;
+      return;
+    }
 
     // First successful load: reveal content
     if (loadingEl) loadingEl.style.display = 'none';
     if (errorEl) errorEl.classList.add('hidden');
     if (contentEl) contentEl.classList.remove('hidden');
 
-    render(data);
+    render(data, { observed: !archive });
+
+    // Every section served from cache means the uplink is still down —
+    // keep backing off rather than polling a dead API every minute
+    const allStale = !archive && Object.keys(data.stale ?? {}).length === Object.keys(HD2_ENDPOINTS).length;
+    state.failedRefreshes = allStale ? state.failedRefreshes + 1 : 0;
   } catch (err) {
     console.error('[GAMBIT] Uplink failure:', err);
+    state.failedRefreshes++;
 
     // Only show full error screen if content was never rendered
     const hasContent = contentEl && !contentEl.classList.contains('hidden');
@@ -429,23 +478,66 @@ async function refresh() {
         if (msgEl) msgEl.textContent = err.message ?? 'UPLINK FAILED';
       }
     }
-    // If we already have content, silently fail and show a stale-data indicator
+    // If we already have content, keep it on screen marked as stale
+    state.stale = Object.fromEntries(Object.keys(HD2_ENDPOINTS)
+      .map(name => [name, { error: err, fetchedAt: state.lastUpdated }]));
+    markStaleSections();
     updateLastUpdated();
   } finally {
     if (btn) btn.removeAttribute('data-loading');
+    state.refreshing = false;
+    if (superseded) refresh();
+    else scheduleRefresh();
   }
 }
 
+/**
+ * Queue the next automatic refresh. The delay follows the API's
+ * rate-limit window and backs off while the uplink is down (api.js).
+ */
+function scheduleRefresh() {
+  clearTimeout(state.pollTimer);
+  if (state.replayTs != null || state.archive) return;   // polling resumes when the replay / archive ends
+  state.pollTimer = setTimeout(refresh, nextPollDelay(state.failedRefreshes));
+}
+
+// ---- Overlay Panels ----------------------------------------
+
+// Escape closes whichever overlay panel is open through its ✕
+// button, so each panel's own close function does its clean-up.
+document.addEventListener('keydown', evt => {
+  if (evt.key !== 'Escape') return;
+  document.querySelectorAll('.detail-overlay:not(.hidden) .detail-close').forEach(btn => btn.click());
+});
+
 // ---- Init --------------------------------------------------
 
+// Start loading persisted snapshot history alongside the first fetch
+const historyReady = typeof loadSnapshotHistory === 'function'
+  ? loadSnapshotHistory()
+  : Promise.resolve();
+
 // Expose refresh globally so inline onclick handlers work
 window.refresh = refresh;
 
+// Flag any source other than the live API, so a mirror or recorded
+// fixture is never mistaken for the real war — and a requested
+// source that could not be used
+{
+  const badge = document.getElementById('data-source');
+  if (badge && (dataSource.kind !== 'live' || dataSource.error)) {
+    badge.textContent = dataSource.error ? `${dataSource.label} · BAD ?api=` : dataSource.label;
+    badge.title       = dataSource.error ?? dataSource.url('/api/v1/war');
+    badge.classList.add(dataSource.error ? 'error' : dataSource.kind);
+    badge.classList.remove('hidden');
+  }
+}
+
 // ---- Tab Switching -----------------------------------------
 
 /**
- * Switch between the Gambit Analysis and Strategic Scout tabs.
- * Called by the tab buttons' onclick handlers in index.html.
+ * Show one tab panel and mark its button active. Tab buttons go
+ * through goToTab() in router.js so the URL stays in sync.
  */
 function switchTab(tabName) {
   document.querySelectorAll('.tab-panel').forEach(p => p.classList.add('hidden'));
@@ -456,11 +548,38 @@ function switchTab(tabName) {
 
 window.switchTab = switchTab;
 
-// Initial load
-refresh();
+/**
+ * Find a planet's card: its gambit card if it has one, else its
+ * campaign card, else a Strategic Scout entry.
+ */
+function findPlanetCard(planetIndex) {
+  return ['.gambit-card', '.planet-card', '.scout-target']
+    .map(sel => document.querySelector(`${sel}[data-planet-index="${planetIndex}"]`))
+    .find(Boolean) ?? null;
+}
+
+/**
+ * Bring a planet's card into view. Switches to the tab that holds
+ * the card and briefly highlights it.
+ *
+ * @returns {boolean} false if no card exists for the planet
+ */
+function focusPlanetCard(planetIndex) {
+  const card = findPlanetCard(planetIndex);
+  if (!card) return false;
+
+  const panel = card.closest('.tab-panel');
+  if (panel) switchTab(panel.id.replace('tab-', ''));
+
+  card.scrollIntoView({ behavior: 'smooth', block: 'center' });
+  card.classList.remove('card-focus');
+  void card.offsetWidth; // restart the highlight animation
+  card.classList.add('card-focus');
+  return true;
+}
 
-// Auto-refresh every 60 seconds
-setInterval(refresh, 60_000);
+// Initial load — each refresh schedules the next
+refresh();
 
 // Update "X seconds ago" label every 15 seconds
 setInterval(updateLastUpdated, 15_000);
@@ -0,0 +1,378 @@
+// ============================================================
+// GAMBIT HD2 — Export / Import
+//
+// Gets data out of the app and back in:
+//
+//   export — the gambit and scout results on screen and the
+//            snapshot history, each as JSON or CSV for
+//            spreadsheets, or all of it as one archive bundle
+//   import — opens an archive bundle read-only ("archived"
+//            mode): the war is shown exactly as it was exported,
+//            with the clock stopped at the export time and the
+//            archive's history behind every rate, trend and
+//            replay. Nothing is fetched, recorded or alerted
+//            until the archive is closed.
+//
+// An archive bundle:
+//
+//   { format: 'gambit-hd2-archive', version, exportedAt, clock,
+//     source, settings, data: { war, campaigns, assignments,
+//     planets }, gambits, scout, snapshots }
+//
+// `data` is what the analysis runs on; `gambits` and `scout` are
+// the results as exported (gambitSummary / scoutSummary), kept
+// so a bug report shows what the exporting version computed.
+// tools/gambit.js --file reads bundles too.
+//
+// Depends on globals from core.js (state, clockNow), app.js
+// (refresh), history.js (historyView, setArchivedSnapshots),
+// gambit.js (gambitSummary), scout.js (detectScoutTargets, scoutSummary),
+// replay.js (replay, exitReplay), api.js (dataSource),
+// settings.js (settings) and html.js (html).
+// ============================================================
+
+const ARCHIVE_FORMAT  = 'gambit-hd2-archive';
+const ARCHIVE_VERSION = 1;
+
+// What can be exported on its own, as JSON or CSV
+const EXPORT_KINDS = {
+  gambits:   'GAMBITS',
+  scout:     'SCOUT TARGETS',
+  snapshots: 'SNAPSHOT HISTORY',
+};
+
+// ---- Export ------------------------------------------------
+
+/** The raw data on screen, in fetchAll() shape. */
+function currentWarData() {
+  return {
+    war:         state.war,
+    campaigns:   [...state.liberationCampaigns, ...state.defenseCampaigns],
+    assignments: state.assignments,
+    planets:     state.allPlanets,
+  };
+}
+
+function currentScout() {
+  return detectScoutTargets(state.defenseCampaigns, state.liberationCampaigns, state.graph);
+}
+
+/**
+ * Everything on screen as an archive bundle. During a replay that is
+ * the replayed moment, with the history up to it.
+ */
+function buildArchive() {
+  return {
+    format:     ARCHIVE_FORMAT,
+    version:    ARCHIVE_VERSION,
+    exportedAt: new Date().toISOString(),
+    clock:      new Date(clockNow()).toISOString(),
+    source:     state.archive ? state.archive.source : dataSource.label,
+    settings:   { ...settings, briefingWebhook: undefined },
+    data:       currentWarData(),
+    gambits:    (state.gambits ?? []).map(gambitSummary),
+    scout:      currentScout().map(scoutSummary),
+    snapshots:  [...historyView],
+  };
+}
+
+/** One CSV field, quoted when it needs to be. */
+function csvField(value) {
+  if (value == null) return '';
+  const text = Array.isArray(value) ? value.join('; ') : String(value);
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function toCsv(header, rows) {
+  return [header, ...rows].map(row => row.map(csvField).join(',')).join('\r\n') + '\r\n';
+}
+
+function gambitsCsv(summaries) {
+  return toCsv(
+    ['planet', 'planet_index', 'faction', 'lib_pct', 'net_rate_pct_hr', 'rate_estimated', 'eta_hours',
+      'players', 'players_min', 'players_recommended', 'defenses', 'defense_hours_left',
+      'success_pct', 'heuristic_pct', 'probability', 'scoring_model', 'tier', 'recommendation',
+      'confirmed_attacker', 'major_order'],
+    summaries.map(s => [
+      s.planet, s.planetIndex, s.faction, s.libPct.toFixed(2), s.netRatePctHr?.toFixed(4), s.rateEstimated,
+      s.etaHours?.toFixed(2), s.players, s.playersNeeded?.min, s.playersNeeded?.recommended,
+      s.defenses.map(d => d.planet),
+      s.defenses.length ? Math.min(...s.defenses.map(d => d.hoursLeft ?? Infinity)).toFixed(2) : null,
+      s.successPct, s.heuristicPct, s.probability?.toFixed(3), s.scoringModel, s.tier, s.recommendation,
+      s.confirmedAttacker, s.majorOrder,
+    ]),
+  );
+}
+
+function scoutCsv(summaries) {
+  return toCsv(
+    ['defense', 'defense_index', 'defense_faction', 'hours_left', 'integrity_pct',
+      'target', 'target_index', 'target_faction', 'hops', 'regen_pct_hr', 'cuts_off', 'isolates', 'major_order'],
+    summaries.flatMap(s => s.targets.map(t => [
+      s.defense, s.planetIndex, s.faction, s.hoursLeft?.toFixed(2), s.integrityPct.toFixed(2),
+      t.planet, t.planetIndex, t.faction, t.hops, t.regenPctHr?.toFixed(4), t.cutsOff, t.isolates, t.majorOrder,
+    ])),
+  );
+}
+
+/**
+ * Snapshot history in long form: one row per snapshot and planet,
+ * for planets that were in a campaign, defended or had divers —
+ * the rest of the galaxy would only bloat the sheet.
+ */
+function snapshotsCsv(list) {
+  const rows = [];
+  for (const snap of list) {
+    const time      = new Date(snap.ts).toISOString();
+    const campaigns = new Set(snap.campaigns ?? []);
+    for (const [index, health] of Object.entries(snap.health)) {
+      const i       = Number(index);
+      const players = snap.players[i] ?? 0;
+      const d       = snap.defense?.[i];
+      if (!campaigns.has(i) && !d && !players) continue;
+      rows.push([
+        time, i, state.planetMap[i] ?? '', snap.owners ? snap.owners[i] ?? 'Humans' : '',
+        health, players, campaigns.has(i), d?.id, d?.health, d?.maxHealth, d?.endTime, snap.impact,
+      ]);
+    }
+  }
+  return toCsv(
+    ['time', 'planet_index', 'planet', 'owner', 'health', 'players', 'in_campaign',
+      'defense_id', 'defense_health', 'defense_max_health', 'defense_end_time', 'impact_multiplier'],
+    rows,
+  );
+}
+
+/** Save `text` as a file through the browser's download. */
+function downloadFile(name, text, type) {
+  const url  = URL.createObjectURL(new Blob([text], { type }));
+  const link = document.createElement('a');
+  link.href     = url;
+  link.download = name;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 1_000);
+}
+
+function exportFileName(what, ext) {
+  const stamp = new Date(clockNow()).toISOString().slice(0, 16).replace(/[-:]/g, '').replace('T', '-');
+  return `gambit-hd2-${what}-${stamp}.${ext}`;
+}
+
+/**
+ * Download one export.
+ *
+ * @param {'archive' | keyof EXPORT_KINDS} kind
+ * @param {'json' | 'csv'} [format]
+ */
+function exportData(kind, format = 'json') {
+  if (kind === 'archive') {
+    downloadFile(exportFileName('archive', 'json'), JSON.stringify(buildArchive()), 'application/json');
+    return;
+  }
+
+  const items = {
+    gambits:   () => (state.gambits ?? []).map(gambitSummary),
+    scout:     () => currentScout().map(scoutSummary),
+    snapshots: () => [...historyView],
+  }[kind]();
+
+  if (format === 'csv') {
+    const csv = { gambits: gambitsCsv, scout: scoutCsv, snapshots: snapshotsCsv }[kind](items);
+    downloadFile(exportFileName(kind, 'csv'), csv, 'text/csv');
+  } else {
+    downloadFile(exportFileName(kind, 'json'), JSON.stringify(items, null, 2), 'application/json');
+  }
+}
+
+// ---- Import ------------------------------------------------
+
+/** An error in an imported file, shown in the panel. */
+class ArchiveError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ArchiveError';
+  }
+}
+
+const isArchiveRecord = value => value != null && typeof value === 'object' && !Array.isArray(value);
+
+/** Every key of `map` is a planet index and every value passes `valid`. */
+function isArchivePlanetMap(map, valid) {
+  return isArchiveRecord(map) && Object.entries(map).every(([key, value]) => /^\d+$/.test(key) && valid(value));
+}
+
+/**
+ * A snapshot as history.js snapshotEntry() records it. Planet
+ * indices end up in state and in the rendered cards, so every map
+ * is checked, not just its presence.
+ */
+function isArchivedSnapshot(s) {
+  return isArchiveRecord(s) && Number.isFinite(s.ts)
+    && isArchivePlanetMap(s.health, Number.isFinite)
+    && isArchivePlanetMap(s.players, Number.isFinite)
+    && isArchivePlanetMap(s.defense ?? {}, isArchiveRecord)
+    && isArchivePlanetMap(s.owners ?? {}, owner => typeof owner === 'string')
+    && isArchivePlanetMap(s.attacking ?? {}, list => Array.isArray(list) && list.every(Number.isInteger))
+    && isArchiveRecord(s.orders ?? {})
+    && Array.isArray(s.campaigns ?? []) && (s.campaigns ?? []).every(Number.isInteger);
+}
+
+/**
+ * Check a parsed bundle and turn it into state.archive. A bundle is
+ * a file someone shared: every planet and campaign must carry an
+ * integer planet index, and snapshots that don't check out are
+ * left out.
+ *
+ * @throws {ArchiveError}
+ */
+function parseArchive(bundle, fileName) {
+  if (bundle?.format !== ARCHIVE_FORMAT) throw new ArchiveError('Not a GAMBIT HD2 archive bundle');
+  if (!(bundle.version <= ARCHIVE_VERSION)) {
+    throw new ArchiveError(`Archive version ${bundle.version} is newer than this app understands`);
+  }
+
+  const { war, campaigns, assignments, planets } = bundle.data ?? {};
+  if (!Array.isArray(planets) || !Array.isArray(campaigns)) throw new ArchiveError('Archive has no planet or campaign data');
+  if (!planets.every(p => Number.isInteger(p?.index))) throw new ArchiveError('Archive has a planet without a valid index');
+  if (!campaigns.every(c => Number.isInteger(c?.planet?.index))) {
+    throw new ArchiveError('Archive has a campaign without a valid planet index');
+  }
+
+  const clock = Date.parse(bundle.clock ?? bundle.exportedAt ?? '');
+  if (!isFinite(clock)) throw new ArchiveError('Archive has no valid export time');
+
+  const history = (Array.isArray(bundle.snapshots) ? bundle.snapshots : [])
+    .filter(isArchivedSnapshot)
+    .sort((a, b) => a.ts - b.ts);
+
+  return {
+    name:      fileName,
+    source:    bundle.source ?? 'UNKNOWN',
+    clock,
+    data:      { war: war ?? null, campaigns, assignments: assignments ?? [], planets, stale: {} },
+    snapshots: history,
+  };
+}
+
+/** Show an archive read-only in place of live data. */
+function openArchive(archive) {
+  state.archive = archive;
+  setArchivedSnapshots(archive.snapshots);
+  updateArchiveBadge();
+
+  // Leaving a replay re-renders through refresh(), which now shows the archive
+  if (replay) exitReplay();
+  else refresh();
+}
+
+/** Back to live data: resume fetching and recording. */
+function closeArchive() {
+  if (!state.archive) return;
+
+  state.archive = null;
+  setArchivedSnapshots(null);
+  updateArchiveBadge();
+
+  if (replay) exitReplay();
+  else refresh();
+  renderArchivePanel();
+}
+
+async function importArchiveFile(input) {
+  const file = input.files?.[0];
+  if (!file) return;
+  try {
+    openArchive(parseArchive(JSON.parse(await file.text()), file.name));
+    renderArchivePanel();
+  } catch (err) {
+    renderArchivePanel(err instanceof ArchiveError ? err.message : `Could not read ${file.name} — ${err.message}`);
+  }
+}
+
+// ---- Rendering ---------------------------------------------
+
+/** Header badge while an archive is open. */
+function updateArchiveBadge() {
+  const badge = document.getElementById('archive-badge');
+  if (!badge) return;
+  badge.classList.toggle('hidden', !state.archive);
+  if (!state.archive) return;
+  badge.textContent = `ARCHIVE: ${state.archive.name}`;
+  badge.title       = `Read-only view of ${state.archive.source} data as of ${new Date(state.archive.clock).toLocaleString()}. Click to export or close it.`;
+}
+
+function renderArchivePanel(error = '') {
+  const content = document.getElementById('archive-content');
+  if (!content || document.getElementById('archive-panel')?.classList.contains('hidden')) return;
+
+  const archive = state.archive;
+  const exportRows = Object.entries(EXPORT_KINDS).map(([kind, label]) => html`
+    <div class="setting-row">
+      <label class="setting-label">${label}</label>
+      <div class="setting-control">
+        <button class="btn-action" onclick="exportData('${kind}', 'json')">JSON</button>
+        <button class="btn-action" onclick="exportData('${kind}', 'csv')">CSV</button>
+      </div>
+    </div>`);
+
+  content.innerHTML = html`
+    <div class="detail-header">
+      <div>
+        <div class="gambit-label">${archive ? 'VIEWING AN ARCHIVE — READ ONLY' : 'SAVE OR OPEN A WAR STATE'}</div>
+        <div class="gambit-planet-title">EXPORT / IMPORT</div>
+      </div>
+    </div>
+
+    ${archive && html`
+      <div class="detail-section">
+        <div class="gambit-section-label">OPEN ARCHIVE</div>
+        <div class="archive-summary">
+          ${archive.name} · ${archive.source} data as of ${new Date(archive.clock).toLocaleString()} ·
+          ${archive.snapshots.length.toLocaleString()} snapshots
+        </div>
+        <div class="alert-controls">
+          <button class="btn-action" onclick="closeArchive()">CLOSE ARCHIVE — BACK TO LIVE</button>
+        </div>
+      </div>`}
+
+    <div class="detail-section">
+      <div class="gambit-section-label">EXPORT ${state.replayTs != null ? '— THE REPLAYED MOMENT' : ''}</div>
+      <div class="setting-row">
+        <label class="setting-label">ARCHIVE BUNDLE</label>
+        <div class="setting-control">
+          <button class="btn-action" onclick="exportData('archive')">JSON</button>
+        </div>
+        <div class="setting-help">War state, results and history in one file that can be imported again.</div>
+      </div>
+      ${exportRows}
+    </div>
+
+    <div class="detail-section">
+      <div class="gambit-section-label">IMPORT</div>
+      <div class="alert-controls">
+        <label class="btn-action archive-file">
+          OPEN ARCHIVE BUNDLE…
+          <input type="file" accept=".json,application/json" onchange="importArchiveFile(this)" hidden>
+        </label>
+      </div>
+      ${error && html`<div class="setting-error">${error}</div>`}
+      <div class="setting-help">Opens read-only: nothing is fetched, recorded or alerted until the archive is closed.</div>
+    </div>`;
+}
+
+function openArchivePanel() {
+  document.getElementById('archive-panel')?.classList.remove('hidden');
+  renderArchivePanel();
+}
+
+function closeArchivePanel() {
+  document.getElementById('archive-panel')?.classList.add('hidden');
+}
+
+window.openArchivePanel  = openArchivePanel;
+window.closeArchivePanel = closeArchivePanel;
+window.exportData        = exportData;
+window.importArchiveFile = importArchiveFile;
+window.closeArchive      = closeArchive;
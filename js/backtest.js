@@ -0,0 +1,507 @@
+// ============================================================
+// GAMBIT HD2 — Backtesting
+//
+// Scores the gambit model against what actually happened. A
+// recording is a time-ordered sequence of API snapshots:
+//
+//   { name?, description?, frames: [
+//       { ts, war, campaigns, assignments, planets }, …
+//   ] }
+//
+// A bare array of frames works too. `ts` is epoch ms or ISO, and
+// a campaign's planet may be just { index } to keep files small.
+//
+// detectGambits() is re-run every `stepMs` with only the history
+// up to that frame, and each prediction is checked against how
+// the campaign actually resolved later in the recording:
+//
+//   success — the planet was liberated before any connected
+//             defense fell
+//   failure — the liberation campaign ended without liberation,
+//             or a connected defense fell first
+//
+// Predictions whose campaign never resolves are left out.
+//
+// The report has Brier scores (headline score, point score and
+// Monte Carlo probability, against a base-rate baseline), a
+// calibration table and hit rates by risk tier. The point score
+// is not a probability; its Brier score says how far it is from
+// behaving like one. The Monte Carlo column needs the Monte Carlo
+// model selected — simulating every gambit of every frame just for
+// the comparison would make a point-score backtest many times
+// slower.
+//
+// Runs in the browser (BACKTEST panel, on recorded history or a
+// recording file) and under Node (tools/backtest.js). The browser
+// evaluates a few frames at a time and yields to the page in
+// between, so a week of history does not freeze it.
+//
+// Depends on globals from core.js (state, ingest, fmt), history.js
+// (activeSnapshots, snapshotEntry, withHistoryView), gambit.js
+// (detectGambits), calibration.js (fitCalibration,
+// calibrationSamples) and, in the browser, replay.js
+// (buildReplayData) and html.js (html).
+// ============================================================
+
+const BACKTEST_STEP_MS = 3_600_000;   // default spacing of evaluated frames
+const BACKTEST_BINS    = 10;          // calibration table buckets
+
+const BACKTEST_TIERS = ['OPTIMAL', 'FAVORABLE', 'VIABLE', 'RISKY', 'CRITICAL'];
+
+// ---- Recording ---------------------------------------------
+
+/**
+ * Sort and index the frames of a recording. Campaign planets are
+ * resolved against the frame's planet list.
+ *
+ * @returns {Array} frames — each with planetByIndex and campaignPlanets added
+ */
+function normalizeRecording(recording) {
+  const frames = Array.isArray(recording) ? recording : recording?.frames ?? [];
+
+  return frames
+    .map(frame => {
+      const planets       = frame.planets ?? [];
+      const planetByIndex = new Map(planets.map(p => [p.index, p]));
+      const campaigns     = (frame.campaigns ?? [])
+        .map(c => ({ ...c, planet: planetByIndex.get(c.planet?.index) ?? c.planet }))
+        .filter(c => c.planet);
+
+      return {
+        ...frame,
+        ts:              typeof frame.ts === 'number' ? frame.ts : Date.parse(frame.ts),
+        planets,
+        campaigns,
+        assignments:     frame.assignments ?? [],
+        planetByIndex,
+        campaignPlanets: new Set(campaigns.map(c => c.planet.index)),
+      };
+    })
+    .filter(frame => isFinite(frame.ts))
+    .sort((a, b) => a.ts - b.ts);
+}
+
+// ---- Resolution --------------------------------------------
+
+/**
+ * How a campaign seen at frame `from` ended, from the frames after it.
+ * A liberation is identified by planet alone, a defense also by its
+ * event id.
+ *
+ * @returns {{ result: 'liberated' | 'failed' | 'held' | 'fell', at: number } | null}
+ *          null while unresolved at the end of the recording
+ */
+function campaignResolution(frames, from, planetIndex, eventId = null) {
+  for (let j = from + 1; j < frames.length; j++) {
+    const frame  = frames[j];
+    const planet = frame.planetByIndex.get(planetIndex);
+    if (!planet) continue;
+
+    if (eventId == null) {
+      if (planet.currentOwner === 'Humans') return { result: 'liberated', at: frame.ts };
+      if (!frame.campaignPlanets.has(planetIndex)) return { result: 'failed', at: frame.ts };
+    } else {
+      if (planet.currentOwner !== 'Humans') return { result: 'fell', at: frame.ts };
+      if (planet.event?.id !== eventId) return { result: 'held', at: frame.ts };
+    }
+  }
+  return null;
+}
+
+/**
+ * Actual outcome of a gambit detected at frame `from`.
+ *
+ * @returns {{ success: boolean, at: number, reason: string } | null}
+ */
+function gambitOutcome(frames, from, g) {
+  const lib = campaignResolution(frames, from, g.libCampaign.planet.index);
+  if (!lib) return null;
+  if (lib.result !== 'liberated') return { success: false, at: lib.at, reason: 'liberation failed' };
+
+  const lostFirst = g.connectedDefenses
+    .map(dc => campaignResolution(frames, from, dc.planet.index, dc.planet.event?.id))
+    .find(r => r?.result === 'fell' && r.at <= lib.at);
+  return lostFirst
+    ? { success: false, at: lostFirst.at, reason: 'defense fell first' }
+    : { success: true, at: lib.at, reason: 'liberated' };
+}
+
+// ---- Replay of the Model -----------------------------------
+
+/**
+ * Run gambit detection as of `frame`, seeing only `history`.
+ * Shared state (core.js state, the calibration fit) is restored
+ * afterwards, so this is safe to run next to the live app.
+ */
+function analyseFrame(frame, history) {
+  const savedState       = { ...state };
+  const savedCalibration = calibration;
+
+  try {
+    state.replayTs = frame.ts;
+    ingest({ war: frame.war, campaigns: frame.campaigns, assignments: frame.assignments, planets: frame.planets });
+
+    return withHistoryView(history, () => {
+      calibration = fitCalibration(calibrationSamples(state.allPlanets));
+      return detectGambits(state.liberationCampaigns, state.defenseCampaigns, state.war, state.graph);
+    });
+  } finally {
+    Object.assign(state, savedState);
+    calibration = savedCalibration;
+  }
+}
+
+/**
+ * Set up a backtest over a recording: the frames, the history each
+ * one may see and which frames are evaluated. Advance it with
+ * stepBacktest() and read the result with finishBacktest().
+ *
+ * @param {Object|Array} recording
+ * @param {Object} [opts]
+ * @param {number} [opts.stepMs] - minimum time between evaluated frames
+ */
+function startBacktest(recording, { stepMs = BACKTEST_STEP_MS } = {}) {
+  const frames  = normalizeRecording(recording);
+  const history = frames.map(f => snapshotEntry(f.ts, f.planets, f.war, f.assignments, f.campaigns));
+
+  const todo = [];
+  let lastTs = -Infinity;
+  frames.forEach((frame, i) => {
+    if (frame.ts - lastTs < stepMs) return;
+    lastTs = frame.ts;
+    todo.push(i);
+  });
+
+  return { name: recording?.name ?? null, frames, history, todo, done: 0, predictions: [] };
+}
+
+/** Evaluate the next frame of a backtest. False once every frame is done. */
+function stepBacktest(run) {
+  if (run.done >= run.todo.length) return false;
+  const i     = run.todo[run.done++];
+  const frame = run.frames[i];
+
+  for (const g of analyseFrame(frame, run.history.slice(0, i + 1))) {
+    const planet = g.libCampaign.planet;
+    run.predictions.push({
+      ts:             frame.ts,
+      planetIndex:    planet.index,
+      planet:         planet.name ?? `PLANET #${planet.index}`,
+      tier:           g.risk.label,
+      successPct:     g.successPct,
+      heuristicPct:   g.heuristicPct,
+      simProbability: g.scoringModel === 'montecarlo' ? g.simulation.probability : null,
+      scoringModel:   g.scoringModel,
+      hasDefense:     g.connectedDefenses.length > 0,
+      outcome:        gambitOutcome(run.frames, i, g),
+    });
+  }
+  return true;
+}
+
+/**
+ * The report of a finished backtest.
+ *
+ * @returns {{
+ *   name, frames, from, to, evaluated,
+ *   predictions: Array,   one per gambit per evaluated frame, with `outcome` (null if unresolved)
+ *   campaigns:   Array,   how every campaign in the recording resolved
+ *   metrics:     Object,  scoreBacktest() of the resolved predictions
+ * }}
+ */
+function finishBacktest(run) {
+  const { frames, predictions } = run;
+  return {
+    name:      run.name,
+    frames:    frames.length,
+    from:      frames[0]?.ts ?? null,
+    to:        frames[frames.length - 1]?.ts ?? null,
+    evaluated: run.done,
+    predictions,
+    campaigns: recordingCampaigns(frames),
+    metrics:   scoreBacktest(predictions.filter(p => p.outcome)),
+  };
+}
+
+/** Backtest the gambit model over a recording, in one go (see startBacktest). */
+function runBacktest(recording, opts) {
+  const run = startBacktest(recording, opts);
+  while (stepBacktest(run));
+  return finishBacktest(run);
+}
+
+/** Every campaign in the recording, from first sighting to resolution. */
+function recordingCampaigns(frames) {
+  const seen = new Map();
+  frames.forEach((frame, i) => {
+    for (const c of frame.campaigns) {
+      const eventId = c.planet.event?.id ?? null;
+      const key     = `${c.planet.index}:${eventId ?? 'lib'}`;
+      if (seen.has(key)) continue;
+      seen.set(key, {
+        planetIndex: c.planet.index,
+        planet:      c.planet.name ?? `PLANET #${c.planet.index}`,
+        kind:        eventId == null ? 'liberation' : 'defense',
+        firstSeen:   frame.ts,
+        ...(campaignResolution(frames, i, c.planet.index, eventId) ?? { result: 'unresolved', at: null }),
+      });
+    }
+  });
+  return [...seen.values()];
+}
+
+// ---- Scoring -----------------------------------------------
+
+/** Mean squared error of [probability, outcome 0/1] pairs, or null. */
+function brierScore(pairs) {
+  if (!pairs.length) return null;
+  return pairs.reduce((sum, [p, o]) => sum + (p - o) ** 2, 0) / pairs.length;
+}
+
+/**
+ * Brier scores, calibration table and tier hit rates for resolved
+ * predictions.
+ */
+function scoreBacktest(resolved) {
+  const outcome   = p => (p.outcome.success ? 1 : 0);
+  const successes = resolved.filter(p => p.outcome.success).length;
+  const baseRate  = resolved.length ? successes / resolved.length : null;
+  const withSim   = resolved.filter(p => p.simProbability != null);
+
+  const calibration_ = Array.from({ length: BACKTEST_BINS }, (_, b) => {
+    const from = b / BACKTEST_BINS;
+    const to   = (b + 1) / BACKTEST_BINS;
+    const bin  = resolved.filter(p => {
+      const prob = p.successPct / 100;
+      return prob >= from && (prob < to || (b === BACKTEST_BINS - 1 && prob <= to));
+    });
+    return {
+      from,
+      to,
+      n:         bin.length,
+      predicted: bin.length ? bin.reduce((s, p) => s + p.successPct / 100, 0) / bin.length : null,
+      observed:  bin.length ? bin.filter(p => p.outcome.success).length / bin.length : null,
+    };
+  });
+
+  const tiers = BACKTEST_TIERS.map(tier => {
+    const inTier = resolved.filter(p => p.tier === tier);
+    const hits   = inTier.filter(p => p.outcome.success).length;
+    return {
+      tier,
+      n:         inTier.length,
+      hits,
+      rate:      inTier.length ? hits / inTier.length : null,
+      predicted: inTier.length ? inTier.reduce((s, p) => s + p.successPct / 100, 0) / inTier.length : null,
+    };
+  });
+
+  return {
+    resolved: resolved.length,
+    successes,
+    baseRate,
+    brier: {
+      score:      brierScore(resolved.map(p => [p.successPct / 100, outcome(p)])),
+      pointScore: brierScore(resolved.map(p => [p.heuristicPct / 100, outcome(p)])),
+      monteCarlo: brierScore(withSim.map(p => [p.simProbability, outcome(p)])),
+      baseline:   brierScore(resolved.map(p => [baseRate, outcome(p)])),
+    },
+    calibration: calibration_,
+    tiers,
+  };
+}
+
+// ---- Browser -----------------------------------------------
+
+/**
+ * Turn the recorded snapshot history into a recording, using the
+ * current live data for what snapshots don't store (replay.js).
+ */
+function historyRecording() {
+  const live = replay?.live ?? {
+    war:         state.war,
+    campaigns:   [...state.liberationCampaigns, ...state.defenseCampaigns],
+    assignments: state.assignments,
+    planets:     state.allPlanets,
+  };
+  return {
+    name:   state.archive ? `Archive: ${state.archive.name}` : 'Recorded history',
+    frames: activeSnapshots().map(snap => ({ ts: snap.ts, ...buildReplayData(snap, live) })),
+  };
+}
+
+const BACKTEST_SLICE_MS = 50;   // browser work between yields to the page
+
+// Latest browser result, kept while the panel is closed
+let backtestResult = null;
+
+// Token of the browser run in progress; replaced or cleared to stop it
+let backtestRun = null;
+
+function fmtBacktestPct(value) {
+  return value == null ? '—' : `${(value * 100).toFixed(0)}%`;
+}
+
+function fmtBacktestBrier(value) {
+  return value == null ? '—' : value.toFixed(3);
+}
+
+function renderBacktestResult(result) {
+  const m = result.metrics;
+  if (!m.resolved) {
+    return html`
+      <div class="detail-section">
+        <div class="empty-state">NO RESOLVED PREDICTIONS — ${result.predictions.length} gambit predictions over
+          ${result.evaluated} steps, but none of their campaigns ended within the recording.</div>
+      </div>`;
+  }
+
+  const range = `${new Date(result.from).toLocaleString()} → ${new Date(result.to).toLocaleString()}`;
+  const row   = cells => html`<tr>${cells.map(c => html`<td>${c}</td>`)}</tr>`;
+
+  return html`
+    <div class="detail-section">
+      <div class="gambit-section-label">${result.name ?? 'RECORDING'}</div>
+      <div class="backtest-summary">
+        ${range} · ${result.frames} frames · ${result.evaluated} evaluated ·
+        ${m.resolved} of ${result.predictions.length} predictions resolved · ${fmtBacktestPct(m.baseRate)} succeeded
+      </div>
+    </div>
+
+    <div class="detail-section">
+      <div class="gambit-section-label">BRIER SCORE (LOWER IS BETTER)</div>
+      <table class="backtest-table">
+        <tr><th>Headline score</th><th>Point score</th><th>Monte Carlo</th><th>Base rate</th></tr>
+        ${row([fmtBacktestBrier(m.brier.score), fmtBacktestBrier(m.brier.pointScore), fmtBacktestBrier(m.brier.monteCarlo), fmtBacktestBrier(m.brier.baseline)])}
+      </table>
+    </div>
+
+    <div class="detail-section">
+      <div class="gambit-section-label">HIT RATE BY TIER</div>
+      <table class="backtest-table">
+        <tr><th>Tier</th><th>Predictions</th><th>Succeeded</th><th>Hit rate</th><th>Avg. score</th></tr>
+        ${m.tiers.map(t => row([t.tier, t.n, t.hits, fmtBacktestPct(t.rate), fmtBacktestPct(t.predicted)]))}
+      </table>
+    </div>
+
+    <div class="detail-section">
+      <div class="gambit-section-label">CALIBRATION</div>
+      <table class="backtest-table">
+        <tr><th>Score</th><th>Predictions</th><th>Avg. score</th><th>Succeeded</th></tr>
+        ${m.calibration.filter(b => b.n).map(b =>
+          row([`${b.from * 100}–${b.to * 100}`, b.n, fmtBacktestPct(b.predicted), fmtBacktestPct(b.observed)]))}
+      </table>
+    </div>
+
+    <div class="detail-section">
+      <div class="gambit-section-label">CAMPAIGN RESOLUTIONS</div>
+      <table class="backtest-table">
+        <tr><th>Planet</th><th>Campaign</th><th>Result</th><th>At</th></tr>
+        ${result.campaigns.map(c => row([
+          c.planet, c.kind.toUpperCase(), c.result.toUpperCase(), c.at ? new Date(c.at).toLocaleString() : '—',
+        ]))}
+      </table>
+    </div>`;
+}
+
+function renderBacktestPanel(message = '') {
+  const content = document.getElementById('backtest-content');
+  if (!content || document.getElementById('backtest-panel')?.classList.contains('hidden')) return;
+
+  content.innerHTML = html`
+    <div class="detail-header">
+      <div>
+        <div class="gambit-label">SCORE THE MODEL AGAINST RESOLVED CAMPAIGNS</div>
+        <div class="gambit-planet-title">BACKTEST</div>
+      </div>
+    </div>
+
+    <div class="alert-controls">
+      ${backtestRun
+        ? html`<button class="btn-action" onclick="stopBacktest()">STOP</button>`
+        : html`
+          <button class="btn-action" onclick="runHistoryBacktest()"${activeSnapshots().length < 2 ? ' disabled' : ''}>
+            RUN ON ${state.archive ? 'ARCHIVED' : 'RECORDED'} HISTORY (${fmt(activeSnapshots().length)} SNAPSHOTS)
+          </button>
+          <label class="btn-action backtest-file">
+            LOAD RECORDING…
+            <input type="file" accept=".json,application/json" onchange="runFileBacktest(this)" hidden>
+          </label>`}
+    </div>
+
+    ${message && html`<div class="detail-section backtest-summary">${message}</div>`}
+    ${backtestResult && renderBacktestResult(backtestResult)}`;
+}
+
+/**
+ * Run a backtest in slices of about BACKTEST_SLICE_MS, yielding to
+ * the page between them so it stays responsive, with the progress
+ * in the panel. Closing the panel or STOP ends the run.
+ */
+async function runBacktestInSlices(label, getRecording) {
+  const token = {};
+  backtestRun = token;
+  const yieldToPage = () => new Promise(resolve => setTimeout(resolve, 0));
+
+  renderBacktestPanel(`RUNNING ON ${label}…`);
+  try {
+    await yieldToPage();   // let the message paint before the recording is built
+    const run = startBacktest(getRecording());
+
+    while (run.done < run.todo.length) {
+      if (backtestRun !== token) return;
+      const sliceEnd = performance.now() + BACKTEST_SLICE_MS;
+      while (performance.now() < sliceEnd && stepBacktest(run));
+      renderBacktestPanel(`RUNNING ON ${label}… ${fmt(run.done)} / ${fmt(run.todo.length)} STEPS`);
+      await yieldToPage();
+    }
+    if (backtestRun !== token) return;
+
+    backtestRun    = null;
+    backtestResult = finishBacktest(run);
+    renderBacktestPanel();
+  } catch (err) {
+    if (backtestRun !== token) return;
+    backtestRun = null;
+    console.error('[GAMBIT] Backtest failed:', err);
+    renderBacktestPanel(`BACKTEST FAILED — ${err.message}`);
+  }
+}
+
+function stopBacktest() {
+  backtestRun = null;
+  renderBacktestPanel('BACKTEST STOPPED');
+}
+
+function runHistoryBacktest() {
+  runBacktestInSlices('RECORDED HISTORY', historyRecording);
+}
+
+async function runFileBacktest(input) {
+  const file = input.files?.[0];
+  if (!file) return;
+  let recording;
+  try {
+    recording = JSON.parse(await file.text());
+  } catch (err) {
+    renderBacktestPanel(`NOT A VALID RECORDING — ${err.message}`);
+    return;
+  }
+  runBacktestInSlices(file.name.toUpperCase(), () => ({ name: file.name, ...recording }));
+}
+
+function openBacktestPanel() {
+  document.getElementById('backtest-panel')?.classList.remove('hidden');
+  renderBacktestPanel();
+}
+
+function closeBacktestPanel() {
+  backtestRun = null;
+  document.getElementById('backtest-panel')?.classList.add('hidden');
+}
+
+window.openBacktestPanel  = openBacktestPanel;
+window.closeBacktestPanel = closeBacktestPanel;
+window.runHistoryBacktest = runHistoryBacktest;
+window.runFileBacktest    = runFileBacktest;
+window.stopBacktest       = stopBacktest;
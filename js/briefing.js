@@ -0,0 +1,317 @@
+// ============================================================
+// GAMBIT HD2 — Squad Briefings
+//
+// Text versions of the gambit cards for pasting into Discord or
+// any other chat, so nobody has to screenshot cards: one gambit
+// (SHARE BRIEFING on its card) or the whole Gambit tab (the same
+// button in the section header). Three variants:
+//
+//   discord — Discord markdown; times are <t:…> tags, which
+//             Discord shows in each reader's own time zone
+//   plain   — plain text with local times
+//   compact — one line per gambit
+//
+// A briefing is copied to the clipboard, and can be POSTed to the
+// webhook set in settings as { "content": … } — the body Discord
+// webhooks take. Long briefings are split into several messages
+// to fit Discord's message limit.
+//
+// Depends on globals from core.js (state, clockNow, factionLabel,
+// fmt, defPct), gambit.js (gambitBeneficiaries,
+// getRecommendation, fmtRate, fmtGambitEta), defense.js
+// (projectDefense), filters.js (listGambits), settings.js
+// (settings, saveSetting) and html.js (html).
+// ============================================================
+
+const BRIEFING_FORMATS = {
+  discord: 'DISCORD',
+  plain:   'PLAIN TEXT',
+  compact: 'COMPACT',
+};
+
+const BRIEFING_MAX_CHARS = 2_000;   // Discord message limit
+
+// Planet index of the gambit being shared, or null for the whole tab
+let briefingTarget = null;
+
+// ---- Facts -------------------------------------------------
+
+/** What a briefing says about one gambit, before formatting. */
+function briefingFacts(g) {
+  const planet = g.libCampaign.planet;
+  const name   = planet.name ?? `PLANET #${planet.index}`;
+
+  return {
+    name,
+    faction:   factionLabel(planet.currentOwner ?? g.libCampaign.faction),
+    tier:      g.risk.label,
+    score:     g.scoringModel === 'montecarlo' ? `${g.successPct}% chance` : `score ${g.successPct}/100`,
+    headline:  getRecommendation(g.successPct, name).headline,
+    libPct:    g.libPct,
+    rate:      g.netRate != null ? fmtRate(g.netRateObj) : 'awaiting data',
+    estimated: !!(g.netRateObj.estimated || g.playerReqs?.estimated),
+    eta:       fmtGambitEta(g),
+    players:   g.players,
+    reqs:      g.playerReqs,
+    defenses:  g.connectedDefenses.map(dc => {
+      const event   = dc.planet.event;
+      const outlook = projectDefense(dc);
+      return {
+        name:      dc.planet.name ?? `PLANET #${dc.planet.index}`,
+        integrity: defPct(event),
+        endsAt:    event?.endTime ? Date.parse(event.endTime) : null,
+        fallAt:    outlook?.status === 'fall' ? outlook.fallAt.getTime() : null,
+      };
+    }),
+    benefits:  gambitBeneficiaries(g),
+    orders:    g.orderLinks.map(link => link.text),
+  };
+}
+
+// ---- Formatting --------------------------------------------
+
+/** Absolute time in the reader's zone: a Discord tag, or a local time string. */
+function briefingTime(ms, format) {
+  if (format === 'discord') return `<t:${Math.floor(ms / 1000)}:f> (<t:${Math.floor(ms / 1000)}:R>)`;
+  return new Date(ms).toLocaleString([], {
+    weekday: 'short', hour: '2-digit', minute: '2-digit', timeZoneName: 'short',
+  });
+}
+
+/** "timer ends …", plus the projected fall when it comes first. */
+function describeDeadline(d, format) {
+  const parts = [];
+  if (d.fallAt != null) parts.push(`projected to fall ${briefingTime(d.fallAt, format)}`);
+  if (d.endsAt != null) parts.push(`timer ends ${briefingTime(d.endsAt, format)}`);
+  return parts.join(', ') || 'no timer';
+}
+
+function briefingDivers(f) {
+  const deployed = `${fmt(f.players)} deployed`;
+  return f.reqs
+    ? `${deployed} · ${fmt(f.reqs.min)} to hold · ${fmt(f.reqs.recommended)} to win`
+    : deployed;
+}
+
+/** One gambit as a multi-line block (discord / plain). */
+function formatGambitBlock(f, format) {
+  const md    = format === 'discord';
+  const bold  = text => (md ? `**${text}**` : text);
+  const items = list => list.map(line => (md ? `- ${line}` : `  - ${line}`));
+
+  const lines = [
+    md ? `## ⚔ GAMBIT: ${f.name}` : `⚔ GAMBIT: ${f.name}`,
+    `${bold(f.tier)} · ${f.score} · ${f.headline}`,
+    `Liberate ${f.name} (${f.faction}): ${f.libPct.toFixed(1)}% done · ${f.rate} · ETA ${f.eta}`,
+    `Divers: ${briefingDivers(f)}`,
+  ];
+  if (f.defenses.length) {
+    lines.push(bold(md ? 'Defenses at risk' : 'Defenses at risk:'), ...items(f.defenses.map(d =>
+      `${d.name} (${d.integrity.toFixed(0)}% integrity): ${describeDeadline(d, format)}`)));
+  }
+  if (f.benefits.length) {
+    lines.push(bold(md ? 'If we win' : 'If we win:'), ...items(f.benefits.map(b => `${b.name}: ${b.detail.toLowerCase()}`)));
+  }
+  lines.push(...f.orders.map(text => `★ Major Order: ${text}`));
+  return lines.join('\n');
+}
+
+/** One gambit on one line. */
+function formatGambitLine(f) {
+  const defense = f.defenses.length
+    ? ` · saves ${f.defenses.map(d => `${d.name} (${describeDeadline(d, 'compact')})`).join(', ')}`
+    : '';
+  const reqs = f.reqs ? ` · ${fmt(f.reqs.min)}–${fmt(f.reqs.recommended)} divers` : '';
+  const mo   = f.orders.length ? ' · ★ MO' : '';
+  return `⚔ ${f.name} [${f.tier} · ${f.score}] ETA ${f.eta}${reqs}${defense}${mo}`;
+}
+
+/**
+ * Briefing text for a list of gambits.
+ *
+ * @param {Array}  gambits
+ * @param {string} format - key of BRIEFING_FORMATS
+ * @param {Object} [opts]
+ * @param {boolean} [opts.title=true] - start with a briefing header
+ */
+function formatBriefing(gambits, format, { title = true } = {}) {
+  const facts  = gambits.map(briefingFacts);
+  const stamp  = briefingTime(clockNow(), format);
+  const header = format === 'discord'
+    ? `# GAMBIT HD2 — SQUAD BRIEFING\n${stamp}`
+    : `GAMBIT HD2 — SQUAD BRIEFING (${stamp})`;
+
+  let body = !facts.length
+    ? 'No gambit opportunities right now.'
+    : format === 'compact'
+      ? facts.map(formatGambitLine).join('\n')
+      : facts.map(f => formatGambitBlock(f, format)).join('\n\n');
+  if (format !== 'compact' && facts.some(f => f.estimated)) {
+    body += `\n\n${format === 'discord' ? '-# ' : ''}* Estimated from diver counts — no measured rate yet`;
+  }
+
+  return title ? `${header}\n\n${body}` : body;
+}
+
+/** The gambits being shared: one card's, or what the Gambit tab shows. */
+function briefingGambits() {
+  const gambits = state.gambits ?? [];
+  return briefingTarget == null
+    ? listGambits(gambits)
+    : gambits.filter(g => g.libCampaign.planet.index === briefingTarget);
+}
+
+function currentBriefing() {
+  return formatBriefing(briefingGambits(), settings.briefingFormat, { title: briefingTarget == null });
+}
+
+// ---- Delivery ----------------------------------------------
+
+/**
+ * Split text into chunks of at most `max` characters, breaking
+ * between paragraphs where possible, otherwise between lines. A
+ * single line longer than `max` is cut into `max`-sized pieces,
+ * so nothing is dropped.
+ */
+function splitBriefing(text, max = BRIEFING_MAX_CHARS) {
+  const chunks = [];
+  let current  = '';
+  const add = part => {
+    if (current && (current + part).length > max) {
+      chunks.push(current.trimEnd());
+      current = '';
+    }
+    current += part;
+  };
+
+  for (const paragraph of text.split(/(?<=\n\n)/)) {
+    if (paragraph.length <= max) add(paragraph);
+    else paragraph.split(/(?<=\n)/).forEach(line => {
+      for (let i = 0; i < line.length; i += max) add(line.slice(i, i + max));
+    });
+  }
+  if (current.trim()) chunks.push(current.trimEnd());
+  return chunks;
+}
+
+async function copyText(text) {
+  if (navigator.clipboard?.writeText) {
+    await navigator.clipboard.writeText(text);
+    return;
+  }
+  // Older browsers / insecure origins: copy from the preview box
+  const box = document.getElementById('briefing-text');
+  box?.select();
+  if (!document.execCommand?.('copy')) throw new Error('Clipboard not available');
+}
+
+/**
+ * POST each chunk of the briefing to the configured webhook, in
+ * order. Mentions are never parsed, so planet or sector text can't
+ * ping @everyone or a role.
+ */
+async function postBriefing(text, url = settings.briefingWebhook) {
+  if (!url) throw new Error('No webhook URL set');
+  for (const content of splitBriefing(text)) {
+    const res = await fetch(url, {
+      method:  'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body:    JSON.stringify({ content, allowed_mentions: { parse: [] } }),
+    });
+    if (!res.ok) throw new Error(`Webhook answered HTTP ${res.status}`);
+  }
+}
+
+// ---- Panel -------------------------------------------------
+
+function setBriefingStatus(message, ok = true) {
+  const el = document.getElementById('briefing-status');
+  if (!el) return;
+  el.textContent = message;
+  el.classList.toggle('error', !ok);
+}
+
+function renderBriefingPanel() {
+  const content = document.getElementById('briefing-content');
+  if (!content || document.getElementById('briefing-panel')?.classList.contains('hidden')) return;
+
+  const gambits = briefingGambits();
+  const title   = briefingTarget == null
+    ? 'SQUAD BRIEFING'
+    : gambits[0]?.libCampaign.planet.name ?? `PLANET #${briefingTarget}`;
+  const formats = Object.entries(BRIEFING_FORMATS)
+    .map(([v, label]) => html`<option value="${v}"${v === settings.briefingFormat ? ' selected' : ''}>${label}</option>`);
+  const text    = currentBriefing();
+  const webhook = settings.briefingWebhook;
+
+  content.innerHTML = html`
+    <div class="detail-header">
+      <div>
+        <div class="gambit-label">SHARE ${briefingTarget == null ? 'THE GAMBIT TAB' : 'THIS GAMBIT'}</div>
+        <div class="gambit-planet-title">${title}</div>
+      </div>
+    </div>
+
+    <div class="alert-controls">
+      <select class="model-select" onchange="setBriefingFormat(this.value)" title="Text format">${formats}</select>
+      <button class="btn-action" onclick="copyBriefing()">COPY</button>
+      <button class="btn-action" onclick="sendBriefing()"${webhook ? '' : ' disabled'}
+              title="${webhook ? 'POST to the webhook from settings' : 'Set a webhook URL in ⚙ SETTINGS'}">SEND TO WEBHOOK</button>
+      <span id="briefing-status" class="briefing-status"></span>
+    </div>
+
+    <div class="detail-section">
+      <textarea id="briefing-text" class="briefing-text" readonly
+                rows="${Math.min(24, text.split('\n').length + 1)}">${text}</textarea>
+      <div class="setting-help">${text.length.toLocaleString()} characters${
+        text.length > BRIEFING_MAX_CHARS ? ` — sent as ${splitBriefing(text).length} messages` : ''}</div>
+    </div>`;
+}
+
+function setBriefingFormat(format) {
+  saveSetting('briefingFormat', format);
+  renderBriefingPanel();
+}
+
+async function copyBriefing() {
+  try {
+    await copyText(currentBriefing());
+    setBriefingStatus('COPIED');
+  } catch (err) {
+    setBriefingStatus(`COPY FAILED — ${err.message}`, false);
+  }
+}
+
+async function sendBriefing() {
+  setBriefingStatus('SENDING…');
+  try {
+    await postBriefing(currentBriefing());
+    setBriefingStatus('SENT');
+  } catch (err) {
+    console.warn('[GAMBIT] Briefing webhook failed:', err);
+    setBriefingStatus(`SEND FAILED — ${err.message}`, false);
+  }
+}
+
+/** Open the share panel for one gambit (planet index) or, without one, the whole tab. */
+function openBriefing(planetIndex = null) {
+  briefingTarget = planetIndex;
+  document.getElementById('briefing-panel')?.classList.remove('hidden');
+  renderBriefingPanel();
+}
+
+function closeBriefing() {
+  document.getElementById('briefing-panel')?.classList.add('hidden');
+}
+
+window.openBriefing      = openBriefing;
+window.closeBriefing     = closeBriefing;
+window.setBriefingFormat = setBriefingFormat;
+window.copyBriefing      = copyBriefing;
+window.sendBriefing      = sendBriefing;
+
+// A gambit card's SHARE BRIEFING button carries its planet index as data
+document.addEventListener('click', evt => {
+  const btn = evt.target.closest('[data-briefing]');
+  if (btn) openBriefing(Number(btn.getAttribute('data-briefing')));
+});
@@ -0,0 +1,204 @@
+// ============================================================
+// GAMBIT HD2 — Diver Contribution Calibration
+//
+// Fits how much liberation one Helldiver contributes (%/hr),
+// from the retained snapshot history of every liberation
+// campaign, instead of assuming a fixed 1%/hr per 10,000.
+//
+// Each planet's history is cut into CAL_WINDOW_MS windows. In
+// each window the gross player rate is the fitted liberation
+// trend plus the planet's regen, divided by the average number
+// of divers on it. Across all windows we fit
+//
+//   ln(rate per diver) = a + b·ln(impactMultiplier) + faction offset
+//
+// so the raw impactMultiplier is never used as a rate itself —
+// only its relationship to observed progress. Faction offsets
+// are shrunk toward zero until a faction has enough samples.
+//
+// The fitted model feeds estimatedNetRate(), the player
+// requirements fallback and the defense outlook. Until
+// CAL_MIN_SAMPLES windows exist, settings.diversPerPctHr is used.
+//
+// Depends on globals from core.js (factionCls, decayRate),
+// history.js (historyView), graph.js (isEnemyHeld), gambit.js
+// (fitTrend) and settings.js (settings).
+// ============================================================
+
+const CAL_WINDOW_MS     = 2 * 3_600_000;
+const CAL_MIN_POINTS    = 3;      // snapshots per window
+const CAL_MIN_PLAYERS   = 500;    // below this the rate is mostly noise
+const CAL_MIN_SAMPLES   = 8;      // windows needed before the fit is trusted
+const CAL_MIN_IMPACT_SD = 0.05;   // ln-scale spread needed to fit the impact exponent
+const CAL_FACTION_PRIOR = 5;      // samples' worth of pull toward the global fit
+
+// Latest fit, or null while there isn't enough history
+let calibration = null;
+
+// ---- Samples -----------------------------------------------
+
+/**
+ * Measure per-diver gross liberation rate in every usable history
+ * window of every enemy-held planet.
+ *
+ * Planet metadata (maxHealth, regen, owner) comes from the current
+ * API data — it rarely changes within the retention period.
+ *
+ * @param {Array} planets - full /api/v1/planets response
+ * @returns {Array<{ planet: number, faction: string, perDiver: number, impact: number|null }>}
+ */
+function calibrationSamples(planets) {
+  const samples = [];
+
+  for (const planet of planets) {
+    if (!planet.maxHealth || planet.event || !isEnemyHeld(planet)) continue;
+    const decay = decayRate(planet);
+
+    const measure = window_ => {
+      if (window_.length < CAL_MIN_POINTS) return;
+      const t0     = window_[0].ts;
+      const points = window_.map(s => ({
+        x: (s.ts - t0) / 3_600_000,
+        y: (1 - s.health[planet.index] / planet.maxHealth) * 100,
+      }));
+      const trend = fitTrend(points);
+      if (!trend) return;
+
+      const players = window_.reduce((sum, s) => sum + (s.players[planet.index] ?? 0), 0) / window_.length;
+      const gross   = trend.slope + decay;
+      if (players < CAL_MIN_PLAYERS || gross <= 0) return;
+
+      const impacts = window_.map(s => s.impact).filter(v => v > 0);
+      samples.push({
+        planet:   planet.index,
+        faction:  factionCls(planet.currentOwner),
+        perDiver: gross / players,
+        impact:   impacts.length ? impacts.reduce((a, b) => a + b, 0) / impacts.length : null,
+      });
+    };
+
+    let window_ = [];
+    for (const snap of historyView) {
+      if (snap.health[planet.index] == null) continue;
+      if (window_.length && snap.ts - window_[0].ts > CAL_WINDOW_MS) {
+        measure(window_);
+        window_ = [];
+      }
+      window_.push(snap);
+    }
+    measure(window_);
+  }
+
+  return samples;
+}
+
+// ---- Fit ---------------------------------------------------
+
+/**
+ * Fit the per-diver model to a set of samples.
+ *
+ * @returns {{
+ *   intercept, beta,        ln(rate) = intercept + beta·ln(impact)
+ *   meanLnImpact,           used when the current impact is unknown
+ *   usesImpact: boolean,    false when impact barely varied (beta = 0)
+ *   factionOffset: Object,  factionCls → ln-scale offset
+ *   residualSd,             ln-scale spread of samples around the fit
+ *   samples, planets
+ * } | null}
+ */
+function fitCalibration(samples) {
+  if (samples.length < CAL_MIN_SAMPLES) return null;
+
+  const withImpact = samples.filter(s => s.impact > 0);
+  const lnImpacts  = withImpact.map(s => Math.log(s.impact));
+  const meanLn     = lnImpacts.length ? lnImpacts.reduce((a, b) => a + b, 0) / lnImpacts.length : 0;
+  const spread     = lnImpacts.length > 1
+    ? Math.sqrt(lnImpacts.reduce((s, v) => s + (v - meanLn) ** 2, 0) / (lnImpacts.length - 1))
+    : 0;
+  const usesImpact = withImpact.length >= CAL_MIN_SAMPLES && spread >= CAL_MIN_IMPACT_SD;
+
+  const used = usesImpact ? withImpact : samples;
+  const ys   = used.map(s => Math.log(s.perDiver));
+
+  let intercept, beta = 0;
+  if (usesImpact) {
+    const trend = fitTrend(used.map((s, i) => ({ x: lnImpacts[i], y: ys[i] })));
+    if (!trend) return null;
+    intercept = trend.intercept;
+    beta      = trend.slope;
+  } else {
+    // Median in log space — one runaway window can't drag the level
+    const sorted = [...ys].sort((a, b) => a - b);
+    intercept = sorted[Math.floor(sorted.length / 2)];
+  }
+
+  const residuals = used.map((s, i) => ys[i] - (intercept + beta * (usesImpact ? lnImpacts[i] : 0)));
+
+  // Faction offsets: mean residual, shrunk toward 0 for thin factions
+  const byFaction = {};
+  used.forEach((s, i) => (byFaction[s.faction] ??= []).push(residuals[i]));
+  const factionOffset = Object.fromEntries(Object.entries(byFaction)
+    .map(([f, rs]) => [f, rs.reduce((a, b) => a + b, 0) / (rs.length + CAL_FACTION_PRIOR)]));
+
+  const fitted     = residuals.map((r, i) => r - factionOffset[used[i].faction]);
+  const residualSd = Math.sqrt(fitted.reduce((s, r) => s + r * r, 0) / Math.max(1, fitted.length - 1));
+
+  return {
+    intercept,
+    beta,
+    meanLnImpact: meanLn,
+    usesImpact,
+    factionOffset,
+    residualSd,
+    samples: used.length,
+    planets: new Set(used.map(s => s.planet)).size,
+  };
+}
+
+/** Refit from the current history. Called after every render. */
+function refreshCalibration(planets) {
+  calibration = fitCalibration(calibrationSamples(planets ?? []));
+  renderCalibrationStatus();
+}
+
+// ---- Queries -----------------------------------------------
+
+/**
+ * Calibrated per-diver liberation rate (%/hr) against `faction`
+ * at `impact`, with a 95% band for a single planet.
+ *
+ * @returns {{ value, low, high } | null} null until calibrated
+ */
+function calibratedDiverRate(faction, impact) {
+  if (!calibration) return null;
+  const c  = calibration;
+  const x  = c.usesImpact && impact > 0 ? Math.log(impact) : c.usesImpact ? c.meanLnImpact : 0;
+  const ln = c.intercept + c.beta * x + (c.factionOffset[factionCls(faction)] ?? 0);
+  return {
+    value: Math.exp(ln),
+    low:   Math.exp(ln - 1.96 * c.residualSd),
+    high:  Math.exp(ln + 1.96 * c.residualSd),
+  };
+}
+
+// ---- Rendering ---------------------------------------------
+
+/** One-line model summary in the Gambit Analysis header. */
+function renderCalibrationStatus() {
+  const el = document.getElementById('calibration-status');
+  if (!el) return;
+
+  const rate = calibratedDiverRate(null, state.war?.impactMultiplier);
+  if (!rate) {
+    el.textContent = `DIVER MODEL: 1%/HR PER ${fmt(settings.diversPerPctHr)} (CALIBRATING)`;
+    el.title       = `Not enough history yet — ${CAL_MIN_SAMPLES} two-hour windows with ${fmt(CAL_MIN_PLAYERS)}+ divers are needed. Using the fixed value from settings.`;
+    return;
+  }
+
+  el.textContent = `DIVER MODEL: 1%/HR PER ${fmt(Math.round(1 / rate.value))}`;
+  el.title       = `Fitted on ${calibration.samples} history windows across ${calibration.planets} planets`
+    + (calibration.usesImpact ? `, rate ∝ impact^${calibration.beta.toFixed(2)}` : '')
+    + '. Faction adjustments: '
+    + (Object.entries(calibration.factionOffset)
+      .map(([f, off]) => `${f} ×${Math.exp(off).toFixed(2)}`).join(', ') || 'none');
+}
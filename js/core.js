@@ -0,0 +1,160 @@
+// ============================================================
+// GAMBIT HD2 — Core State & Helpers
+//
+// The war state and the planet, faction and time helpers every
+// module shares, plus ingest() which loads API data into the
+// state. Nothing here touches the DOM, so the analysis modules
+// that build on it (gambit, calibration, montecarlo, defense,
+// orders, scout, backtest) also load in Node — see
+// tools/headless.js.
+//
+// Depends on globals from settings.js (settings) and graph.js
+// (buildSupplyGraph).
+// ============================================================
+
+// ---- State -------------------------------------------------
+
+const state = {
+  planetMap: {},            // index (number) → planet name (string)
+  liberationCampaigns: [],
+  defenseCampaigns: [],
+  allPlanets: [],           // full planet list — used by Strategic Scout
+  graph: null,              // supply-line graph (graph.js) — shared by Gambit and Scout
+  gambits: [],              // latest detectGambits() results — highlighted on the Galaxy Map
+  scoutResults: [],         // latest detectScoutTargets() results — highlighted on the Galaxy Map
+  war: null,                // latest /war response — kept for re-scoring without a refetch
+  assignments: [],          // latest Major Orders — decoded and projected by orders.js
+  stale: {},                // endpoint → { error, fetchedAt } for sections served from cache (api.js)
+  timerInterval: null,
+  pollTimer: null,
+  refreshing: false,
+  failedRefreshes: 0,       // consecutive refreshes where every endpoint failed (cached or not)
+  lastUpdated: null,
+  replayTs: null,           // time of the snapshot being replayed (replay.js); null = live
+  archive: null,            // imported archive being viewed (archive.js); null = live
+};
+
+// ---- Utilities ---------------------------------------------
+
+/** Format a number with locale-appropriate thousands separators. */
+function fmt(n) {
+  if (n == null) return '—';
+  return Number(n).toLocaleString();
+}
+
+/**
+ * Reference "now" (epoch ms) for every countdown and projection:
+ * the replayed moment during a replay, the export time of an open
+ * archive, otherwise the wall clock.
+ */
+function clockNow() {
+  return state.replayTs ?? state.archive?.clock ?? Date.now();
+}
+
+/** Format milliseconds remaining as HH:MM:SS. */
+function fmtCountdown(endTimeStr, now = clockNow()) {
+  const diff = new Date(endTimeStr).getTime() - now;
+  if (diff <= 0) return 'EXPIRED';
+  const h = Math.floor(diff / 3_600_000);
+  const m = Math.floor((diff % 3_600_000) / 60_000);
+  const s = Math.floor((diff % 60_000) / 1_000);
+  return `${String(h).padStart(2, '0')}:${String(m).padStart(2, '0')}:${String(s).padStart(2, '0')}`;
+}
+
+/** Human-readable "X mins ago" from a Date object. */
+function timeAgo(date) {
+  const s = Math.floor((Date.now() - date.getTime()) / 1000);
+  if (s < 60) return `${s}s ago`;
+  if (s < 3600) return `${Math.floor(s / 60)}m ago`;
+  if (s < 86400) return `${Math.floor(s / 3600)}h ago`;
+  return `${Math.floor(s / 86400)}d ago`;
+}
+
+/** Returns a CSS class key for a faction string. */
+function factionCls(faction) {
+  if (!faction) return '';
+  const f = faction.toLowerCase();
+  if (f.includes('terminid')) return 'terminid';
+  if (f.includes('automaton')) return 'automaton';
+  if (f.includes('illuminate')) return 'illuminate';
+  return 'human';
+}
+
+/** Returns an uppercase display label for a faction string. */
+function factionLabel(faction) {
+  if (!faction) return 'UNKNOWN';
+  const f = faction.toLowerCase();
+  if (f.includes('terminid')) return 'TERMINIDS';
+  if (f.includes('automaton')) return 'AUTOMATONS';
+  if (f.includes('illuminate')) return 'ILLUMINATE';
+  if (f.includes('human')) return 'SUPER EARTH';
+  return faction.toUpperCase();
+}
+
+/**
+ * Liberation % for a planet.
+ * Enemy holds HP — reducing to 0 = liberated.
+ * liberationPct = (1 - health / maxHealth) * 100
+ */
+function libPct(planet) {
+  if (!planet.maxHealth) return 0;
+  return Math.max(0, Math.min(100, (1 - planet.health / planet.maxHealth) * 100));
+}
+
+/**
+ * Defense integrity % for a planet event — how much health remains.
+ * 100% = full health (just started), 0% = defense has fallen.
+ */
+function defPct(event) {
+  if (!event || !event.maxHealth) return 0;
+  return Math.max(0, Math.min(100, (event.health / event.maxHealth) * 100));
+}
+
+/**
+ * Hourly decay rate in percent for a liberation campaign.
+ * decayPctPerHr = (regenPerSecond * 3600 / maxHealth) * 100
+ */
+function decayRate(planet) {
+  if (!planet.regenPerSecond || !planet.maxHealth) return 0;
+  return (planet.regenPerSecond * 3600 / planet.maxHealth) * 100;
+}
+
+/** Hours remaining until a defense event expires. */
+function hoursLeft(endTimeStr, now = clockNow()) {
+  return (new Date(endTimeStr).getTime() - now) / 3_600_000;
+}
+
+/** Timer urgency class for hours remaining (thresholds from settings). */
+function urgencyCls(hrs) {
+  return hrs < settings.criticalHrs ? 'critical' : hrs < settings.urgentHrs ? 'urgent' : '';
+}
+
+// ---- Ingest ------------------------------------------------
+
+/**
+ * Load fetchAll()-shaped data into state: planet lookups, the
+ * supply-line graph and the campaign split the analysis reads.
+ * Nothing is rendered — backtest.js runs the analysis on it directly.
+ */
+function ingest(data) {
+  const { war, campaigns, assignments, planets } = data;
+  state.stale = data.stale ?? {};
+
+  // Build planet name lookup map and store full list for Scout tab
+  state.war = war;
+  state.assignments = assignments ?? [];
+  state.planetMap = {};
+  state.allPlanets = planets ?? [];
+  (planets ?? []).forEach(p => {
+    if (p.index != null) state.planetMap[p.index] = p.name ?? `#${p.index}`;
+  });
+
+  // Supply-line network shared by the analysis modules
+  if (typeof buildSupplyGraph === 'function') {
+    state.graph = buildSupplyGraph(state.allPlanets.length ? state.allPlanets : (campaigns ?? []).map(c => c.planet));
+  }
+
+  // Separate campaigns by type: defense = has planet.event, liberation = no event
+  state.liberationCampaigns = (campaigns ?? []).filter(c => !c.planet?.event);
+  state.defenseCampaigns = (campaigns ?? []).filter(c => !!c.planet?.event);
+}
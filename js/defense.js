@@ -0,0 +1,133 @@
+// ============================================================
+// GAMBIT HD2 — Defense Outlook
+//
+// Measures whether each defense campaign is actually winning.
+// Event health is recorded with every snapshot (history.js),
+// fitted into an integrity trend (%/hr) and projected forward
+// against the event's endTime:
+//
+//   WILL HOLD          — integrity outlasts the timer
+//   WILL FALL AT HH:MM — integrity hits 0% before the timer
+//   NEEDS N MORE DIVERS — how many extra divers flip a fall
+//
+// Depends on globals from core.js (state, defPct, hoursLeft, fmt,
+// clockNow), history.js (historyView), gambit.js
+// (measuredTrend, fmtRate, diverRatePctHr) and html.js (html).
+// ============================================================
+
+// ---- Rate Calculation --------------------------------------
+
+/**
+ * Measured defense integrity trend (%/hr) for the planet's current
+ * event. Snapshots from an earlier event on the same planet are
+ * ignored.
+ *
+ * Positive = integrity rising (defense winning)
+ * Negative = integrity falling (enemy winning)
+ * null     = insufficient snapshot data
+ */
+function measuredDefenseRate(planetIndex, event) {
+  if (!event?.maxHealth) return null;
+  return measuredTrend(planetIndex, snap => {
+    const d = snap.defense?.[planetIndex];
+    if (!d || d.id !== event.id) return null;
+    return (d.health / event.maxHealth) * 100;
+  });
+}
+
+// ---- Projection --------------------------------------------
+
+/**
+ * Project the outcome of a defense campaign.
+ *
+ * @returns {{
+ *   status:      'hold' | 'fall' | 'unknown',
+ *   integrity:   number,        current integrity %
+ *   hoursLeft:   number,        hours until endTime (Infinity if none)
+ *   rate:        Object | null, measured integrity trend
+ *   fallHours:   number | null, hours until integrity reaches 0%
+ *   fallAt:      Date | null,
+ *   extraDivers: number | null, divers needed to outlast the timer
+ * } | null}
+ */
+function projectDefense(campaign) {
+  const planet = campaign.planet;
+  const event  = planet.event;
+  if (!event?.maxHealth) return null;
+
+  const integrity = defPct(event);
+  const hrs       = event.endTime ? hoursLeft(event.endTime) : Infinity;
+  const rate      = measuredDefenseRate(planet.index, event);
+  const outlook   = { status: 'unknown', integrity, hoursLeft: hrs, rate, fallHours: null, fallAt: null, extraDivers: null };
+
+  if (!rate) return outlook;
+  if (rate.value >= 0) return { ...outlook, status: 'hold' };
+
+  const fallHours = integrity / -rate.value;
+  if (fallHours >= hrs) return { ...outlook, status: 'hold' };
+
+  // Slowest decline that still leaves integrity above 0% at endTime
+  const requiredRate = isFinite(hrs) ? -integrity / hrs : 0;
+  const extraDivers  = Math.ceil((requiredRate - rate.value) / diverRatePctHr(event.faction, state.war?.impactMultiplier));
+
+  return {
+    ...outlook,
+    status:    'fall',
+    fallHours,
+    fallAt:    new Date(clockNow() + fallHours * 3_600_000),
+    extraDivers,
+  };
+}
+
+/**
+ * Hours until a defense is lost — the earlier of its timer and
+ * the projected moment integrity reaches 0%.
+ */
+function defenseHoursLeft(campaign) {
+  const event = campaign.planet.event;
+  const timer = event?.endTime ? hoursLeft(event.endTime) : Infinity;
+  const outlook = projectDefense(campaign);
+  return outlook?.status === 'fall' ? Math.min(timer, outlook.fallHours) : timer;
+}
+
+// ---- Rendering ---------------------------------------------
+
+/** Local clock time for a projected fall, with the weekday if it isn't soon. */
+function fmtFallTime(date, hoursAway) {
+  const opts = { hour: '2-digit', minute: '2-digit' };
+  if (hoursAway > 20) opts.weekday = 'short';
+  return date.toLocaleString([], opts);
+}
+
+/** Projected outcome line shown on defense cards and gambit "at risk" blocks. */
+function renderDefenseOutlook(outlook) {
+  if (!outlook) return '';
+
+  if (outlook.status === 'unknown') {
+    return html`
+      <div class="defense-outlook unknown">
+        <span class="outlook-icon">◌</span>
+        <span class="outlook-text">OUTLOOK PENDING — measured after next refresh</span>
+      </div>`;
+  }
+
+  const rateText = `integrity ${fmtRate(outlook.rate)}`;
+
+  if (outlook.status === 'hold') {
+    return html`
+      <div class="defense-outlook hold">
+        <span class="outlook-icon">▲</span>
+        <span class="outlook-text">WILL HOLD <em class="outlook-detail">${rateText}</em></span>
+      </div>`;
+  }
+
+  return html`
+    <div class="defense-outlook fall">
+      <span class="outlook-icon">✗</span>
+      <span class="outlook-text">
+        WILL FALL AT ${fmtFallTime(outlook.fallAt, outlook.fallHours)}
+        — NEEDS ${fmt(outlook.extraDivers)} MORE DIVERS
+        <em class="outlook-detail">${rateText}</em>
+      </span>
+    </div>`;
+}
@@ -0,0 +1,249 @@
+// ============================================================
+// GAMBIT HD2 — Planet Detail
+//
+// Drill-down panel for a single planet, opened by clicking any
+// planet, gambit or scout card (or via #/planet/:index).
+// Shows liberation/defense and player history charted from the
+// snapshot store, regen, biome and hazards, supply-line
+// neighbours, and every gambit the planet takes part in.
+//
+// Depends on globals from core.js (state, fmt, libPct, defPct,
+// decayRate, factionCls, factionLabel, fmtCountdown),
+// history.js (historyView), graph.js (neighbors), router.js
+// (navigate, routeBackToTab) and html.js (html).
+// ============================================================
+
+// Index of the planet currently shown, or null when closed
+let detailPlanetIndex = null;
+
+// ---- History Series ----------------------------------------
+
+/**
+ * Time series for one planet from the snapshot store.
+ *
+ * @returns {{ progress: Array<{t, v}>, players: Array<{t, v}>, mode: 'liberation'|'defense' }}
+ */
+function planetSeries(planet) {
+  const event    = planet.event;
+  const mode     = event ? 'defense' : 'liberation';
+  const progress = [];
+  const players  = [];
+
+  for (const snap of historyView) {
+    if (mode === 'defense') {
+      const d = snap.defense?.[planet.index];
+      if (d && d.id === event.id && event.maxHealth) {
+        progress.push({ t: snap.ts, v: (d.health / event.maxHealth) * 100 });
+      }
+    } else {
+      const health = snap.health[planet.index];
+      if (health != null && planet.maxHealth) {
+        progress.push({ t: snap.ts, v: (1 - health / planet.maxHealth) * 100 });
+      }
+    }
+    const p = snap.players[planet.index];
+    if (p != null) players.push({ t: snap.ts, v: p });
+  }
+
+  return { progress, players, mode };
+}
+
+// ---- Charts ------------------------------------------------
+
+/** Short local time label for chart axes. */
+function fmtChartTime(ts) {
+  return new Date(ts).toLocaleString([], { weekday: 'short', hour: '2-digit', minute: '2-digit' });
+}
+
+/**
+ * Render a small SVG line chart.
+ *
+ * @param {Array<{t, v}>} points
+ * @param {Object} opts - { title, cls, fmtValue, yMin?, yMax? }
+ */
+function renderLineChart(points, opts) {
+  if (points.length < 2) {
+    return html`
+      <div class="detail-chart">
+        <div class="gambit-section-label">${opts.title}</div>
+        <div class="chart-empty">Not enough history yet — charts fill in as snapshots are recorded.</div>
+      </div>`;
+  }
+
+  const W = 300, H = 100;
+  const t0 = points[0].t;
+  const t1 = points[points.length - 1].t;
+  const vs = points.map(p => p.v);
+  let yMin = opts.yMin ?? Math.min(...vs);
+  let yMax = opts.yMax ?? Math.max(...vs);
+  if (yMax === yMin) { yMax += 1; yMin -= 1; }
+
+  const x = t => ((t - t0) / (t1 - t0 || 1)) * W;
+  const y = v => H - ((v - yMin) / (yMax - yMin)) * H;
+  const line = points.map((p, i) => `${i ? 'L' : 'M'}${x(p.t).toFixed(1)},${y(p.v).toFixed(1)}`).join(' ');
+  const area = `${line} L${W},${H} L0,${H} Z`;
+
+  return html`
+    <div class="detail-chart">
+      <div class="gambit-section-label">${opts.title}</div>
+      <div class="chart-body">
+        <div class="chart-y">
+          <span>${opts.fmtValue(yMax)}</span>
+          <span>${opts.fmtValue(yMin)}</span>
+        </div>
+        <svg class="chart-svg ${opts.cls}" viewBox="0 0 ${W} ${H}" preserveAspectRatio="none">
+          <path class="chart-area" d="${area}" />
+          <path class="chart-line" d="${line}" vector-effect="non-scaling-stroke" />
+        </svg>
+      </div>
+      <div class="chart-x">
+        <span>${fmtChartTime(t0)}</span>
+        <span>${fmtChartTime(t1)}</span>
+      </div>
+    </div>`;
+}
+
+// ---- Related Gambits ---------------------------------------
+
+/** Every detected gambit that targets, protects or supports the planet. */
+function gambitsInvolving(planetIndex) {
+  return (state.gambits ?? []).flatMap(g => {
+    const roles = [];
+    if (g.libCampaign.planet.index === planetIndex) roles.push('LIBERATION TARGET');
+    if (g.connectedDefenses.some(dc => dc.planet.index === planetIndex)) roles.push('DEFENSE PROTECTED');
+    if (g.connectedLiberation.some(lc => lc.planet.index === planetIndex)) roles.push('LIBERATION SUPPORTED');
+    if (g.chain?.isolated.some(p => p.index === planetIndex)) roles.push('CUT OFF BY CHAIN');
+    if (g.chain?.relieved.some(r => r.defense.planet.index === planetIndex)) roles.push('DEFENSE RELIEVED BY CHAIN');
+    return roles.length ? [{ gambit: g, roles }] : [];
+  });
+}
+
+// ---- Rendering ---------------------------------------------
+
+/** Build the detail panel body for one planet. */
+function buildPlanetDetail(planet) {
+  const fCls   = factionCls(planet.currentOwner);
+  const fLabel = factionLabel(planet.currentOwner);
+  const series = planetSeries(planet);
+  const event  = planet.event;
+
+  const progressChart = renderLineChart(series.progress, series.mode === 'defense'
+    ? { title: 'DEFENSE INTEGRITY OVER TIME', cls: 'def', fmtValue: v => `${v.toFixed(1)}%`, yMin: 0, yMax: 100 }
+    : { title: 'LIBERATION OVER TIME',        cls: 'lib', fmtValue: v => `${v.toFixed(1)}%`, yMin: 0, yMax: 100 });
+  const playersChart = renderLineChart(series.players,
+    { title: 'HELLDIVERS ON PLANET', cls: 'players', fmtValue: v => fmt(Math.round(v)) });
+
+  const statusHtml = event
+    ? html`<span class="tstat">${defPct(event).toFixed(1)}% integrity</span>
+       ${event.endTime && html`<span class="tstat">${fmtCountdown(event.endTime)} remaining</span>`}`
+    : html`<span class="tstat">${libPct(planet).toFixed(1)}% liberated</span>`;
+
+  const hazards = (planet.hazards ?? []).map(h => html`
+    <div class="detail-hazard">
+      <span class="detail-hazard-name">${h.name}</span>
+      ${h.description && html`<span class="detail-hazard-desc">${h.description}</span>`}
+    </div>`);
+
+  const neighbourTags = neighbors(state.graph, planet.index)
+    .map(i => state.graph.planets.get(i))
+    .map(p => html`<a class="planet-tag ${factionCls(p.currentOwner)}" href="#/planet/${p.index}">${p.name ?? `#${p.index}`}</a>`);
+
+  const related = gambitsInvolving(planet.index).map(({ gambit, roles }) => {
+    const target = gambit.libCampaign.planet;
+    return html`
+      <div class="detail-gambit">
+        <a class="detail-gambit-name" href="#/planet/${target.index}">${target.name ?? `#${target.index}`}</a>
+        <span class="risk-badge ${gambit.risk.cls}">${gambit.risk.label} · ${gambit.successPct}</span>
+        <span class="detail-gambit-roles">${roles.join(' · ')}</span>
+      </div>`;
+  });
+
+  return html`
+    <div class="detail-header">
+      <div>
+        <div class="gambit-label">PLANET #${planet.index}${planet.sector ? ` · ${planet.sector.toUpperCase()} SECTOR` : ''}</div>
+        <div class="gambit-planet-title">${planet.name ?? `PLANET #${planet.index}`}</div>
+      </div>
+      <span class="faction-badge ${fCls}">${fLabel}</span>
+    </div>
+
+    <div class="gambit-target-stats">
+      ${statusHtml}
+      <span class="tstat">&#128101;&nbsp;${fmt(planet.statistics?.playerCount ?? 0)}</span>
+      <span class="tstat resistance">Regen: ${decayRate(planet).toFixed(2)}%/hr</span>
+    </div>
+
+    <div class="detail-charts">
+      ${progressChart}
+      ${playersChart}
+    </div>
+
+    ${planet.biome && html`
+      <div class="detail-section">
+        <div class="gambit-section-label">BIOME — ${(planet.biome.name ?? 'UNKNOWN').toUpperCase()}</div>
+        ${planet.biome.description && html`<p class="detail-text">${planet.biome.description}</p>`}
+      </div>`}
+
+    ${hazards.length > 0 && html`
+      <div class="detail-section">
+        <div class="gambit-section-label">ENVIRONMENTAL HAZARDS</div>
+        ${hazards}
+      </div>`}
+
+    <div class="detail-section">
+      <div class="gambit-section-label">SUPPLY-LINE NEIGHBOURS</div>
+      <div class="supply-lines">${neighbourTags.length ? neighbourTags : html`<span class="detail-text">None</span>`}</div>
+    </div>
+
+    <div class="detail-section">
+      <div class="gambit-section-label">GAMBITS INVOLVING THIS PLANET</div>
+      ${related.length ? related : html`<span class="detail-text">This planet is not part of any detected gambit.</span>`}
+    </div>`;
+}
+
+/** Re-render the open detail panel (called after every refresh). */
+function renderPlanetDetail() {
+  const overlay = document.getElementById('planet-detail');
+  const content = document.getElementById('detail-content');
+  if (!overlay || !content) return;
+
+  const planet = detailPlanetIndex != null ? state.graph?.planets.get(detailPlanetIndex) : null;
+  if (!planet) {
+    overlay.classList.add('hidden');
+    return;
+  }
+
+  content.innerHTML = buildPlanetDetail(planet);
+  overlay.classList.remove('hidden');
+}
+
+// ---- Open / Close ------------------------------------------
+// The URL is the source of truth (router.js): opening and closing
+// navigate, and the router calls showPlanetDetail().
+
+function openPlanetDetail(planetIndex) {
+  navigate({ view: 'planet', planet: planetIndex });
+}
+
+function closePlanetDetail() {
+  if (detailPlanetIndex != null) routeBackToTab();
+}
+
+window.openPlanetDetail  = openPlanetDetail;
+window.closePlanetDetail = closePlanetDetail;
+
+/** Show the panel for a planet, or hide it when `planetIndex` is null. */
+function showPlanetDetail(planetIndex) {
+  detailPlanetIndex = planetIndex;
+  renderPlanetDetail();
+}
+
+// Any planet, gambit or scout card opens its planet's detail panel.
+// Links and form controls inside cards keep their own behaviour.
+document.addEventListener('click', evt => {
+  if (evt.target.closest('a, button, input, select, label, #planet-detail')) return;
+  const card = evt.target.closest('.planet-card, .gambit-card, .scout-target, .watch-card');
+  if (!card) return;
+  const index = card.getAttribute('data-planet-index');
+  if (index != null) openPlanetDetail(Number(index));
+});
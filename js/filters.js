@@ -0,0 +1,344 @@
+// ============================================================
+// GAMBIT HD2 — List Filters
+//
+// The toolbar above the Gambit Analysis section narrows and
+// reorders the gambit, liberation and defense lists together:
+//
+//   search     fuzzy planet name ("mrt" finds Martale)
+//   faction    the enemy on the planet
+//   sector
+//   tier       gambit risk tier, at least the one picked
+//   confirmed  a confirmed attacker is involved
+//   defended   a defense campaign is at stake
+//   sort       one key for every list; DEFAULT keeps each
+//              list's own order
+//
+// Campaign cards are judged by their gambits: a liberation by
+// its own, a defense by the gambits that would save it.
+//
+// The choices live in the route's query parameters (router.js),
+// so a filtered view can be linked, and are saved in localStorage
+// — a plain URL brings back the last ones. Refreshes re-render
+// through the same filters.
+//
+// Depends on globals from core.js (state, factionCls, libPct,
+// defPct, hoursLeft), app.js (renderLiberation, renderDefense),
+// gambit.js (visibleGambits, renderGambits), router.js
+// (currentRoute, setRouteParams, onRouteChange), patch.js
+// (patchChildren) and html.js (html).
+// ============================================================
+
+const LIST_FILTERS_KEY = 'gambit-hd2-filters';
+
+const FILTER_FACTIONS = {
+  terminid:   'TERMINIDS',
+  automaton:  'AUTOMATONS',
+  illuminate: 'ILLUMINATE',
+};
+
+// Best first, matching toRiskLevel() in gambit.js
+const FILTER_TIERS = ['optimal', 'favorable', 'viable', 'risky', 'critical'];
+
+const FILTER_TIER_LABELS = {
+  optimal:   'OPTIMAL',
+  favorable: 'FAVORABLE+',
+  viable:    'VIABLE+',
+  risky:     'RISKY+',
+};
+
+const LIST_SORTS = {
+  players:  'MOST DIVERS',
+  progress: 'MOST PROGRESS',
+  time:     'SOONEST',
+  score:    'BEST SCORE',
+  name:     'NAME A–Z',
+};
+
+// How each sort key orders entries (gambitEntry, campaignEntry); null sorts last
+const LIST_SORT_KEYS = {
+  players:  e => -e.players,
+  progress: e => -e.progress,
+  time:     e => e.hours,
+  score:    e => (e.score == null ? null : -e.score),
+  name:     e => e.name,
+};
+
+const FILTER_PARAMS = ['q', 'faction', 'sector', 'tier', 'confirmed', 'defended', 'sort'];
+
+const FILTER_EMPTY = 'NOTHING MATCHES THE FILTERS';
+
+// ---- Current Filters ---------------------------------------
+
+/** The filters in the current route, unknown values dropped. */
+function listFilters() {
+  const p = currentRoute().params;
+  return {
+    q:         (p.q ?? '').trim(),
+    faction:   Object.hasOwn(FILTER_FACTIONS, p.faction ?? '') ? p.faction : '',
+    sector:    p.sector ?? '',
+    tier:      Object.hasOwn(FILTER_TIER_LABELS, p.tier ?? '') ? p.tier : '',
+    confirmed: p.confirmed === '1',
+    defended:  p.defended === '1',
+    sort:      Object.hasOwn(LIST_SORTS, p.sort ?? '') ? p.sort : '',
+  };
+}
+
+/** True if any filter (not just the sort order) narrows the lists. */
+function filtersActive(f = listFilters()) {
+  return !!(f.q || f.faction || f.sector || f.tier || f.confirmed || f.defended);
+}
+
+/** Count badge text: "3 / 12" while filtered, else the plain count. */
+function filterCount(shown, total) {
+  return filtersActive() ? `${shown} / ${total}` : String(shown);
+}
+
+// ---- Matching ----------------------------------------------
+
+/** Lower case, no accents or punctuation: "Erata Prime" → "erataprime". */
+function searchKey(text) {
+  return String(text ?? '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]/g, '');
+}
+
+/** Fuzzy match: every query character appears in the name, in order. */
+function fuzzyMatch(query, name) {
+  const q = searchKey(query);
+  let i = 0;
+  for (const ch of searchKey(name)) {
+    if (ch === q[i]) i++;
+  }
+  return i === q.length;
+}
+
+/**
+ * Gambits by the planets they concern: `lib` by liberation planet,
+ * `def` by each defense they would save.
+ */
+function gambitLinks(gambits = state.gambits ?? []) {
+  const lib = new Map();
+  const def = new Map();
+  for (const g of gambits) {
+    lib.set(g.libCampaign.planet.index, g);
+    for (const dc of g.connectedDefenses) {
+      const list = def.get(dc.planet.index) ?? [];
+      list.push(g);
+      def.set(dc.planet.index, list);
+    }
+  }
+  return { lib, def };
+}
+
+const tierRank = g => FILTER_TIERS.indexOf(g.risk.cls);
+
+/** What the filters and sort keys look at, for one gambit. */
+function gambitEntry(g) {
+  const planet = g.libCampaign.planet;
+  return {
+    name:      planet.name ?? '',
+    faction:   factionCls(planet.currentOwner ?? g.libCampaign.faction),
+    sector:    planet.sector ?? '',
+    tier:      tierRank(g),
+    confirmed: g.isConfirmedAttacker,
+    defended:  g.connectedDefenses.length > 0,
+    players:   g.players,
+    progress:  g.libPct,
+    hours:     g.timeToComplete != null && isFinite(g.timeToComplete) ? g.timeToComplete : null,
+    score:     g.successPct,
+  };
+}
+
+/** The same for a campaign card, judged by its gambits. */
+function campaignEntry(campaign, mode, links) {
+  const planet = campaign.planet;
+  const event  = planet.event;
+
+  if (mode === 'liberation') {
+    const g = links.lib.get(planet.index);
+    return {
+      ...(g ? gambitEntry(g) : { tier: null, confirmed: false, defended: false, hours: null, score: null }),
+      name:     planet.name ?? '',
+      faction:  factionCls(planet.currentOwner ?? campaign.faction),
+      sector:   planet.sector ?? '',
+      players:  planet.statistics?.playerCount ?? 0,
+      progress: libPct(planet),
+    };
+  }
+
+  const gambits = links.def.get(planet.index) ?? [];
+  const hrs     = event?.endTime ? hoursLeft(event.endTime) : null;
+  return {
+    name:      planet.name ?? '',
+    faction:   factionCls(event?.faction ?? campaign.faction),
+    sector:    planet.sector ?? '',
+    tier:      gambits.length ? Math.min(...gambits.map(tierRank)) : null,
+    confirmed: gambits.some(g => g.isConfirmedAttacker),
+    defended:  true,
+    players:   planet.statistics?.playerCount ?? 0,
+    progress:  defPct(event),
+    hours:     hrs != null && isFinite(hrs) ? hrs : null,
+    score:     gambits.length ? Math.max(...gambits.map(g => g.successPct)) : null,
+  };
+}
+
+function matchesFilters(e, f) {
+  if (f.q && !fuzzyMatch(f.q, e.name)) return false;
+  if (f.faction && e.faction !== f.faction) return false;
+  if (f.sector && e.sector !== f.sector) return false;
+  if (f.tier && (e.tier == null || e.tier > FILTER_TIERS.indexOf(f.tier))) return false;
+  if (f.confirmed && !e.confirmed) return false;
+  if (f.defended && !e.defended) return false;
+  return true;
+}
+
+/** Reorder by a LIST_SORTS key; ties keep the order they came in. */
+function sortEntries(items, entryOf, sort) {
+  const key = LIST_SORT_KEYS[sort];
+  if (!key) return items;
+
+  return items
+    .map(item => ({ item, value: key(entryOf(item)) }))
+    .sort((a, b) => {
+      if (a.value == null || b.value == null) return (a.value == null) - (b.value == null);
+      return typeof a.value === 'string' ? a.value.localeCompare(b.value) : a.value - b.value;
+    })
+    .map(({ item }) => item);
+}
+
+// ---- Lists -------------------------------------------------
+
+/**
+ * The campaigns to show, filtered and sorted. `campaigns` arrive in
+ * the list's default order.
+ *
+ * @param {'liberation' | 'defense'} mode
+ */
+function filterCampaigns(campaigns, mode) {
+  const f       = listFilters();
+  const links   = gambitLinks();
+  const entryOf = c => campaignEntry(c, mode, links);
+  return sortEntries(campaigns.filter(c => matchesFilters(entryOf(c), f)), entryOf, f.sort);
+}
+
+/**
+ * The gambits the Gambit tab shows. Unfiltered, that is
+ * visibleGambits() — the card limit applies; a filter shows every
+ * gambit that matches.
+ */
+function listGambits(gambits) {
+  const f     = listFilters();
+  const shown = filtersActive(f)
+    ? gambits.filter(g => matchesFilters(gambitEntry(g), f))
+    : visibleGambits(gambits);
+  return sortEntries(shown, gambitEntry, f.sort);
+}
+
+// ---- Toolbar -----------------------------------------------
+
+/** Sectors with an active campaign, plus the selected one. */
+function filterSectors(selected) {
+  const sectors = new Set(
+    [...state.liberationCampaigns, ...state.defenseCampaigns]
+      .map(c => c.planet.sector)
+      .filter(Boolean)
+  );
+  if (selected) sectors.add(selected);
+  return [...sectors].sort((a, b) => a.localeCompare(b));
+}
+
+const filterOptions = (anyLabel, options) => html`
+  <option value="">${anyLabel}</option>
+  ${Object.entries(options).map(([value, label]) => html`<option value="${value}">${label}</option>`)}`;
+
+function renderListToolbar() {
+  const bar = document.getElementById('list-toolbar');
+  if (!bar) return;
+
+  const f       = listFilters();
+  const sectors = Object.fromEntries(filterSectors(f.sector).map(s => [s, s.toUpperCase()]));
+
+  patchChildren(bar, html`
+    <input id="filter-q" class="setting-input filter-search" type="search" placeholder="SEARCH PLANETS"
+           oninput="setListFilter('q', this.value)" title="Fuzzy planet name search">
+    <select id="filter-faction" class="model-select" onchange="setListFilter('faction', this.value)">
+      ${filterOptions('ALL FACTIONS', FILTER_FACTIONS)}
+    </select>
+    <select id="filter-sector" class="model-select" onchange="setListFilter('sector', this.value)">
+      ${filterOptions('ALL SECTORS', sectors)}
+    </select>
+    <select id="filter-tier" class="model-select" onchange="setListFilter('tier', this.value)"
+            title="Gambit risk tier — campaign cards use their gambits'">
+      ${filterOptions('ANY TIER', FILTER_TIER_LABELS)}
+    </select>
+    <label class="filter-check" title="A liberation directly attacking a defended planet">
+      <input id="filter-confirmed" type="checkbox" onchange="setListFilter('confirmed', this.checked ? '1' : '')">
+      CONFIRMED ATTACKER
+    </label>
+    <label class="filter-check" title="Gambits and campaigns with a defense at stake">
+      <input id="filter-defended" type="checkbox" onchange="setListFilter('defended', this.checked ? '1' : '')">
+      HAS DEFENSE
+    </label>
+    <select id="filter-sort" class="model-select" onchange="setListFilter('sort', this.value)" title="Sort every list by">
+      ${filterOptions('DEFAULT ORDER', LIST_SORTS)}
+    </select>
+    <button class="btn-action" onclick="clearListFilters()">CLEAR</button>`);
+
+  // Control state is set as properties: a patch can't reset what the reader changed
+  for (const key of ['q', 'faction', 'sector', 'tier', 'sort']) {
+    const el = document.getElementById(`filter-${key}`);
+    if (el && el.value !== f[key]) el.value = f[key];
+  }
+  document.getElementById('filter-confirmed').checked = f.confirmed;
+  document.getElementById('filter-defended').checked  = f.defended;
+  bar.classList.toggle('active', filtersActive(f) || !!f.sort);
+}
+
+// ---- Changes -----------------------------------------------
+
+function saveListFilters(f) {
+  try {
+    localStorage.setItem(LIST_FILTERS_KEY, JSON.stringify(f));
+  } catch (err) {
+    console.warn('[GAMBIT] Failed to save list filters:', err);
+  }
+}
+
+function setListFilter(key, value) {
+  setRouteParams({ [key]: value });
+}
+
+function clearListFilters() {
+  setRouteParams(Object.fromEntries(FILTER_PARAMS.map(key => [key, ''])));
+}
+
+window.setListFilter    = setListFilter;
+window.clearListFilters = clearListFilters;
+
+// Last filters applied — tab and planet changes leave them alone
+let appliedFilters = JSON.stringify(listFilters());
+
+onRouteChange(() => {
+  const f    = listFilters();
+  const json = JSON.stringify(f);
+  if (json === appliedFilters) return;
+  appliedFilters = json;
+  saveListFilters(f);
+
+  renderListToolbar();
+  renderGambits(state.gambits);
+  renderLiberation(state.liberationCampaigns);
+  renderDefense(state.defenseCampaigns);
+});
+
+// A URL without filters gets the last ones back
+if (!FILTER_PARAMS.some(key => currentRoute().params[key])) {
+  try {
+    const saved = JSON.parse(localStorage.getItem(LIST_FILTERS_KEY) ?? 'null');
+    if (saved) {
+      setRouteParams(Object.fromEntries(FILTER_PARAMS.map(key => [key, saved[key] === true ? '1' : saved[key] || ''])));
+    }
+  } catch { /* start unfiltered */ }
+}
@@ -12,97 +12,251 @@
 // ============================================================
 
 // ---- Snapshot Store ----------------------------------------
-// We keep the last few API snapshots to measure actual
-// liberation rate deltas (far more accurate than estimates).
+// Snapshots live in history.js (`snapshots`, `recordSnapshot`),
+// persisted in IndexedDB so rate data survives a reload. The
+// analysis reads `historyView` — cut off at the replayed moment
+// while replay.js is active.
 
-const snapshots = [];
+// ---- Rate Calculation --------------------------------------
+
+// Only snapshots this recent feed the trend fit — older data
+// reflects a different player population.
+const RATE_WINDOW_MS = 6 * 3_600_000;
+
+/**
+ * Two-sided 95% Student-t critical value for `df` degrees of
+ * freedom. Small samples get a wider band; ~1.96 beyond 30.
+ */
+function tCrit95(df) {
+  const table = [Infinity, 12.71, 4.30, 3.18, 2.78, 2.57, 2.45, 2.36, 2.31, 2.26, 2.23];
+  if (df < table.length) return table[df];
+  if (df < 20) return 2.15;
+  if (df < 30) return 2.06;
+  return 1.96;
+}
 
 /**
- * Record a planet data snapshot. Call after every successful
- * API refresh so rate deltas can be computed.
+ * Ordinary least-squares fit of y = intercept + slope·x.
  *
- * @param {Array} planets - full planet array from API
+ * @param {Array<{x: number, y: number}>} points
+ * @returns {{ slope, intercept, slopeSE, residuals, n } | null}
+ *          slopeSE is null when there are too few points to estimate it
  */
-function recordSnapshot(planets) {
-  const entry = {
-    ts:      Date.now(),
-    health:  {},   // planetIndex → current health
-    players: {},   // planetIndex → playerCount
+function fitLine(points) {
+  const n = points.length;
+  if (n < 2) return null;
+
+  const meanX = points.reduce((s, p) => s + p.x, 0) / n;
+  const meanY = points.reduce((s, p) => s + p.y, 0) / n;
+  let sxx = 0, sxy = 0;
+  for (const p of points) {
+    sxx += (p.x - meanX) ** 2;
+    sxy += (p.x - meanX) * (p.y - meanY);
+  }
+  if (sxx === 0) return null;
+
+  const slope     = sxy / sxx;
+  const intercept = meanY - slope * meanX;
+  const residuals = points.map(p => p.y - (intercept + slope * p.x));
+
+  let slopeSE = null;
+  if (n > 2) {
+    const sse = residuals.reduce((s, r) => s + r * r, 0);
+    slopeSE = Math.sqrt(sse / (n - 2) / sxx);
+  }
+  return { slope, intercept, slopeSE, residuals, n };
+}
+
+/**
+ * Robust trend fit: fit once, drop points whose residual is more
+ * than 3 robust standard deviations (scaled MAD) from the line,
+ * then refit. A single noisy API tick can't swing the result.
+ *
+ * @returns {{ slope, intercept, low, high, n, rejected }} | null
+ */
+function fitTrend(points) {
+  let fit = fitLine(points);
+  if (!fit) return null;
+
+  let kept = points;
+  if (fit.n >= 4) {
+    const absRes = fit.residuals.map(Math.abs).sort((a, b) => a - b);
+    const mad    = absRes[Math.floor(absRes.length / 2)] * 1.4826;
+    const inliers = mad > 0
+      ? points.filter((_, i) => Math.abs(fit.residuals[i]) <= 3 * mad)
+      : points;
+    const refit = inliers.length < points.length ? fitLine(inliers) : null;
+    if (refit) {
+      fit  = refit;
+      kept = inliers;
+    }
+  }
+
+  const half = fit.slopeSE != null ? tCrit95(fit.n - 2) * fit.slopeSE : null;
+  return {
+    slope:     fit.slope,
+    intercept: fit.intercept,
+    low:       half != null ? fit.slope - half : null,
+    high:      half != null ? fit.slope + half : null,
+    n:         fit.n,
+    rejected:  points.length - kept.length,
   };
-  (planets ?? []).forEach(p => {
-    entry.health[p.index]  = p.health;
-    entry.players[p.index] = p.statistics?.playerCount ?? 0;
-  });
-  snapshots.push(entry);
-  if (snapshots.length > 6) snapshots.shift();
 }
 
-// ---- Rate Calculation --------------------------------------
+/**
+ * Fit a percentage trend (%/hr) for one planet over the retained
+ * snapshots in the last RATE_WINDOW_MS.
+ *
+ * @param {number}   planetIndex
+ * @param {Function} pctOf - (snapshot) → percentage, or null to skip it
+ * @returns {{ value, low, high, n, avgPlayers, estimated: false } | null}
+ *          low/high are null when only two points are available
+ */
+function measuredTrend(planetIndex, pctOf) {
+  if (historyView.length < 2) return null;
+
+  const latestTs = historyView[historyView.length - 1].ts;
+  const points   = [];
+  let playerSum  = 0;
+  for (const snap of historyView) {
+    if (latestTs - snap.ts > RATE_WINDOW_MS) continue;
+    const pct = pctOf(snap);
+    if (pct == null) continue;
+    points.push({ x: (snap.ts - latestTs) / 3_600_000, y: pct });
+    playerSum += snap.players[planetIndex] ?? 0;
+  }
+  if (points.length < 2) return null;
+
+  const spanHours = points[points.length - 1].x - points[0].x;
+  if (spanHours < 0.002) return null; // snapshots too close together
+
+  const trend = fitTrend(points);
+  if (!trend) return null;
+
+  return {
+    value:      trend.slope,
+    low:        trend.low,
+    high:       trend.high,
+    n:          trend.n,
+    avgPlayers: playerSum / points.length,
+    estimated:  false,
+  };
+}
 
 /**
- * Compute the measured net liberation rate (%/hr) for a planet
- * using the two most recent snapshots.
+ * Compute the measured net liberation rate (%/hr) for a planet by
+ * fitting a line through liberation % over all retained snapshots
+ * in the rate window, with a 95% confidence band.
  *
  * Positive  = players are making progress (liberating faster than decay)
  * Negative  = enemy is winning (decay outpacing player effort)
  * null      = insufficient snapshot data
  */
 function measuredNetRate(planetIndex, maxHealth) {
-  if (snapshots.length < 2) return null;
+  if (!maxHealth) return null;
+  return measuredTrend(planetIndex, snap => {
+    const health = snap.health[planetIndex];
+    return health == null ? null : (1 - health / maxHealth) * 100;
+  });
+}
 
-  const latest = snapshots[snapshots.length - 1];
-  const prev   = snapshots[snapshots.length - 2];
+/**
+ * Hours to finish liberation from `libPct_`, as a central estimate
+ * plus a range derived from the rate confidence band.
+ *
+ * value/low/high are null when the rate gives no finite ETA;
+ * high is Infinity when the slow end of the band is not positive.
+ */
+function calcEta(libPct_, netRateObj) {
+  const remaining = 100 - libPct_;
+  const rate      = netRateObj.value;
+  const value     = rate != null && rate > 0 ? remaining / rate : null;
+
+  let low = null, high = null;
+  if (value != null && netRateObj.low != null && netRateObj.high != null) {
+    low  = remaining / netRateObj.high;
+    high = netRateObj.low > 0 ? remaining / netRateObj.low : Infinity;
+  }
+  return { value, low, high };
+}
 
-  const latestHealth = latest.health[planetIndex];
-  const prevHealth   = prev.health[planetIndex];
-  if (latestHealth == null || prevHealth == null) return null;
+/**
+ * Format a range as "9–14h". Falls back to "~value" when no band
+ * is available and to "≥low" when the upper bound is unbounded.
+ */
+function fmtRange(value, low, high, digits, unit) {
+  if (low == null || high == null) return `~${value.toFixed(digits)}${unit}`;
+  if (!isFinite(high)) return `≥${low.toFixed(digits)}${unit}`;
+  if (low.toFixed(digits) === high.toFixed(digits)) return `~${value.toFixed(digits)}${unit}`;
+  return `${low.toFixed(digits)}–${high.toFixed(digits)}${unit}`;
+}
 
-  const deltaHours = (latest.ts - prev.ts) / 3_600_000;
-  if (deltaHours < 0.002) return null; // snapshots too close together
+/** Signed rate display, with its confidence band when measured. */
+function fmtRate(netRateObj) {
+  const rate = netRateObj.value;
+  const sign = rate >= 0 ? '+' : '';
+  const band = netRateObj.low != null && netRateObj.high != null
+    ? ` (${netRateObj.low.toFixed(2)} to ${netRateObj.high.toFixed(2)})`
+    : '';
+  return `${sign}${rate.toFixed(2)}%/hr${netRateObj.estimated ? '*' : ''}${band}`;
+}
 
-  // Health decreased → positive liberation progress
-  const deltaHealth = prevHealth - latestHealth;
-  return (deltaHealth / maxHealth) * 100 / deltaHours;
+/**
+ * Liberation %/hr contributed by one Helldiver against `faction`.
+ * Fitted from snapshot history when enough exists (calibration.js);
+ * until then the empirical community figure of ~1%/hr per
+ * settings.diversPerPctHr (default 10,000) Helldivers.
+ */
+function diverRatePctHr(faction, impactMultiplier) {
+  return calibratedDiverRate(faction, impactMultiplier)?.value ?? 1.0 / settings.diversPerPctHr;
 }
 
 /**
- * Estimate net liberation rate when snapshot data is unavailable.
- * Uses decay rate vs. a community-calibrated player-rate formula.
+ * Estimate net liberation rate when the planet has no measured rate
+ * of its own: on-planet divers × per-diver contribution − decay.
+ * With a calibrated model the estimate carries a 95% band.
  *
- * NOTE: This is rough — accuracy improves dramatically after the
- * first refresh populates two snapshots.
+ * NOTE: The raw impactMultiplier is not used as a rate — the API value
+ * is often < 0.001 and produces unrealistically low player rates. The
+ * calibration only uses how observed progress varies with it.
  *
- * @returns {{ value: number, estimated: true }}
+ * @returns {{ value: number, low?: number, high?: number, estimated: true, calibrated: boolean }}
  */
-function estimatedNetRate(planet) {
+function estimatedNetRate(planet, impactMultiplier) {
   const decayPctHr = (planet.regenPerSecond * 3600 / planet.maxHealth) * 100;
   const players    = planet.statistics?.playerCount ?? 0;
 
-  // Empirical estimate based on observed community data:
-  //   ~1%/hr liberation per 10,000 Helldivers deployed on a standard planet.
-  // NOTE: impactMultiplier is NOT used here — the API value is often < 0.001
-  // which makes any formula using it produce unrealistically low player rates.
-  // Snapshot-based measurement (after first refresh) replaces this estimate.
-  const playerRatePctHr = (players / 10_000) * 1.0;
-  return { value: playerRatePctHr - decayPctHr, estimated: true };
+  const cal = calibratedDiverRate(planet.currentOwner, impactMultiplier);
+  if (cal) {
+    return {
+      value:      players * cal.value - decayPctHr,
+      low:        players * cal.low - decayPctHr,
+      high:       players * cal.high - decayPctHr,
+      estimated:  true,
+      calibrated: true,
+    };
+  }
+  return { value: players / settings.diversPerPctHr - decayPctHr, estimated: true, calibrated: false };
 }
 
 /**
- * Calculate minimum and recommended player counts.
+ * Liberation %/hr one more diver adds on this planet: measured from
+ * the planet's own rate when it has one, else the per-diver model.
  *
- * min         = breakeven (enough to exactly offset decay)
- * recommended = enough to reach 100% within ~24h
- *
- * @returns {{ min, recommended, estimated? } | null}
+ * @returns {{ ratePerPlayer, estimated? } | null}
  */
-function calcPlayerRequirements(planet, netRateObj, impactMultiplier) {
-  const decayPctHr   = (planet.regenPerSecond * 3600 / planet.maxHealth) * 100;
+function diverContribution(planet, netRateObj, impactMultiplier) {
+  const decayPctHr     = (planet.regenPerSecond * 3600 / planet.maxHealth) * 100;
   const currentPlayers = planet.statistics?.playerCount ?? 0;
 
-  if (snapshots.length >= 2 && !netRateObj.estimated) {
-    // Use measured per-player rate for accurate projections
-    const latest = snapshots[snapshots.length - 1];
-    const playerCount = (latest.players[planet.index] ?? currentPlayers);
+  let ratePerPlayer;
+  let estimated = false;
+
+  if (historyView.length >= 2 && !netRateObj.estimated) {
+    // Use measured per-player rate for accurate projections, against the
+    // average population over the same window the rate was fitted on
+    const latest = historyView[historyView.length - 1];
+    const playerCount = netRateObj.avgPlayers ?? latest.players[planet.index] ?? currentPlayers;
     if (playerCount < 10) return null;
 
     const measured = netRateObj.value;
@@ -112,20 +266,34 @@ function calcPlayerRequirements(planet, netRateObj, impactMultiplier) {
     const grossPlayerPctHr = measured + decayPctHr;
     if (grossPlayerPctHr <= 0) return null;
 
-    const ratePerPlayer = grossPlayerPctHr / playerCount;
-    if (ratePerPlayer <= 0) return null;
-
-    const min         = Math.max(1, Math.ceil(decayPctHr / ratePerPlayer));
-    const remaining   = 100 - libPct(planet);
-    const recommended = Math.max(min * 2, Math.ceil((decayPctHr + remaining * (1 / 24)) / ratePerPlayer));
-    return { min, recommended };
+    ratePerPlayer = grossPlayerPctHr / playerCount;
+  } else {
+    // No measurement for this planet — calibrated (or fixed) per-diver rate
+    ratePerPlayer = diverRatePctHr(planet.currentOwner, impactMultiplier);
+    estimated     = true;
   }
+  if (!(ratePerPlayer > 0)) return null;
+  return estimated ? { ratePerPlayer, estimated } : { ratePerPlayer };
+}
 
-  // Fallback estimate
-  const imp = impactMultiplier ?? 0.005;
-  if (imp <= 0) return null;
-  const min = Math.ceil(decayPctHr / (imp * 0.25));
-  return { min, recommended: min * 3, estimated: true };
+/**
+ * Calculate minimum and recommended player counts.
+ *
+ * min         = breakeven (enough to exactly offset decay)
+ * recommended = enough to reach 100% within ~24h
+ *
+ * @returns {{ min, recommended, estimated? } | null}
+ */
+function calcPlayerRequirements(planet, netRateObj, impactMultiplier) {
+  const contribution = diverContribution(planet, netRateObj, impactMultiplier);
+  if (!contribution) return null;
+
+  const { ratePerPlayer, estimated } = contribution;
+  const decayPctHr  = (planet.regenPerSecond * 3600 / planet.maxHealth) * 100;
+  const min         = Math.max(1, Math.ceil(decayPctHr / ratePerPlayer));
+  const remaining   = 100 - libPct(planet);
+  const recommended = Math.max(min * 2, Math.ceil((decayPctHr + remaining * (1 / 24)) / ratePerPlayer));
+  return estimated ? { min, recommended, estimated } : { min, recommended };
 }
 
 // ---- Conditions Checklist ----------------------------------
@@ -133,21 +301,25 @@ function calcPlayerRequirements(planet, netRateObj, impactMultiplier) {
 /**
  * Evaluate the specific conditions that determine gambit viability.
  * Each condition object: { label, detail, pass: bool }
+ *
+ * `scenario` replaces the live diver count and defense time left
+ * ({ players, minDefHr }) — the what-if sliders (whatif.js).
  */
-function buildConditions(libCampaign, netRateObj, timeToComplete, connectedDefenses, playerReqs) {
+function buildConditions(libCampaign, netRateObj, timeToComplete, connectedDefenses, playerReqs, scenario = {}) {
   const planet  = libCampaign.planet;
   const libPct_ = libPct(planet);
-  const players = planet.statistics?.playerCount ?? 0;
+  const players = scenario.players ?? planet.statistics?.playerCount ?? 0;
   const rate    = netRateObj.value;
+  const eta     = calcEta(libPct_, netRateObj);
 
   const conds = [];
 
   // 1. Liberation progress — has meaningful work already been done?
   {
-    const pass = libPct_ >= 25;
-    const status = libPct_ >= 60 ? 'STRONG' : libPct_ >= 25 ? 'ADEQUATE' : 'LOW';
+    const pass = libPct_ >= settings.minLibPct;
+    const status = libPct_ >= 60 ? 'STRONG' : pass ? 'ADEQUATE' : 'LOW';
     conds.push({
-      label:  'Liberation progress ≥ 25%',
+      label:  `Liberation progress ≥ ${settings.minLibPct}%`,
       detail: `${libPct_.toFixed(1)}% — ${status}`,
       pass,
     });
@@ -161,38 +333,38 @@ function buildConditions(libCampaign, netRateObj, timeToComplete, connectedDefen
       detail = 'Insufficient data — refresh again';
     } else {
       const label = rate > 3 ? 'STRONG' : rate > 0 ? 'MARGINAL' : rate > -2 ? 'LOSING' : 'CRITICAL';
-      detail = `${rate >= 0 ? '+' : ''}${rate.toFixed(2)}%/hr${netRateObj.estimated ? '*' : ''} — ${label}`;
+      detail = `${fmtRate(netRateObj)} — ${label}`;
     }
     conds.push({ label: 'Net rate positive (liberating > decay)', detail, pass });
   }
 
   // 3. Can we actually finish within a reasonable timeframe?
   {
-    const pass = timeToComplete != null && isFinite(timeToComplete) && timeToComplete <= 48;
+    const pass = timeToComplete != null && isFinite(timeToComplete) && timeToComplete <= settings.maxCompletionHrs;
     let detail;
     if (timeToComplete == null || !isFinite(timeToComplete)) {
       detail = rate != null && rate <= 0 ? 'IMPOSSIBLE — rate must turn positive' : 'UNKNOWN — rate data needed';
     } else {
       const speed = timeToComplete < 6 ? 'VERY FAST' : timeToComplete < 12 ? 'FAST' : timeToComplete < 24 ? 'FEASIBLE' : 'SLOW';
-      detail = `~${timeToComplete.toFixed(1)}h to completion — ${speed}`;
+      detail = `${fmtRange(timeToComplete, eta.low, eta.high, 1, 'h')} to completion — ${speed}`;
     }
-    conds.push({ label: 'Liberation completable within 48h', detail, pass });
+    conds.push({ label: `Liberation completable within ${settings.maxCompletionHrs}h`, detail, pass });
   }
 
   // 4. Supply-line defense timing — do we finish before we lose the defense?
+  //    Lost = timer expiry or projected integrity collapse, whichever is first.
   if (connectedDefenses.length > 0) {
-    const defHours = connectedDefenses.map(dc =>
-      dc.planet.event?.endTime ? hoursLeft(dc.planet.event.endTime) : Infinity
-    );
-    const minDefHr = Math.min(...defHours);
+    const minDefHr = scenario.minDefHr ?? Math.min(...connectedDefenses.map(defenseHoursLeft));
     const pass = timeToComplete != null && isFinite(timeToComplete) && timeToComplete < minDefHr;
     let detail;
     if (timeToComplete == null || !isFinite(timeToComplete)) {
       detail = `Defense expires in ${minDefHr.toFixed(1)}h — ETA unknown`;
     } else {
       const buffer = minDefHr - timeToComplete;
-      detail = `${timeToComplete.toFixed(1)}h ETA vs ${minDefHr.toFixed(1)}h defense remaining`
-        + (pass ? ` (+${buffer.toFixed(1)}h buffer)` : ' — TOO SLOW');
+      // Flag when the slow end of the ETA band overshoots the defense
+      const marginal = pass && eta.high != null && eta.high >= minDefHr;
+      detail = `${fmtRange(timeToComplete, eta.low, eta.high, 1, 'h')} ETA vs ${minDefHr.toFixed(1)}h defense remaining`
+        + (pass ? ` (+${buffer.toFixed(1)}h buffer${marginal ? ', within margin of error' : ''})` : ' — TOO SLOW');
     }
     conds.push({ label: 'ETA beats defense expiry', detail, pass });
   }
@@ -223,8 +395,11 @@ function buildConditions(libCampaign, netRateObj, timeToComplete, connectedDefen
  *   Net rate             0–30 pts   (speed of progress)
  *   Time viability       0–25 pts   (ETA vs. defense timer / raw speed)
  *   Condition pass rate  0–20 pts   (how many green checks)
+ *
+ * `minDefHr` defaults to the earliest connected defense loss.
  */
-function calcSuccessPct(libPct_, netRate, timeToComplete, connectedDefenses, conditions) {
+function calcSuccessPct(libPct_, netRate, timeToComplete, connectedDefenses, conditions,
+  minDefHr = Math.min(...connectedDefenses.map(defenseHoursLeft))) {
   let score = 0;
 
   // Liberation progress component
@@ -242,18 +417,15 @@ function calcSuccessPct(libPct_, netRate, timeToComplete, connectedDefenses, con
   // Time viability component
   if (timeToComplete != null && isFinite(timeToComplete)) {
     if (connectedDefenses.length > 0) {
-      const minDefHr = Math.min(...connectedDefenses.map(dc =>
-        dc.planet.event?.endTime ? hoursLeft(dc.planet.event.endTime) : Infinity
-      ));
       if (timeToComplete < minDefHr) {
         const buffer = minDefHr - timeToComplete;
-        score += Math.min(buffer / 12, 1) * 25;   // 12h buffer = max points
+        score += Math.min(buffer / settings.fullBufferHrs, 1) * 25;   // full buffer = max points
       } else {
         score -= 15;                                // ETA exceeds defense timer
       }
     } else {
       // No defense at risk — reward faster completion
-      score += Math.max(0, 1 - timeToComplete / 48) * 25;
+      score += Math.max(0, 1 - timeToComplete / settings.maxCompletionHrs) * 25;
     }
   }
 
@@ -284,11 +456,12 @@ function toRiskLevel(pct) {
  *
  * @param {Array}  liberationCampaigns
  * @param {Array}  defenseCampaigns
- * @param {Object} war  - top-level war object (for impactMultiplier)
+ * @param {Object} war    - top-level war object (for impactMultiplier)
+ * @param {Object} graph  - supply-line graph from buildSupplyGraph()
  * @returns {Array} gambits
  */
-function detectGambits(liberationCampaigns, defenseCampaigns, war) {
-  const imp     = war?.impactMultiplier ?? 0.005;
+function detectGambits(liberationCampaigns, defenseCampaigns, war, graph) {
+  const imp     = war?.impactMultiplier;
   const gambits = [];
 
   for (const libCampaign of liberationCampaigns) {
@@ -297,38 +470,36 @@ function detectGambits(liberationCampaigns, defenseCampaigns, war) {
 
     // planet.attacking[] = planets this planet is currently pushing an attack on
     const attackingIndices = planet.attacking ?? [];
+    const adjacent         = new Set(neighbors(graph, planet.index));
 
     // Find defense campaigns: confirmed via planet.attacking[], or via supply-line waypoints
-    const connected = defenseCampaigns.filter(dc => {
-      const dp = dc.planet;
-      return attackingIndices.includes(dp.index) ||
-             (planet.waypoints ?? []).includes(dp.index) ||
-             (dp.waypoints   ?? []).includes(planet.index);
-    });
+    const connected = defenseCampaigns.filter(dc =>
+      attackingIndices.includes(dc.planet.index) || adjacent.has(dc.planet.index)
+    );
 
     // True if this planet is the confirmed, direct source of an attack on a defended planet
     const isConfirmedAttacker = connected.some(dc => attackingIndices.includes(dc.planet.index));
 
     // Find OTHER liberation campaigns connected via supply lines
     // (winning this gambit opens or strengthens the route to these planets)
-    const connectedLiberation = liberationCampaigns.filter(lc => {
-      if (lc === libCampaign) return false;
-      const lp = lc.planet;
-      return (planet.waypoints ?? []).includes(lp.index) ||
-             (lp.waypoints   ?? []).includes(planet.index);
-    });
+    const connectedLiberation = liberationCampaigns.filter(lc =>
+      lc !== libCampaign && adjacent.has(lc.planet.index)
+    );
+
+    // Multi-hop: enemy planets this liberation cuts off, and defenses
+    // further down the line that those planets are attacking
+    const chain = chainEffects(graph, planet.index, defenseCampaigns);
+    chain.relieved = chain.relieved.filter(r => !connected.includes(r.defense));
 
     // Determine net liberation rate (measured if available, else estimated)
-    const measured = measuredNetRate(planet.index, planet.maxHealth);
-    const netRateObj = measured != null
-      ? { value: measured, estimated: false }
-      : estimatedNetRate(planet);
+    const netRateObj = measuredNetRate(planet.index, planet.maxHealth)
+      ?? estimatedNetRate(planet, imp);
 
     const netRate = netRateObj.value;
 
-    // Estimate time to complete liberation (hours)
-    const remaining     = 100 - libPct_;
-    const timeToComplete = netRate > 0 ? remaining / netRate : null;
+    // Estimate time to complete liberation (hours), with a range from the rate band
+    const eta            = calcEta(libPct_, netRateObj);
+    const timeToComplete = eta.value;
 
     // Player requirements
     const players    = planet.statistics?.playerCount ?? 0;
@@ -337,22 +508,46 @@ function detectGambits(liberationCampaigns, defenseCampaigns, war) {
     // Conditions checklist
     const conditions = buildConditions(libCampaign, netRateObj, timeToComplete, connected, playerReqs);
 
-    // Overall success score
-    const successPct = calcSuccessPct(libPct_, netRate, timeToComplete, connected, conditions);
+    // Overall success score — the heuristic is cheap and always computed
+    // so the two models can be compared on the card. The simulation is
+    // not: under the point score it only runs when its figure is read
+    // (a card's SIM %, a summary), not for every liberation.
+    const heuristicPct = calcSuccessPct(libPct_, netRate, timeToComplete, connected, conditions);
+    const minDefHr     = Math.min(...connected.map(defenseHoursLeft));
+    let simulation     = settings.scoringModel === 'montecarlo' ? simulateGambit(planet, netRateObj, minDefHr) : undefined;
+    const scoringModel = simulation ? 'montecarlo' : 'heuristic';
+    const successPct   = scoringModel === 'montecarlo'
+      ? Math.round(simulation.probability * 100)
+      : heuristicPct;
+
+    // Major Order tasks this liberation advances (orders.js)
+    const orderLinks = majorOrderLinks(planet.index, {
+      protects: [...connected, ...chain.relieved.map(r => r.defense)].map(dc => dc.planet.index),
+      faction:  planet.currentOwner,
+    });
 
     gambits.push({
       libCampaign,
       connectedDefenses:    connected,
       connectedLiberation,
+      chain,
       isConfirmedAttacker,
       libPct:               libPct_,
       netRateObj,
       netRate,
       timeToComplete,
+      eta,
       players,
       playerReqs,
       conditions,
       successPct,
+      heuristicPct,
+      get simulation() {
+        if (simulation === undefined) simulation = simulateGambit(planet, netRateObj, minDefHr);
+        return simulation;
+      },
+      scoringModel,
+      orderLinks,
       risk: toRiskLevel(successPct),
     });
   }
@@ -371,6 +566,76 @@ function detectGambits(liberationCampaigns, defenseCampaigns, war) {
   });
 }
 
+// ---- Summary -----------------------------------------------
+
+/**
+ * Plain-data view of a gambit — no HTML, no object graph — for JSON
+ * output and text reports (tools/gambit.js). Hours count from
+ * clockNow(); unknown values are null.
+ */
+function gambitSummary(g) {
+  const planet = g.libCampaign.planet;
+  const finite = v => (v != null && isFinite(v) ? v : null);
+
+  return {
+    planet:            planet.name ?? `PLANET #${planet.index}`,
+    planetIndex:       planet.index,
+    faction:           planet.currentOwner ?? g.libCampaign.faction,
+    libPct:            g.libPct,
+    netRatePctHr:      g.netRate,
+    netRateBand:       g.netRateObj.low != null ? [g.netRateObj.low, g.netRateObj.high] : null,
+    rateEstimated:     !!g.netRateObj.estimated,
+    etaHours:          g.eta.value,
+    etaBand:           g.eta.low != null ? [g.eta.low, finite(g.eta.high)] : null,
+    players:           g.players,
+    playersNeeded:     g.playerReqs && { min: g.playerReqs.min, recommended: g.playerReqs.recommended },
+    defenses:          g.connectedDefenses.map(dc => ({
+      planet:       dc.planet.name ?? `PLANET #${dc.planet.index}`,
+      planetIndex:  dc.planet.index,
+      hoursLeft:    finite(defenseHoursLeft(dc)),
+      integrityPct: defPct(dc.planet.event),
+    })),
+    confirmedAttacker: g.isConfirmedAttacker,
+    successPct:        g.successPct,
+    heuristicPct:      g.heuristicPct,
+    probability:       g.simulation?.probability ?? null,
+    scoringModel:      g.scoringModel,
+    tier:              g.risk.label,
+    recommendation:    getRecommendation(g.successPct, planet.name).headline,
+    conditions:        g.conditions.map(c => ({ label: c.label, detail: c.detail, pass: c.pass })),
+    majorOrder:        g.orderLinks.map(link => link.text),
+  };
+}
+
+/** Time to liberation as shown on the card: a range, STALLED or —. */
+function fmtGambitEta(g) {
+  if (g.timeToComplete != null && isFinite(g.timeToComplete)) {
+    return fmtRange(g.timeToComplete, g.eta.low, g.eta.high, 1, 'h');
+  }
+  return g.netRate != null && g.netRate <= 0 ? 'STALLED' : '—';
+}
+
+/**
+ * Planets that benefit if the gambit succeeds ("IF WE WIN"): the
+ * defenses it protects and the liberations it supports.
+ *
+ * @returns {Array<{ type: 'protect' | 'advance', name, detail }>}
+ */
+function gambitBeneficiaries(g) {
+  return [
+    ...g.connectedDefenses.map(dc => ({
+      type:   'protect',
+      name:   dc.planet.name ?? `Planet #${dc.planet.index}`,
+      detail: 'DEFENSE PROTECTED',
+    })),
+    ...g.connectedLiberation.map(lc => ({
+      type:   'advance',
+      name:   lc.planet.name ?? `Planet #${lc.planet.index}`,
+      detail: `LIBERATION SUPPORTED — ${libPct(lc.planet).toFixed(1)}% liberated`,
+    })),
+  ];
+}
+
 // ---- Rendering ---------------------------------------------
 
 /**
@@ -414,6 +679,7 @@ function getRecommendation(successPct, planetName) {
  * Generate specific improvement suggestions for a not-recommended gambit.
  * Each item tells players exactly what needs to change to push the gambit
  * into at least "PROCEED WITH CAUTION" territory (≥35% success).
+ * Items are html`` markup.
  */
 function buildSuggestions(g) {
   const suggestions = [];
@@ -427,8 +693,8 @@ function buildSuggestions(g) {
     // 1. Liberation progress too low
     if (cond.label.startsWith('Liberation progress')) {
       suggestions.push(
-        `Reach at least <strong>25% liberation</strong> — currently ${g.libPct.toFixed(1)}%. ` +
-        `Sustained Helldiver presence is needed before this gambit becomes viable.`
+        html`Reach at least <strong>${settings.minLibPct}% liberation</strong> — currently ${g.libPct.toFixed(1)}%.
+        Sustained Helldiver presence is needed before this gambit becomes viable.`
       );
     }
 
@@ -438,59 +704,57 @@ function buildSuggestions(g) {
         const extra = Math.max(0, g.playerReqs.min - players);
         if (extra > 0) {
           suggestions.push(
-            `Deploy <strong>${extra.toLocaleString()} more Helldivers</strong> to ${planet.name ?? 'this planet'} ` +
-            `just to break even on enemy regen — need ${g.playerReqs.min.toLocaleString()} minimum, ` +
-            `${players.toLocaleString()} currently on-planet.`
+            html`Deploy <strong>${extra.toLocaleString()} more Helldivers</strong> to ${planet.name ?? 'this planet'}
+            just to break even on enemy regen — need ${g.playerReqs.min.toLocaleString()} minimum,
+            ${players.toLocaleString()} currently on-planet.`
           );
           playerSuggestionAdded = true;
         } else {
           // Players are technically above min but rate is still negative (measurement lag)
           const deficit = g.netRate != null ? Math.abs(g.netRate).toFixed(2) : '?';
           suggestions.push(
-            `Net liberation rate is <strong>${deficit}%/hr negative</strong> — ` +
-            `more coordinated missions per hour are needed to outpace enemy regeneration.`
+            html`Net liberation rate is <strong>${deficit}%/hr negative</strong> —
+            more coordinated missions per hour are needed to outpace enemy regeneration.`
           );
         }
       } else if (g.netRate != null) {
         suggestions.push(
-          `Net rate is <strong>${g.netRate.toFixed(2)}%/hr</strong>. ` +
-          `A significant player surge is needed to flip this to positive.`
+          html`Net rate is <strong>${g.netRate.toFixed(2)}%/hr</strong>.
+          A significant player surge is needed to flip this to positive.`
         );
       }
     }
 
-    // 3. Cannot complete within 48h
+    // 3. Cannot complete within the completion window
     if (cond.label.startsWith('Liberation completable')) {
       if (g.netRate != null && g.netRate <= 0) {
         suggestions.push(
-          `Liberation rate must turn <strong>positive</strong> before a completion window exists — ` +
-          `fix the player count deficit first (see above).`
+          html`Liberation rate must turn <strong>positive</strong> before a completion window exists —
+          fix the player count deficit first (see above).`
         );
       } else if (g.timeToComplete != null && isFinite(g.timeToComplete)) {
         suggestions.push(
-          `At the current rate, liberation takes <strong>${g.timeToComplete.toFixed(1)}h</strong>. ` +
-          `More Helldivers are needed to compress that timeline to within 48h.`
+          html`At the current rate, liberation takes <strong>${g.timeToComplete.toFixed(1)}h</strong>.
+          More Helldivers are needed to compress that timeline to within ${settings.maxCompletionHrs}h.`
         );
       }
     }
 
     // 4. ETA exceeds defense timer
     if (cond.label.startsWith('ETA beats defense expiry') && g.connectedDefenses.length > 0) {
-      const minDefHr = Math.min(...g.connectedDefenses.map(dc =>
-        dc.planet.event?.endTime ? hoursLeft(dc.planet.event.endTime) : Infinity
-      ));
+      const minDefHr = Math.min(...g.connectedDefenses.map(defenseHoursLeft));
       if (isFinite(minDefHr)) {
         if (g.timeToComplete != null && isFinite(g.timeToComplete)) {
           const gap = (g.timeToComplete - minDefHr).toFixed(1);
           suggestions.push(
-            `Liberation ETA (<strong>${g.timeToComplete.toFixed(1)}h</strong>) overshoots ` +
-            `the defense window (<strong>${minDefHr.toFixed(1)}h</strong>) by ${gap}h. ` +
-            `A major coordinated surge — or extending the defense — is required.`
+            html`Liberation ETA (<strong>${g.timeToComplete.toFixed(1)}h</strong>) overshoots
+            the defense window (<strong>${minDefHr.toFixed(1)}h</strong>) by ${gap}h.
+            A major coordinated surge — or extending the defense — is required.`
           );
         } else {
           suggestions.push(
-            `Defense expires in <strong>${minDefHr.toFixed(1)}h</strong>. ` +
-            `Turn the liberation rate positive first so an ETA can be calculated.`
+            html`Defense expires in <strong>${minDefHr.toFixed(1)}h</strong>.
+            Turn the liberation rate positive first so an ETA can be calculated.`
           );
         }
       }
@@ -501,8 +765,8 @@ function buildSuggestions(g) {
       const extra = Math.max(0, g.playerReqs.min - players);
       if (extra > 0) {
         suggestions.push(
-          `<strong>${extra.toLocaleString()} more Helldivers</strong> are needed just to halt enemy regen — ` +
-          `${players.toLocaleString()} on-planet, ${g.playerReqs.min.toLocaleString()} required minimum.`
+          html`<strong>${extra.toLocaleString()} more Helldivers</strong> are needed just to halt enemy regen —
+          ${players.toLocaleString()} on-planet, ${g.playerReqs.min.toLocaleString()} required minimum.`
         );
       }
     }
@@ -521,18 +785,11 @@ function renderGambitCard(g) {
   let rateDisplay = 'AWAITING DATA';
   let rateClass   = '';
   if (g.netRate != null) {
-    const sign = g.netRate >= 0 ? '+' : '';
-    rateDisplay = `${sign}${g.netRate.toFixed(2)}%/hr${g.netRateObj.estimated ? '*' : ''}`;
+    rateDisplay = fmtRate(g.netRateObj);
     rateClass   = g.netRate > 0 ? 'positive' : 'negative';
   }
 
-  // ETA display
-  let etaDisplay = '—';
-  if (g.timeToComplete != null && isFinite(g.timeToComplete)) {
-    etaDisplay = `~${g.timeToComplete.toFixed(1)}h`;
-  } else if (g.netRate != null && g.netRate <= 0) {
-    etaDisplay = 'STALLED';
-  }
+  const etaDisplay = fmtGambitEta(g);
 
   // Connected defense summary
   let defenseHtml = '';
@@ -546,54 +803,66 @@ function renderGambitCard(g) {
     const event    = dc.planet.event;
     const remaining = event?.endTime ? fmtCountdown(event.endTime) : '—';
     const hrs       = event?.endTime ? hoursLeft(event.endTime) : Infinity;
-    const urgCls    = hrs < 1 ? 'critical' : hrs < 6 ? 'urgent' : '';
+    const urgCls    = urgencyCls(hrs);
     const extra     = g.connectedDefenses.length - 1;
 
     const atRiskLabel = g.isConfirmedAttacker ? '⚔ DIRECTLY ATTACKING' : '⚠ SUPPLY LINE AT RISK';
-    defenseHtml = `
+    defenseHtml = html`
       <div class="gambit-at-risk">
         <div class="gambit-section-label">${atRiskLabel}</div>
         <div class="gambit-risk-planet">
           <div class="risk-planet-name">${dc.planet.name ?? `PLANET #${dc.planet.index}`}</div>
           <span class="timer-value ${urgCls} sm" data-end="${event?.endTime ?? ''}">${remaining}</span>
         </div>
-        ${extra > 0 ? `<div class="more-defenses">+${extra} more defense campaign${extra > 1 ? 's' : ''} at risk</div>` : ''}
+        ${renderDefenseOutlook(projectDefense(dc))}
+        ${extra > 0 && html`<div class="more-defenses">+${extra} more defense campaign${extra > 1 ? 's' : ''} at risk</div>`}
       </div>`;
   }
 
   // Strategic impact — all planets that benefit if this gambit succeeds
   let impactHtml = '';
-  const beneficiaries = [
-    ...g.connectedDefenses.map(dc => ({
-      type:   'protect',
-      name:   dc.planet.name ?? `Planet #${dc.planet.index}`,
-      detail: 'DEFENSE PROTECTED',
-    })),
-    ...g.connectedLiberation.map(lc => ({
-      type:   'advance',
-      name:   lc.planet.name ?? `Planet #${lc.planet.index}`,
-      detail: `LIBERATION SUPPORTED — ${libPct(lc.planet).toFixed(1)}% liberated`,
-    })),
-  ];
+  const beneficiaries = gambitBeneficiaries(g);
   if (beneficiaries.length) {
-    impactHtml = `
+    impactHtml = html`
       <div class="gambit-impact">
         <div class="gambit-section-label">IF WE WIN — PLANETS THAT BENEFIT</div>
-        ${beneficiaries.map(b => `
+        ${beneficiaries.map(b => html`
           <div class="impact-item impact-${b.type}">
             <span class="impact-icon">${b.type === 'protect' ? '◈' : '▶'}</span>
             <div class="impact-info">
               <span class="impact-name">${b.name}</span>
               <span class="impact-detail">${b.detail}</span>
             </div>
-          </div>`).join('')}
+          </div>`)}
+      </div>`;
+  }
+
+  // Multi-hop chain effects — planets cut off and defenses relieved further down the line
+  let chainHtml = '';
+  if (g.chain.isolated.length) {
+    const planetName = planet.name ?? `Planet #${planet.index}`;
+    chainHtml = html`
+      <div class="gambit-chain">
+        <div class="gambit-section-label">CHAIN EFFECTS</div>
+        <div class="chain-summary">Liberating ${planetName} ${describeIsolation(g.chain.isolated.length)}</div>
+        <div class="supply-lines">
+          ${g.chain.isolated.map(p => html`<span class="planet-tag">${p.name ?? `#${p.index}`}</span>`)}
+        </div>
+        ${g.chain.relieved.map(r => html`
+          <div class="impact-item impact-protect">
+            <span class="impact-icon">◈</span>
+            <div class="impact-info">
+              <span class="impact-name">${r.defense.planet.name ?? `Planet #${r.defense.planet.index}`}</span>
+              <span class="impact-detail">DEFENSE RELIEVED — attacker ${r.via.name ?? `#${r.via.index}`} cut off</span>
+            </div>
+          </div>`)}
       </div>`;
   }
 
   // Player requirements
   let reqsHtml = '';
   if (g.playerReqs) {
-    reqsHtml += `
+    reqsHtml = html`
       <div class="req-item">
         <span class="req-icon">◆</span>
         <span>Breakeven (min. to halt decay): <strong>${g.playerReqs.min.toLocaleString()}</strong>${g.playerReqs.estimated ? '*' : ''}</span>
@@ -607,33 +876,31 @@ function renderGambitCard(g) {
   // Commit window
   let windowHtml = '';
   if (g.connectedDefenses.length > 0 && g.timeToComplete != null && isFinite(g.timeToComplete)) {
-    const minDefHr = Math.min(...g.connectedDefenses.map(dc =>
-      dc.planet.event?.endTime ? hoursLeft(dc.planet.event.endTime) : Infinity
-    ));
+    const minDefHr = Math.min(...g.connectedDefenses.map(defenseHoursLeft));
     if (isFinite(minDefHr)) {
       const window_ = Math.max(0, minDefHr - g.timeToComplete);
       const winLabel = window_ < 1
         ? `${Math.round(window_ * 60)} mins`
         : `${window_.toFixed(1)} hrs`;
       const winClass = window_ < 1 ? 'negative' : window_ < 6 ? '' : 'positive';
-      windowHtml = `
+      windowHtml = html`
         <div class="req-item">
           <span class="req-icon">◆</span>
           <span>Commit window: <strong class="${winClass}">${winLabel}</strong>
-            ${window_ <= 0 ? '<em class="req-warn">— WINDOW CLOSED</em>' : ''}</span>
+            ${window_ <= 0 && html`<em class="req-warn">— WINDOW CLOSED</em>`}</span>
         </div>`;
     }
   }
 
   // Conditions checklist
-  const condsHtml = g.conditions.map(c => `
+  const condsHtml = g.conditions.map(c => html`
     <div class="condition ${c.pass ? 'pass' : 'fail'}">
       <span class="cond-icon">${c.pass ? '✓' : '✗'}</span>
       <span class="cond-text">
         ${c.label}
         <em class="cond-detail">${c.detail}</em>
       </span>
-    </div>`).join('');
+    </div>`);
 
   const hasEstimates = g.netRateObj.estimated || g.playerReqs?.estimated;
   const rec = getRecommendation(g.successPct, planet.name ?? `Planet #${planet.index}`);
@@ -643,11 +910,11 @@ function renderGambitCard(g) {
   if (g.successPct < 35) {
     const suggestions = buildSuggestions(g);
     if (suggestions.length) {
-      suggestionsHtml = `
+      suggestionsHtml = html`
       <div class="gambit-suggestions">
         <div class="gambit-section-label suggestions-label">WHAT NEEDS TO CHANGE</div>
         <ul class="suggestions-list">
-          ${suggestions.map(s => `<li class="suggestion-item">${s}</li>`).join('')}
+          ${suggestions.map(s => html`<li class="suggestion-item">${s}</li>`)}
         </ul>
       </div>`;
     }
@@ -655,7 +922,16 @@ function renderGambitCard(g) {
 
   const confirmedCls = g.isConfirmedAttacker ? ' confirmed-attacker' : '';
 
-  return `
+  // Which model produced the headline number, plus the other one for comparison
+  let scoreModelHtml;
+  if (g.scoringModel === 'montecarlo') {
+    scoreModelHtml = html`<div class="score-model">P(SUCCESS) · POINT SCORE ${g.heuristicPct}</div>`;
+  } else {
+    const sim = g.simulation ? ` · SIM ${Math.round(g.simulation.probability * 100)}%` : '';
+    scoreModelHtml = html`<div class="score-model">POINT SCORE${sim}</div>`;
+  }
+
+  return html`
     <div class="gambit-card ${g.risk.cls}${confirmedCls}" data-planet-index="${planet.index}">
 
       <!-- Header: Title + Score -->
@@ -668,10 +944,12 @@ function renderGambitCard(g) {
             </div>
             <div class="gambit-planet-title">${planet.name ?? `PLANET #${planet.index}`}</div>
           </div>
+          ${typeof pinButton === 'function' && pinButton(planet.index)}
         </div>
         <div class="gambit-score-block">
-          <div class="score-number ${g.risk.cls}">${g.successPct}%</div>
+          <div class="score-number ${g.risk.cls}" data-value="${g.successPct}">${g.successPct}${g.scoringModel === 'montecarlo' ? '%' : ''}</div>
           <div class="risk-badge ${g.risk.cls}">${g.risk.label}</div>
+          ${scoreModelHtml}
         </div>
       </div>
 
@@ -680,6 +958,9 @@ function renderGambitCard(g) {
         <div class="success-fill ${g.risk.cls}" style="width:${g.successPct}%"></div>
       </div>
 
+      <!-- Major Order tasks this gambit advances -->
+      ${renderOrderLinks(g.orderLinks)}
+
       <!-- Liberation Target -->
       <div class="gambit-target">
         <div class="gambit-section-label">LIBERATION TARGET</div>
@@ -691,10 +972,10 @@ function renderGambitCard(g) {
           <div class="progress-fill lib" style="width:${Math.min(g.libPct, 100)}%"></div>
         </div>
         <div class="gambit-target-stats">
-          <span class="tstat">${g.libPct.toFixed(1)}% liberated</span>
+          <span class="tstat" data-value="${g.libPct.toFixed(1)}">${g.libPct.toFixed(1)}% liberated</span>
           <span class="tstat ${rateClass}">${rateDisplay}</span>
           <span class="tstat">${etaDisplay} to completion</span>
-          <span class="tstat">&#128101;&nbsp;${fmt(g.players)}</span>
+          <span class="tstat" data-value="${g.players}">&#128101;&nbsp;${fmt(g.players)}</span>
           <span class="tstat resistance">${fLabel} resistance: ${decayRate(planet).toFixed(2)}%/hr</span>
         </div>
       </div>
@@ -705,12 +986,15 @@ function renderGambitCard(g) {
       <!-- Strategic impact: planets that benefit if we win -->
       ${impactHtml}
 
+      <!-- Multi-hop chain effects -->
+      ${chainHtml}
+
       <!-- Player requirements + time window -->
       <div class="gambit-requirements">
         <div class="gambit-section-label">REQUIREMENTS</div>
         ${reqsHtml}
         ${windowHtml}
-        ${hasEstimates ? '<div class="estimate-note">* Estimated — measured data available after next refresh</div>' : ''}
+        ${hasEstimates && html`<div class="estimate-note">* Estimated — measured data available after next refresh</div>`}
       </div>
 
       <!-- Conditions checklist -->
@@ -731,9 +1015,56 @@ function renderGambitCard(g) {
       <!-- Improvement suggestions (not-recommended only) -->
       ${suggestionsHtml}
 
+      <!-- What-if sliders, when opened -->
+      ${typeof renderWhatIf === 'function' && renderWhatIf(g)}
+
+      <div class="gambit-card-actions">
+        <button class="btn-action${typeof whatIfOpen === 'function' && whatIfOpen(planet.index) ? ' active' : ''}" data-whatif-toggle="${planet.index}"
+                title="Try other diver counts, rates and defense timers">WHAT IF</button>
+        <button class="btn-action" data-briefing="${planet.index}"
+                title="Copy this gambit as text for Discord or chat">SHARE BRIEFING</button>
+      </div>
+
     </div>`;
 }
 
+/**
+ * Re-run detection and rendering from the data already in state,
+ * e.g. after the scoring model changes. No API call is made.
+ */
+function refreshGambits() {
+  const gambits = detectGambits(state.liberationCampaigns, state.defenseCampaigns, state.war, state.graph);
+  state.gambits = gambits;
+  renderGambits(gambits);
+}
+
+/** Switch the success model and re-score every card. */
+function setScoringModel(model) {
+  saveSetting('scoringModel', model);
+  refreshGambits();
+}
+
+window.setScoringModel = setScoringModel;
+
+// Reflect the persisted model in the selector on load
+{
+  const modelSelect = document.getElementById('scoring-model');
+  if (modelSelect) modelSelect.value = settings.scoringModel;
+}
+
+/**
+ * The gambits worth showing, in priority order: confirmed attackers →
+ * supply-line neighbors with defenses → others (capped at
+ * settings.maxGambitCards total).
+ */
+function visibleGambits(gambits) {
+  const confirmed  = gambits.filter(g => g.isConfirmedAttacker);
+  const withDef    = gambits.filter(g => !g.isConfirmedAttacker && g.connectedDefenses.length > 0);
+  const others     = gambits.filter(g => g.connectedDefenses.length === 0);
+  const cap        = Math.max(0, settings.maxGambitCards - confirmed.length - withDef.length);
+  return [...confirmed, ...withDef, ...others.slice(0, cap)];
+}
+
 /**
  * Render gambit cards into #gambit-container.
  * Filters to gambits with successPct >= 20 (low-viability gambits
@@ -744,26 +1075,26 @@ function renderGambits(gambits) {
   const countEl   = document.getElementById('gambit-count');
   if (!container) return;
 
-  // Priority: confirmed attackers → supply-line neighbors with defenses → others (capped at 6 total)
-  const confirmed  = gambits.filter(g => g.isConfirmedAttacker);
-  const withDef    = gambits.filter(g => !g.isConfirmedAttacker && g.connectedDefenses.length > 0);
-  const others     = gambits.filter(g => g.connectedDefenses.length === 0);
-  const cap        = Math.max(0, 6 - confirmed.length - withDef.length);
-  const viable     = [...confirmed, ...withDef, ...others.slice(0, cap)];
+  // The list toolbar's filters (filters.js) apply once it has loaded
+  const filtering = typeof listGambits === 'function';
+  const viable    = filtering ? listGambits(gambits) : visibleGambits(gambits);
 
-  if (countEl) countEl.textContent = viable.length;
+  if (countEl) countEl.textContent = filtering ? filterCount(viable.length, gambits.length) : viable.length;
 
   if (!viable.length) {
     const hasAny = gambits.length > 0;
-    container.innerHTML = `
+    patchChildren(container, html`
       <div class="empty-state gambit-empty">
-        ${hasAny
-          ? 'No viable gambits detected — all liberation campaigns have low success probability.'
-          : 'No active liberation campaigns to analyse.'}
+        ${!hasAny
+          ? 'No active liberation campaigns to analyse.'
+          : filtering && filtersActive()
+            ? 'No gambits match the filters.'
+            : 'No viable gambits detected — all liberation campaigns have low success probability.'}
         <span>Gambit windows open as campaigns make progress. Check back as the front lines shift.</span>
-      </div>`;
+      </div>`);
     return;
   }
 
-  container.innerHTML = viable.map(renderGambitCard).join('');
+  patchChildren(container, html`${viable.map(renderGambitCard)}`);
+  if (typeof syncWhatIfSliders === 'function') syncWhatIfSliders(container);
 }
@@ -0,0 +1,187 @@
+// ============================================================
+// GAMBIT HD2 — Supply Line Graph
+//
+// Undirected graph of the galaxy's supply lines, built from the
+// `waypoints` of every planet in /api/v1/planets. Shared by the
+// Gambit and Scout tabs so both see the same network and can
+// reason beyond a single hop:
+//
+//   liberating A → isolates B from its faction's supply network
+//                → B can no longer sustain its attack on C
+//                → the defense of C is relieved
+//
+// "Supply source" here means the largest connected body of
+// planets held by the same faction. Enemy planets left in a
+// smaller fragment once a planet is liberated are considered
+// cut off.
+// ============================================================
+
+// ---- Construction ------------------------------------------
+
+/**
+ * Build the supply-line graph.
+ *
+ * @param {Array} planets - full /api/v1/planets response
+ * @returns {{ planets: Map<number, Object>, adj: Map<number, Set<number>> }}
+ */
+function buildSupplyGraph(planets) {
+  const graph = { planets: new Map(), adj: new Map() };
+
+  for (const p of planets ?? []) {
+    if (p.index == null) continue;
+    graph.planets.set(p.index, p);
+    if (!graph.adj.has(p.index)) graph.adj.set(p.index, new Set());
+  }
+
+  // Waypoints are not always listed on both ends — add each edge both ways
+  for (const p of graph.planets.values()) {
+    for (const w of p.waypoints ?? []) {
+      if (!graph.planets.has(w) || w === p.index) continue;
+      graph.adj.get(p.index).add(w);
+      graph.adj.get(w).add(p.index);
+    }
+  }
+
+  return graph;
+}
+
+// ---- Queries -----------------------------------------------
+
+/** Planet indices directly connected to `index` by a supply line. */
+function neighbors(graph, index) {
+  return [...(graph.adj.get(index) ?? [])];
+}
+
+/**
+ * Breadth-first hop distances from `start`.
+ *
+ * @param {Function} [passable] - (planet) → bool; nodes failing it are
+ *                                neither entered nor expanded
+ * @returns {Map<number, number>} index → hops (start = 0)
+ */
+function bfsDistances(graph, start, passable = () => true) {
+  const dist  = new Map([[start, 0]]);
+  const queue = [start];
+  while (queue.length) {
+    const cur = queue.shift();
+    for (const next of graph.adj.get(cur) ?? []) {
+      if (dist.has(next) || !passable(graph.planets.get(next))) continue;
+      dist.set(next, dist.get(cur) + 1);
+      queue.push(next);
+    }
+  }
+  return dist;
+}
+
+/**
+ * Shortest supply-line route between two planets.
+ *
+ * @returns {Array<number> | null} planet indices from → to, inclusive
+ */
+function shortestPath(graph, from, to, passable = () => true) {
+  if (from === to) return [from];
+  const prev  = new Map([[from, null]]);
+  const queue = [from];
+  while (queue.length) {
+    const cur = queue.shift();
+    for (const next of graph.adj.get(cur) ?? []) {
+      if (prev.has(next) || (next !== to && !passable(graph.planets.get(next)))) continue;
+      prev.set(next, cur);
+      if (next === to) {
+        const path = [to];
+        for (let p = cur; p != null; p = prev.get(p)) path.unshift(p);
+        return path;
+      }
+      queue.push(next);
+    }
+  }
+  return null;
+}
+
+/**
+ * Connected components of the subgraph induced by `include`.
+ *
+ * @param {Function} include - (planet) → bool
+ * @returns {Array<Array<number>>} components, largest first
+ */
+function connectedComponents(graph, include) {
+  const seen       = new Set();
+  const components = [];
+  for (const [index, planet] of graph.planets) {
+    if (seen.has(index) || !include(planet)) continue;
+    const comp = [...bfsDistances(graph, index, include).keys()];
+    comp.forEach(i => seen.add(i));
+    components.push(comp);
+  }
+  return components.sort((a, b) => b.length - a.length);
+}
+
+// ---- Ownership Helpers -------------------------------------
+
+/** True if a planet is held by a non-human faction. */
+function isEnemyHeld(planet) {
+  const owner = (planet?.currentOwner ?? '').toLowerCase();
+  return !!owner && !owner.includes('human');
+}
+
+/** Indices of planets currently pushing an attack onto `index`. */
+function attackersOf(graph, index) {
+  const result = [];
+  for (const p of graph.planets.values()) {
+    if ((p.attacking ?? []).includes(index)) result.push(p.index);
+  }
+  return result;
+}
+
+// ---- Multi-Hop Effects -------------------------------------
+
+/**
+ * Enemy planets that would be cut off from their faction's main
+ * supply network if `targetIndex` were liberated.
+ *
+ * @returns {Array<Object>} isolated planets (excluding the target)
+ */
+function isolatedByLiberating(graph, targetIndex) {
+  const target = graph.planets.get(targetIndex);
+  if (!isEnemyHeld(target)) return [];
+
+  const faction  = target.currentOwner;
+  const sameSide = p => p?.currentOwner === faction;
+
+  // Only the target's own fragment can be split by removing it
+  const before = bfsDistances(graph, targetIndex, sameSide);
+  if (before.size <= 2) return [];
+
+  const remaining = p => sameSide(p) && p.index !== targetIndex && before.has(p.index);
+  const pieces    = connectedComponents(graph, remaining);
+  if (pieces.length <= 1) return [];
+
+  // The largest remaining piece keeps its supply; the rest are cut off
+  return pieces.slice(1).flat().map(i => graph.planets.get(i));
+}
+
+/**
+ * Full chain of effects of liberating `targetIndex`.
+ *
+ * @param {Array} defenseCampaigns - active defense campaigns
+ * @returns {{
+ *   isolated: Array<Object>,                         enemy planets cut off
+ *   relieved: Array<{ defense: Object, via: Object }> defenses whose attacker is cut off
+ * }}
+ */
+function chainEffects(graph, targetIndex, defenseCampaigns) {
+  const isolated = isolatedByLiberating(graph, targetIndex);
+  const relieved = [];
+
+  for (const dc of defenseCampaigns) {
+    const via = isolated.find(p => (p.attacking ?? []).includes(dc.planet.index));
+    if (via) relieved.push({ defense: dc, via });
+  }
+
+  return { isolated, relieved };
+}
+
+/** One-line summary, e.g. "isolates 3 enemy planets from their supply source". */
+function describeIsolation(count) {
+  return `isolates ${count} enemy planet${count === 1 ? '' : 's'} from ${count === 1 ? 'its' : 'their'} supply source`;
+}
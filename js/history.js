@@ -0,0 +1,281 @@
+// ============================================================
+// GAMBIT HD2 — Snapshot History
+//
+// Persists planet snapshots in IndexedDB so measured rates,
+// ETAs and player requirements survive a page reload, and
+// shares every new snapshot with any other open tab.
+//
+// Retention policy:
+//   last 6 hours   — full resolution (every refresh)
+//   6h – 7 days    — downsampled to one snapshot per 30 min
+//   older          — discarded
+//
+// If IndexedDB is unavailable (private mode, old browser) the
+// store silently degrades to in-memory only.
+//
+// Each data source (api.js) keeps its own store, so a mirror or
+// mock server never mixes with live history. Fixture data is not
+// a live war and is never recorded.
+//
+// Snapshots also carry enough of the front (campaigns, owners,
+// defense events) for replay.js to rebuild the war as it was.
+// ============================================================
+
+const HISTORY_DB_VERSION = 1;
+const HISTORY_STORE      = 'snapshots';
+
+// The live API keeps the original names so existing history survives
+const HISTORY_DB_NAME = dataSource.historyKey === 'live' ? 'gambit-hd2' : `gambit-hd2@${dataSource.historyKey}`;
+const HISTORY_CHANNEL = `${HISTORY_DB_NAME}-history`;
+
+const HISTORY_RETENTION = {
+  fullResMs: 6 * 3_600_000,        // keep every snapshot this recent
+  bucketMs:  30 * 60_000,          // then one snapshot per bucket
+  maxAgeMs:  7 * 24 * 3_600_000,   // then drop entirely
+};
+
+// Two tabs polling on their own timers would otherwise write
+// near-duplicate snapshots seconds apart.
+const MIN_SNAPSHOT_GAP_MS = 30_000;
+
+// In-memory mirror of the store, oldest first.
+const snapshots = [];
+
+// History of an imported archive (archive.js). While one is open
+// the analysis and replay work from it instead of `snapshots`.
+let archivedSnapshots = null;
+
+// What the analysis sees: all of the active history, or during a
+// replay only the snapshots up to the replayed moment. Read directly
+// by the rate calculations in gambit.js, calibration.js,
+// montecarlo.js and the detail charts.
+let historyView = snapshots;
+
+let historyDb = null;
+
+const historyChannel = typeof BroadcastChannel === 'function' && dataSource.historyKey
+  ? new BroadcastChannel(HISTORY_CHANNEL)
+  : null;
+
+// ---- IndexedDB Helpers -------------------------------------
+
+/** Wrap an IDBRequest in a promise. */
+function idbRequest(req) {
+  return new Promise((resolve, reject) => {
+    req.onsuccess = () => resolve(req.result);
+    req.onerror   = () => reject(req.error);
+  });
+}
+
+/**
+ * Open (and on first run, create) the history database.
+ * Resolves to null rather than rejecting so callers can fall
+ * back to memory-only history.
+ */
+function openHistoryDb() {
+  if (typeof indexedDB === 'undefined') return Promise.resolve(null);
+
+  return new Promise(resolve => {
+    const req = indexedDB.open(HISTORY_DB_NAME, HISTORY_DB_VERSION);
+    req.onupgradeneeded = () => {
+      const db = req.result;
+      if (!db.objectStoreNames.contains(HISTORY_STORE)) {
+        db.createObjectStore(HISTORY_STORE, { keyPath: 'ts' });
+      }
+    };
+    req.onsuccess = () => resolve(req.result);
+    req.onerror   = () => {
+      console.warn('[GAMBIT] Snapshot history unavailable:', req.error);
+      resolve(null);
+    };
+    req.onblocked = () => resolve(null);
+  });
+}
+
+// ---- Retention ---------------------------------------------
+
+/**
+ * Apply the retention policy to a time-ordered snapshot list.
+ * Returns the entries to keep (oldest first).
+ *
+ * @param {Array}  list - snapshots sorted by ts ascending
+ * @param {number} now  - reference timestamp (ms)
+ */
+function retainSnapshots(list, now) {
+  const { fullResMs, bucketMs, maxAgeMs } = HISTORY_RETENTION;
+  const kept        = [];
+  const seenBuckets = new Set();
+
+  for (const entry of list) {
+    const age = now - entry.ts;
+    if (age > maxAgeMs) continue;
+    if (age <= fullResMs) {
+      kept.push(entry);
+      continue;
+    }
+    // Downsampled range: first snapshot in each bucket wins
+    const bucket = Math.floor(entry.ts / bucketMs);
+    if (seenBuckets.has(bucket)) continue;
+    seenBuckets.add(bucket);
+    kept.push(entry);
+  }
+
+  return kept;
+}
+
+/** Replace the in-memory mirror with the retained subset of `list`. */
+function setSnapshots(list) {
+  const kept = retainSnapshots(list, Date.now());
+  snapshots.splice(0, snapshots.length, ...kept);
+  return kept;
+}
+
+/** The history being analysed: an open archive's, or the recorded one. */
+function activeSnapshots() {
+  return archivedSnapshots ?? snapshots;
+}
+
+/**
+ * Analyse an archive's history instead of the recorded one
+ * (archive.js). Pass null to go back to the recorded history.
+ */
+function setArchivedSnapshots(list) {
+  archivedSnapshots = list;
+  setHistoryCutoff(null);
+}
+
+/**
+ * Limit the analysis to snapshots taken at or before `ts`
+ * (replay.js). Pass null to see the full history again.
+ */
+function setHistoryCutoff(ts) {
+  const base  = activeSnapshots();
+  historyView = ts == null ? base : base.filter(s => s.ts <= ts);
+}
+
+/**
+ * Run `fn` with the analysis reading `list` instead of the recorded
+ * history (backtest.js), then restore the previous view.
+ */
+function withHistoryView(list, fn) {
+  const previous = historyView;
+  historyView = list;
+  try {
+    return fn();
+  } finally {
+    historyView = previous;
+  }
+}
+
+/** Insert a snapshot into the in-memory mirror, keeping ts order. */
+function insertSnapshot(entry) {
+  if (snapshots.some(s => s.ts === entry.ts)) return;
+  setSnapshots([...snapshots, entry].sort((a, b) => a.ts - b.ts));
+}
+
+/** Delete every stored snapshot that the retention policy drops. */
+async function pruneStoredSnapshots() {
+  if (!historyDb) return;
+  const keep = new Set(snapshots.map(s => s.ts));
+  const tx    = historyDb.transaction(HISTORY_STORE, 'readwrite');
+  const store = tx.objectStore(HISTORY_STORE);
+  const keys  = await idbRequest(store.getAllKeys());
+  keys.filter(ts => !keep.has(ts)).forEach(ts => store.delete(ts));
+}
+
+// ---- Public API --------------------------------------------
+
+/**
+ * Load persisted snapshots into memory. Call once on startup,
+ * before the first render, so measured rates are available
+ * immediately.
+ */
+async function loadSnapshotHistory() {
+  if (!dataSource.historyKey) return;
+  try {
+    historyDb = await openHistoryDb();
+    if (!historyDb) return;
+
+    const tx     = historyDb.transaction(HISTORY_STORE, 'readonly');
+    const stored = await idbRequest(tx.objectStore(HISTORY_STORE).getAll());
+    setSnapshots([...stored, ...snapshots].sort((a, b) => a.ts - b.ts));
+    await pruneStoredSnapshots();
+  } catch (err) {
+    console.warn('[GAMBIT] Failed to load snapshot history:', err);
+  }
+}
+
+/**
+ * Build a snapshot entry from API data observed at `ts`. Also used
+ * by backtest.js to turn a recording into analysis history.
+ *
+ * @param {number} ts            - observation time (epoch ms)
+ * @param {Array}  planets       - full planet array from API
+ * @param {Object} [war]         - /war response, for the impact multiplier
+ * @param {Array}  [assignments] - Major Orders, for task progress trends
+ * @param {Array}  [campaigns]   - active campaigns, for replay
+ */
+function snapshotEntry(ts, planets, war, assignments, campaigns) {
+  const entry = {
+    ts,
+    health:  {},   // planetIndex → current health
+    players: {},   // planetIndex → playerCount
+    defense: {},   // planetIndex → { id, health, maxHealth, endTime, faction } of the active defense event
+    impact:  war?.impactMultiplier ?? null,   // for the diver calibration
+    orders:  {},   // assignment id → task progress[]
+
+    // For replay — unchanged planet metadata is taken from live data
+    campaigns: (campaigns ?? []).map(c => c.planet.index),
+    owners:    {},   // planetIndex → currentOwner, for planets not held by Humans
+    attacking: {},   // planetIndex → planet.attacking, where non-empty
+  };
+  (assignments ?? []).forEach(a => { entry.orders[a.id] = a.progress ?? []; });
+  (planets ?? []).forEach(p => {
+    entry.health[p.index]  = p.health;
+    entry.players[p.index] = p.statistics?.playerCount ?? 0;
+    if (p.event) {
+      const { id, health, maxHealth, endTime, faction } = p.event;
+      entry.defense[p.index] = { id, health, maxHealth, endTime, faction };
+    }
+    if (p.currentOwner !== 'Humans') entry.owners[p.index] = p.currentOwner;
+    if (p.attacking?.length) entry.attacking[p.index] = p.attacking;
+  });
+  return entry;
+}
+
+/**
+ * Record a planet data snapshot. Call after every successful
+ * API refresh so rate deltas can be computed.
+ *
+ * Arguments as for snapshotEntry(), minus the time.
+ */
+function recordSnapshot(planets, war, assignments, campaigns) {
+  if (!dataSource.historyKey) return;
+
+  const now    = Date.now();
+  const latest = snapshots[snapshots.length - 1];
+  if (latest && now - latest.ts < MIN_SNAPSHOT_GAP_MS) return;
+
+  const entry = snapshotEntry(now, planets, war, assignments, campaigns);
+  insertSnapshot(entry);
+  historyChannel?.postMessage({ type: 'snapshot', entry });
+
+  if (historyDb) {
+    try {
+      historyDb.transaction(HISTORY_STORE, 'readwrite').objectStore(HISTORY_STORE).put(entry);
+      pruneStoredSnapshots().catch(err => console.warn('[GAMBIT] Snapshot prune failed:', err));
+    } catch (err) {
+      console.warn('[GAMBIT] Failed to persist snapshot:', err);
+    }
+  }
+}
+
+// ---- Cross-Tab Sync ----------------------------------------
+// The tab that records a snapshot also persists it; other tabs
+// only need to mirror it in memory.
+
+if (historyChannel) {
+  historyChannel.onmessage = ({ data }) => {
+    if (data?.type === 'snapshot' && data.entry) insertSnapshot(data.entry);
+  };
+}
@@ -0,0 +1,106 @@
+// ============================================================
+// GAMBIT HD2 — Safe HTML
+//
+// Every renderer builds its markup with the html`` tag instead of
+// a plain template literal. Interpolated values are escaped unless
+// they are html`` results themselves, so text from the API —
+// planet names, sectors, Major Order briefings — can't inject
+// markup into element content or attribute values:
+//
+//   html`<div class="planet-name">${planet.name}</div>`
+//
+// Escaping is for HTML only. The browser decodes an attribute
+// before running it as an inline handler, so never interpolate
+// into onclick="…" and the like: put the value in a data-*
+// attribute and read it from a delegated listener, converted with
+// Number() where it is an index (see detail.js).
+//
+// Arrays are rendered item by item, and null, undefined and false
+// render as nothing, so lists and optional parts nest directly:
+//
+//   html`<ul>${items.map(i => html`<li>${i.name}</li>`)}</ul>`
+//   html`${warning && html`<div class="warn">${warning}</div>`}`
+//
+// The result is a SafeHtml object; assign it to innerHTML as is.
+// Building markup with string concatenation or .join('') turns it
+// back into plain text, which the next html`` escapes — keep it a
+// SafeHtml all the way to innerHTML.
+//
+// hd2Markup() shows the game's own text markup (Major Order
+// briefings highlight words with <i=1>…</i>) as styled spans,
+// escaping everything else.
+//
+// No dependencies — loaded before every other script.
+// ============================================================
+
+/** Markup that is safe to insert. Only html`` and hd2Markup() create one. */
+class SafeHtml {
+  constructor(markup) {
+    this.markup = markup;
+  }
+
+  toString() {
+    return this.markup;
+  }
+}
+
+const HTML_ESCAPES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+
+/** Text with the characters HTML treats specially replaced by entities. */
+function escapeHtml(text) {
+  return String(text).replace(/[&<>"']/g, ch => HTML_ESCAPES[ch]);
+}
+
+/** One interpolated value as markup. */
+function htmlValue(value) {
+  if (value == null || value === false) return '';
+  if (value instanceof SafeHtml) return value.markup;
+  if (Array.isArray(value)) return value.map(htmlValue).join('');
+  return escapeHtml(value);
+}
+
+/**
+ * Template tag: the literal parts are kept as written, every
+ * interpolated value is escaped (see htmlValue).
+ *
+ * @returns {SafeHtml}
+ */
+function html(strings, ...values) {
+  let markup = strings[0];
+  values.forEach((value, i) => { markup += htmlValue(value) + strings[i + 1]; });
+  return new SafeHtml(markup);
+}
+
+// ---- HD2 Markup --------------------------------------------
+
+// <i=N>…</i> — N picks the style; 1 (highlight) and 3 (emphasis)
+// are the ones the game uses. Unknown N still get a span.
+const HD2_MARKUP_TAG = /<i=(\d+)>|<\/i>/g;
+
+/**
+ * Game text with its markup tags as styled spans and everything
+ * else escaped. Unclosed tags are closed at the end; stray closing
+ * tags are dropped.
+ *
+ * @returns {SafeHtml}
+ */
+function hd2Markup(text) {
+  const source = String(text ?? '');
+  let markup = '';
+  let open   = 0;
+  let last   = 0;
+
+  for (const match of source.matchAll(HD2_MARKUP_TAG)) {
+    markup += escapeHtml(source.slice(last, match.index));
+    last    = match.index + match[0].length;
+    if (match[1] != null) {
+      markup += `<span class="hd2-markup hd2-markup-${match[1]}">`;
+      open++;
+    } else if (open) {
+      markup += '</span>';
+      open--;
+    }
+  }
+  markup += escapeHtml(source.slice(last)) + '</span>'.repeat(open);
+  return new SafeHtml(markup);
+}
@@ -0,0 +1,201 @@
+// ============================================================
+// GAMBIT HD2 — Galaxy Map
+//
+// SVG rendering of the galactic war front:
+//   - every planet at its API `position`, coloured by owner
+//   - supply lines from the shared graph (graph.js)
+//   - attack arrows from each planet's `attacking[]`
+//   - gold rings on gambit targets, dashed cyan rings on
+//     Strategic Scout vectors
+//
+// Scroll to zoom, drag to pan, click a planet to jump to its
+// card. Depends on globals from core.js (state, factionCls,
+// factionLabel, libPct, defPct), detail.js (openPlanetDetail)
+// router.js (selectPlanet) and html.js (html).
+// ============================================================
+
+const SVG_NS = 'http://www.w3.org/2000/svg';
+
+// API positions are normalised to roughly -1…1 on both axes
+const MAP_EXTENT = 1.1;
+
+// Current view, kept across re-renders so a refresh doesn't reset zoom
+const mapView = { x: -MAP_EXTENT, y: -MAP_EXTENT, size: MAP_EXTENT * 2 };
+
+/** Screen-space y grows downwards; galaxy y grows upwards. */
+function mapPoint(planet) {
+  return { x: planet.position?.x ?? 0, y: -(planet.position?.y ?? 0) };
+}
+
+// ---- Rendering ---------------------------------------------
+
+/** Build the SVG markup for the current state. */
+function buildMapSvg() {
+  const graph = state.graph;
+  if (!graph) return '';
+
+  const campaignIdx = new Set([
+    ...state.liberationCampaigns.map(c => c.planet.index),
+    ...state.defenseCampaigns.map(c => c.planet.index),
+  ]);
+  const gambitIdx = new Set((state.gambits ?? []).map(g => g.libCampaign.planet.index));
+  const scoutIdx  = new Set((state.scoutResults ?? []).flatMap(r => r.targets.map(t => t.planet.index)));
+
+  const placed = [...graph.planets.values()].filter(p => p.position);
+
+  // Supply lines — each undirected edge once
+  const edges = [];
+  for (const [a, adj] of graph.adj) {
+    for (const b of adj) {
+      if (b < a) continue;
+      const pa = graph.planets.get(a);
+      const pb = graph.planets.get(b);
+      if (!pa?.position || !pb?.position) continue;
+      const A = mapPoint(pa), B = mapPoint(pb);
+      edges.push(html`<line class="map-edge" x1="${A.x}" y1="${A.y}" x2="${B.x}" y2="${B.y}" />`);
+    }
+  }
+
+  // Attack vectors
+  const attacks = [];
+  for (const p of placed) {
+    for (const t of p.attacking ?? []) {
+      const target = graph.planets.get(t);
+      if (!target?.position) continue;
+      // Stop short of the target so the arrowhead isn't hidden under its circle
+      const A = mapPoint(p), B = mapPoint(target);
+      const len = Math.hypot(B.x - A.x, B.y - A.y) || 1;
+      const k   = Math.max(0, len - 0.024) / len;
+      const end = { x: A.x + (B.x - A.x) * k, y: A.y + (B.y - A.y) * k };
+      attacks.push(html`<line class="map-attack" x1="${A.x}" y1="${A.y}" x2="${end.x}" y2="${end.y}" marker-end="url(#map-arrow)" />`);
+    }
+  }
+
+  // Planets — campaign planets drawn larger and labelled
+  const nodes = placed.map(p => {
+    const { x, y }  = mapPoint(p);
+    const active    = campaignIdx.has(p.index);
+    const r         = active ? 0.018 : 0.009;
+    const defending = !!p.event;
+    const status    = defending
+      ? `DEFENDING — ${defPct(p.event).toFixed(1)}% integrity`
+      : active ? `${libPct(p).toFixed(1)}% liberated` : factionLabel(p.currentOwner);
+
+    return html`
+      <g class="map-node${active ? ' active' : ''}" data-planet-index="${p.index}">
+        <title>${p.name ?? `Planet #${p.index}`} — ${status}</title>
+        ${gambitIdx.has(p.index) && html`<circle class="map-ring gambit" cx="${x}" cy="${y}" r="${r + 0.014}" />`}
+        ${scoutIdx.has(p.index)  && html`<circle class="map-ring scout"  cx="${x}" cy="${y}" r="${r + 0.012}" />`}
+        <circle class="map-planet ${factionCls(p.currentOwner)}${defending ? ' defending' : ''}" cx="${x}" cy="${y}" r="${r}" />
+        ${active && html`<text class="map-label" x="${x}" y="${y - r - 0.012}">${p.name ?? `#${p.index}`}</text>`}
+      </g>`;
+  });
+
+  return html`
+    <svg class="galaxy-map" xmlns="${SVG_NS}" preserveAspectRatio="xMidYMid meet"
+         viewBox="${mapView.x} ${mapView.y} ${mapView.size} ${mapView.size}">
+      <defs>
+        <marker id="map-arrow" viewBox="0 0 10 10" refX="9" refY="5"
+                markerWidth="5" markerHeight="5" orient="auto-start-reverse">
+          <path d="M 0 0 L 10 5 L 0 10 z" class="map-arrow-head" />
+        </marker>
+      </defs>
+      <g class="map-edges">${edges}</g>
+      <g class="map-attacks">${attacks}</g>
+      <g class="map-nodes">${nodes}</g>
+    </svg>`;
+}
+
+/** Render the Galaxy Map tab into #map-container. */
+function renderMap() {
+  const container = document.getElementById('map-container');
+  if (!container) return;
+
+  if (!state.graph || !state.graph.planets.size) {
+    container.innerHTML = '<div class="empty-state">NO PLANET POSITION DATA AVAILABLE</div>';
+    return;
+  }
+
+  container.innerHTML = buildMapSvg();
+}
+
+// ---- Interaction -------------------------------------------
+
+/** Apply the current view to the live SVG without re-rendering. */
+function applyMapView() {
+  document.querySelector('#map-container .galaxy-map')
+    ?.setAttribute('viewBox', `${mapView.x} ${mapView.y} ${mapView.size} ${mapView.size}`);
+}
+
+/** Reset zoom and pan to show the whole galaxy. */
+function resetMapView() {
+  Object.assign(mapView, { x: -MAP_EXTENT, y: -MAP_EXTENT, size: MAP_EXTENT * 2 });
+  applyMapView();
+}
+
+window.resetMapView = resetMapView;
+
+/** Convert a mouse event to map coordinates. */
+function mapCoords(svg, evt) {
+  const rect = svg.getBoundingClientRect();
+  const side = Math.min(rect.width, rect.height);
+  const offX = (rect.width - side) / 2;
+  const offY = (rect.height - side) / 2;
+  return {
+    x: mapView.x + ((evt.clientX - rect.left - offX) / side) * mapView.size,
+    y: mapView.y + ((evt.clientY - rect.top - offY) / side) * mapView.size,
+  };
+}
+
+{
+  const container = document.getElementById('map-container');
+  let drag = null;
+
+  container?.addEventListener('wheel', evt => {
+    const svg = container.querySelector('.galaxy-map');
+    if (!svg) return;
+    evt.preventDefault();
+
+    // Zoom around the cursor
+    const at     = mapCoords(svg, evt);
+    const factor = evt.deltaY > 0 ? 1.15 : 1 / 1.15;
+    const size   = Math.min(MAP_EXTENT * 2, Math.max(0.1, mapView.size * factor));
+    const k      = size / mapView.size;
+    mapView.x    = at.x - (at.x - mapView.x) * k;
+    mapView.y    = at.y - (at.y - mapView.y) * k;
+    mapView.size = size;
+    applyMapView();
+  }, { passive: false });
+
+  container?.addEventListener('mousedown', evt => {
+    const svg = container.querySelector('.galaxy-map');
+    if (!svg) return;
+    drag = { start: mapCoords(svg, evt), moved: false };
+  });
+
+  window.addEventListener('mousemove', evt => {
+    const svg = container?.querySelector('.galaxy-map');
+    if (!drag || !svg) return;
+    const at = mapCoords(svg, evt);
+    const dx = at.x - drag.start.x;
+    const dy = at.y - drag.start.y;
+    if (Math.abs(dx) + Math.abs(dy) > mapView.size * 0.005) drag.moved = true;
+    mapView.x -= dx;
+    mapView.y -= dy;
+    applyMapView();
+  });
+
+  window.addEventListener('mouseup', () => {
+    // Let the click handler see whether this was a drag
+    setTimeout(() => { drag = null; }, 0);
+  });
+
+  container?.addEventListener('click', evt => {
+    if (drag?.moved) return;
+    const node = evt.target.closest('[data-planet-index]');
+    if (!node) return;
+    // Planets without a card (no campaign) open their detail panel instead
+    const index = Number(node.getAttribute('data-planet-index'));
+    if (!selectPlanet(index)) openPlanetDetail(index);
+  });
+}
@@ -0,0 +1,184 @@
+// ============================================================
+// GAMBIT HD2 — Monte Carlo Success Model
+//
+// Alternative to the point score in calcSuccessPct(). Simulates
+// many possible futures of a liberation campaign and counts how
+// often it reaches 100% before the connected defense expires.
+//
+// Each simulated path:
+//   1. draws a "true" net rate from the measured rate's
+//      confidence band (wide when only an estimate exists)
+//   2. steps forward in 30-minute increments, letting the
+//      on-planet player count drift as a random walk and adding
+//      the tick-to-tick noise seen in snapshot history
+//
+// Depends on globals from core.js (libPct, decayRate),
+// history.js (historyView), gambit.js (RATE_WINDOW_MS) and
+// settings.js (maxCompletionHrs).
+// ============================================================
+
+const MC_PATHS          = 1000;
+const MC_STEP_HOURS     = 0.5;
+const MC_MAX_HOURS      = 7 * 24;    // never simulate further than this
+
+// Population can't plausibly collapse or multiply without bound;
+// API jitter would otherwise compound into absurd tails.
+const MC_MAX_DRIFT_SD   = 0.15;      // per √hour, log scale
+const MC_PLAYER_FACTOR  = [0.25, 4];
+
+// ---- Random Numbers ----------------------------------------
+
+/**
+ * Small seeded PRNG (mulberry32). Seeding per planet keeps the
+ * displayed probability stable between renders of the same data.
+ */
+function mulberry32(seed) {
+  let a = seed >>> 0;
+  return function () {
+    a = (a + 0x6D2B79F5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4_294_967_296;
+  };
+}
+
+/** Standard normal sample via Box–Muller. */
+function gaussian(rand) {
+  const u = 1 - rand();
+  const v = rand();
+  return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
+}
+
+/** Sample standard deviation (0 for fewer than two values). */
+function stdDev(values) {
+  if (values.length < 2) return 0;
+  const mean = values.reduce((s, v) => s + v, 0) / values.length;
+  return Math.sqrt(values.reduce((s, v) => s + (v - mean) ** 2, 0) / (values.length - 1));
+}
+
+// ---- Volatility from History -------------------------------
+
+// Snapshots in the rate window of one version of historyView, so
+// the gambits of a render share one pass over the history
+let mcRateWindow = { view: null, length: 0, latestTs: null, snapshots: [] };
+
+/** historyView's snapshots within RATE_WINDOW_MS of its latest one. */
+function rateWindowSnapshots() {
+  const latestTs = historyView.length ? historyView[historyView.length - 1].ts : 0;
+  const cached   = mcRateWindow;
+  if (cached.view === historyView && cached.length === historyView.length && cached.latestTs === latestTs) {
+    return cached.snapshots;
+  }
+
+  const snapshots = historyView.filter(s => latestTs - s.ts <= RATE_WINDOW_MS);
+  mcRateWindow = { view: historyView, length: historyView.length, latestTs, snapshots };
+  return snapshots;
+}
+
+/**
+ * Measure how noisy a planet's progress and population are,
+ * from consecutive snapshot pairs in the rate window.
+ *
+ * @returns {{ rateNoiseSd: number, playerDriftSd: number }}
+ *   rateNoiseSd   — %/hr noise over one hour
+ *   playerDriftSd — sd of log(player ratio) over one hour
+ */
+function historyVolatility(planetIndex, maxHealth) {
+  const window_ = rateWindowSnapshots().filter(s => s.health[planetIndex] != null);
+
+  const rateSamples  = [];
+  const driftSamples = [];
+  for (let i = 1; i < window_.length; i++) {
+    const prev = window_[i - 1];
+    const next = window_[i];
+    const dtHr = (next.ts - prev.ts) / 3_600_000;
+    if (dtHr < 0.002) continue;
+
+    // Scale per-interval variation to a one-hour horizon (random-walk √t)
+    const rate = (prev.health[planetIndex] - next.health[planetIndex]) / maxHealth * 100 / dtHr;
+    rateSamples.push({ rate, dtHr });
+
+    const p0 = prev.players[planetIndex];
+    const p1 = next.players[planetIndex];
+    if (p0 > 0 && p1 > 0) driftSamples.push(Math.log(p1 / p0) / Math.sqrt(dtHr));
+  }
+
+  const meanDt = rateSamples.length
+    ? rateSamples.reduce((s, r) => s + r.dtHr, 0) / rateSamples.length
+    : 1;
+
+  return {
+    rateNoiseSd:   stdDev(rateSamples.map(r => r.rate)) * Math.sqrt(meanDt),
+    playerDriftSd: stdDev(driftSamples),
+  };
+}
+
+// ---- Simulation --------------------------------------------
+
+/**
+ * Standard deviation of the mean rate (%/hr): half-width of the 95%
+ * band, or a deliberately wide spread when the rate is only an
+ * estimate.
+ */
+function rateUncertainty(netRateObj) {
+  return netRateObj.low != null && netRateObj.high != null
+    ? (netRateObj.high - netRateObj.low) / (2 * 1.96)
+    : Math.max(0.5, Math.abs(netRateObj.value) * 0.5);
+}
+
+/**
+ * Simulate a gambit and return the probability of completing the
+ * liberation before the earliest connected defense expires (or
+ * within settings.maxCompletionHrs when no defense is at risk).
+ *
+ * @param {Object} planet      - liberation planet (API object)
+ * @param {Object} netRateObj  - { value, low?, high?, estimated }
+ * @param {number} deadlineHrs - hours available (Infinity = none)
+ * @returns {{ probability, deadlineHrs, medianEta } | null}
+ *          medianEta is null when fewer than half the paths finish
+ */
+function simulateGambit(planet, netRateObj, deadlineHrs) {
+  if (netRateObj.value == null || !planet.maxHealth) return null;
+
+  const progress0 = libPct(planet);
+  const decay     = decayRate(planet);
+  const horizon   = Math.min(isFinite(deadlineHrs) ? deadlineHrs : settings.maxCompletionHrs, MC_MAX_HOURS);
+  if (horizon <= 0) return { probability: 0, deadlineHrs: horizon, medianEta: null };
+
+  const rateSd = rateUncertainty(netRateObj);
+
+  const vol     = historyVolatility(planet.index, planet.maxHealth);
+  const stepSd  = vol.rateNoiseSd * Math.sqrt(MC_STEP_HOURS);
+  const driftSd = Math.min(vol.playerDriftSd || 0.05, MC_MAX_DRIFT_SD) * Math.sqrt(MC_STEP_HOURS);
+  const [minFactor, maxFactor] = MC_PLAYER_FACTOR;
+
+  const rand  = mulberry32(planet.index * 7919 + 1);
+  const steps = Math.ceil(horizon / MC_STEP_HOURS);
+  const etas  = [];
+
+  for (let p = 0; p < MC_PATHS; p++) {
+    // Player effort is what drifts; enemy regen is fixed
+    const gross = netRateObj.value + rateSd * gaussian(rand) + decay;
+    let playerFactor = 1;
+    let progress     = progress0;
+
+    for (let s = 1; s <= steps; s++) {
+      playerFactor = Math.min(maxFactor, Math.max(minFactor, playerFactor * Math.exp(driftSd * gaussian(rand))));
+      const rate = gross * playerFactor - decay;
+      progress  += rate * MC_STEP_HOURS + stepSd * gaussian(rand);
+      if (progress >= 100) {
+        etas.push(Math.min(s * MC_STEP_HOURS, horizon));
+        break;
+      }
+      if (progress < 0) progress = 0;
+    }
+  }
+
+  etas.sort((a, b) => a - b);
+  return {
+    probability: etas.length / MC_PATHS,
+    deadlineHrs: horizon,
+    medianEta:   etas.length >= MC_PATHS / 2 ? etas[Math.floor(MC_PATHS / 2)] : null,
+  };
+}
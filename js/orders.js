@@ -0,0 +1,300 @@
+// ============================================================
+// GAMBIT HD2 — Major Orders
+//
+// Decodes the assignment `tasks` / `progress` arrays into
+// readable objectives, projects each one against the order's
+// expiration, and links gambit and scout cards to the tasks
+// they advance — the community deploys where the Major Order
+// points, so MO alignment matters as much as the score.
+//
+// A task is { type, values[], valueTypes[] }: valueTypes says
+// what each entry of values is (faction, goal, planet, …).
+// progress[i] is the current count for tasks[i].
+//
+// Counter tasks (defend N, kill N, …) are projected from their
+// progress trend, recorded with every snapshot (history.js).
+// Planet tasks are projected from the planet's liberation or
+// defense outlook.
+//
+// Depends on globals from core.js (state, fmt, factionLabel,
+// libPct, hoursLeft), history.js (historyView),
+// gambit.js (measuredTrend, measuredNetRate, estimatedNetRate,
+// calcEta, fmtRange), defense.js (projectDefense),
+// html.js (html, hd2Markup) and patch.js (patchChildren).
+// ============================================================
+
+// valueTypes entries
+const MO_VALUE = {
+  FACTION:    1,
+  GOAL:       3,
+  ENEMY:      4,
+  ITEM:       5,
+  DIFFICULTY: 9,
+  LIBERATE:   11,
+  PLANET:     12,
+};
+
+// Faction ids used in task values
+const MO_FACTIONS = { 1: 'Humans', 2: 'Terminids', 3: 'Automaton', 4: 'Illuminate' };
+
+const MO_REWARDS = { 1: 'MEDALS' };
+
+/**
+ * Task types by assignment task `type`.
+ *   planet — about one planet when the task names one (projected
+ *            from that planet's outlook); every other task is a
+ *            counter, projected from its progress trend
+ *   label  — (goal, faction name or '', planet name) → objective text
+ */
+const MO_TASK_TYPES = {
+  2:  { kind: 'gather',     label: (n)       => `COLLECT ${fmt(n)} ITEMS` },
+  3:  { kind: 'eradicate',  label: (n, f)    => `KILL ${fmt(n)} ${f || 'ENEMIES'}` },
+  4:  { kind: 'objectives', label: (n)       => `COMPLETE ${fmt(n)} OBJECTIVES` },
+  7:  { kind: 'extract',    label: (n)       => `EXTRACT FROM ${fmt(n)} MISSIONS` },
+  9:  { kind: 'operations', label: (n, f)    => `COMPLETE ${fmt(n)} OPERATIONS${f ? ` AGAINST ${f}` : ''}` },
+  11: { kind: 'liberate',   planet: true, label: (n, f, p) => p ? `LIBERATE ${p}` : `LIBERATE ${fmt(n)} ${f ? `${f} ` : ''}PLANETS` },
+  12: { kind: 'defend',     planet: true, label: (n, f, p) => p ? `DEFEND ${p}` : `DEFEND ${fmt(n)} PLANET${n === 1 ? '' : 'S'}${f ? ` FROM ${f}` : ''}` },
+  13: { kind: 'hold',       planet: true, label: (n, f, p) => `HOLD ${p ?? 'THE PLANET'} WHEN THE ORDER EXPIRES` },
+  15: { kind: 'expand',     label: ()        => 'LIBERATE MORE PLANETS THAN ARE LOST' },
+};
+
+// ---- Decoding ----------------------------------------------
+
+/** Value of the first entry of `valueType` in a task, or null. */
+function taskValue(task, valueType) {
+  const i = (task.valueTypes ?? []).indexOf(valueType);
+  return i >= 0 ? task.values?.[i] ?? null : null;
+}
+
+/**
+ * Decode one task of an assignment.
+ *
+ * @returns {{
+ *   kind:        string,       'liberate' | 'defend' | 'hold' | 'eradicate' | … | 'unknown'
+ *   counter:     boolean,
+ *   label:       string,
+ *   goal:        number,
+ *   progress:    number,
+ *   done:        boolean,
+ *   faction:     string|null,  API faction name the task is restricted to
+ *   planetIndex: number|null,
+ * }}
+ */
+function decodeTask(task, progress) {
+  const spec        = MO_TASK_TYPES[task.type];
+  const goal        = taskValue(task, MO_VALUE.GOAL) ?? 1;
+  const faction     = MO_FACTIONS[taskValue(task, MO_VALUE.FACTION)] ?? null;
+  const planetValue = taskValue(task, MO_VALUE.PLANET);
+  // Planet 0 is Super Earth — never an MO target; 0 here means "any planet"
+  const planetIndex = planetValue ? planetValue : null;
+  const planetName  = planetIndex != null ? state.planetMap[planetIndex] ?? `PLANET #${planetIndex}` : null;
+  const factionName = faction && faction !== 'Humans' ? factionLabel(faction) : '';
+  const current     = progress ?? 0;
+
+  return {
+    kind:     spec?.kind ?? 'unknown',
+    counter:  !(spec?.planet && planetIndex != null),
+    label:    spec ? spec.label(goal, factionName, planetName) : `TASK TYPE ${task.type} — ${fmt(goal)}`,
+    goal,
+    progress: current,
+    // A hold task reports current ownership — it is only won at expiry
+    done:     spec?.kind !== 'hold' && current >= goal,
+    faction,
+    planetIndex,
+  };
+}
+
+/** All tasks of an assignment, decoded. */
+function decodeOrderTasks(order) {
+  return (order.tasks ?? []).map((task, i) => decodeTask(task, order.progress?.[i]));
+}
+
+// ---- Projection --------------------------------------------
+
+/**
+ * Progress trend (%/hr of the goal) of a counter task from the
+ * snapshot history. Not tied to a planet, so no player average.
+ */
+function measuredTaskRate(orderId, taskIndex, goal) {
+  return measuredTrend(null, snap => {
+    const value = snap.orders?.[orderId]?.[taskIndex];
+    return value == null ? null : (value / goal) * 100;
+  });
+}
+
+/**
+ * Project one task against the order's expiration.
+ *
+ * @returns {{ status: 'done' | 'on-track' | 'behind' | 'at-risk' | 'unknown', detail: string }}
+ */
+function projectTask(order, task, taskIndex) {
+  if (task.done) return { status: 'done', detail: 'COMPLETE' };
+
+  const hrs = order.expiration ? hoursLeft(order.expiration) : Infinity;
+
+  if (task.counter) {
+    const pct  = (task.progress / task.goal) * 100;
+    const rate = measuredTaskRate(order.id, taskIndex, task.goal);
+    if (!rate) return { status: 'unknown', detail: 'RATE PENDING — measured after next refresh' };
+    if (rate.value <= 0) return { status: 'behind', detail: 'NO RECENT PROGRESS' };
+
+    const needHrs = (100 - pct) / rate.value;
+    if (needHrs <= hrs) return { status: 'on-track', detail: `ON TRACK — goal in ~${needHrs.toFixed(1)}h` };
+    const projected = Math.min(100, pct + rate.value * hrs);
+    return { status: 'behind', detail: `BEHIND — projected ${projected.toFixed(0)}% at expiry` };
+  }
+
+  const planet = state.allPlanets.find(p => p.index === task.planetIndex);
+  if (!planet) return { status: 'unknown', detail: 'PLANET NOT FOUND' };
+
+  if (planet.currentOwner === 'Humans') {
+    if (!planet.event) return { status: 'on-track', detail: task.kind === 'hold' ? 'HELD' : 'LIBERATED' };
+    const outlook = projectDefense({ planet });
+    if (outlook?.status === 'fall' && outlook.fallHours < hrs) {
+      return { status: 'at-risk', detail: `UNDER ATTACK — projected to fall in ${outlook.fallHours.toFixed(1)}h` };
+    }
+    return {
+      status: outlook?.status === 'hold' ? 'on-track' : 'unknown',
+      detail: outlook?.status === 'hold' ? 'UNDER ATTACK — projected to hold' : 'UNDER ATTACK — outlook pending',
+    };
+  }
+
+  const campaign = state.liberationCampaigns.find(c => c.planet.index === planet.index);
+  if (!campaign) return { status: 'behind', detail: 'NO ACTIVE LIBERATION CAMPAIGN' };
+
+  const netRateObj = measuredNetRate(planet.index, planet.maxHealth)
+    ?? estimatedNetRate(planet, state.war?.impactMultiplier);
+  const eta = calcEta(libPct(planet), netRateObj);
+  if (eta.value == null) return { status: 'behind', detail: 'LIBERATION STALLED' };
+
+  const etaText = `${fmtRange(eta.value, eta.low, eta.high, 1, 'h')}${netRateObj.estimated ? '*' : ''}`;
+  if (eta.value > hrs) return { status: 'behind', detail: `BEHIND — liberation ETA ${etaText}` };
+  return { status: eta.high != null && eta.high > hrs ? 'at-risk' : 'on-track', detail: `ON TRACK — liberation ETA ${etaText}` };
+}
+
+// ---- Card Linkage ------------------------------------------
+
+/**
+ * Open Major Order tasks advanced by liberating `planetIndex`.
+ *
+ * Kill and mission counters are left out: they advance wherever
+ * the faction is fought, so they don't favour one card over another.
+ *
+ * @param {number} planetIndex - planet being liberated
+ * @param {Object} [opts]
+ * @param {Array<number>} [opts.protects] - defended planets the liberation protects
+ * @param {string}        [opts.faction]  - faction being fought
+ * @returns {Array<{ order, task, text }>}
+ */
+function majorOrderLinks(planetIndex, { protects = [], faction = null } = {}) {
+  const links = [];
+  for (const order of state.assignments ?? []) {
+    decodeOrderTasks(order).forEach(task => {
+      if (task.done) return;
+      const factionOk = !task.faction || task.faction === 'Humans' || task.faction === faction;
+      let text = null;
+
+      if (task.planetIndex === planetIndex) {
+        text = task.label;
+      } else if (task.planetIndex != null && protects.includes(task.planetIndex)) {
+        text = `PROTECTS ${state.planetMap[task.planetIndex] ?? `PLANET #${task.planetIndex}`} — ${task.label}`;
+      } else if (task.planetIndex == null && factionOk) {
+        if (task.kind === 'liberate' || task.kind === 'expand') text = `COUNTS TOWARD ${task.label}`;
+        if (task.kind === 'defend' && protects.length) text = `DEFENSE WIN COUNTS TOWARD ${task.label}`;
+      }
+      if (text) links.push({ order, task, text });
+    });
+  }
+  return links;
+}
+
+// ---- Rendering ---------------------------------------------
+
+const MO_STATUS_LABEL = {
+  'done':     '✓',
+  'on-track': '▲',
+  'at-risk':  '⚠',
+  'behind':   '▼',
+  'unknown':  '◌',
+};
+
+/** Objective rows with progress bars and projections for one order. */
+function renderOrderTasks(order) {
+  const tasks = decodeOrderTasks(order);
+  if (!tasks.length) return '';
+
+  const rows = tasks.map((task, i) => {
+    const projection = projectTask(order, task, i);
+
+    // Planet tasks show the planet's own liberation rather than 0/1
+    const planet = task.counter ? null : state.allPlanets.find(p => p.index === task.planetIndex);
+    let pct, count;
+    if (task.counter || !planet) {
+      pct   = Math.min(100, (task.progress / task.goal) * 100);
+      count = task.counter ? `${fmt(task.progress)} / ${fmt(task.goal)}` : '';
+    } else {
+      pct   = planet.currentOwner === 'Humans' ? 100 : libPct(planet);
+      count = planet.currentOwner === 'Humans' ? 'SUPER EARTH CONTROL' : `${pct.toFixed(1)}% liberated`;
+    }
+
+    return html`
+      <div class="order-task ${projection.status}"${task.planetIndex != null && html` data-planet-index="${task.planetIndex}"`}>
+        <div class="progress-header">
+          <span class="progress-label order-task-label">${task.label}</span>
+          <span class="progress-value">${count}</span>
+        </div>
+        <div class="progress-bar">
+          <div class="progress-fill mo" style="width:${pct}%" data-pct="${pct}"></div>
+        </div>
+        <div class="order-task-status ${projection.status}">
+          <span class="outlook-icon">${MO_STATUS_LABEL[projection.status]}</span> ${projection.detail}
+        </div>
+      </div>`;
+  });
+
+  return html`<div class="order-tasks">${rows}</div>`;
+}
+
+/**
+ * Render the Major Orders section. Reads projections from state,
+ * so it is re-rendered with the other views.
+ */
+function renderOrders(assignments) {
+  const container = document.getElementById('orders-container');
+  const countEl = document.getElementById('orders-count');
+  if (!container) return;
+
+  if (countEl) countEl.textContent = assignments.length;
+
+  if (!assignments.length) {
+    patchChildren(container, html`<div class="empty-state">NO ACTIVE MAJOR ORDERS</div>`);
+    return;
+  }
+
+  patchChildren(container, html`${assignments.map(order => {
+    const text = order.briefing || order.description || 'Stand by for further orders.';
+    const reward = order.reward;
+    const expiry = order.expiration ? new Date(order.expiration) : null;
+
+    return html`
+      <div class="order-card">
+        <div class="order-title">${hd2Markup(order.title ?? 'CLASSIFIED OPERATION')}</div>
+        <div class="order-briefing">${hd2Markup(text)}</div>
+        ${renderOrderTasks(order)}
+        <div class="order-meta">
+          ${reward && html`<span class="order-reward">REWARD: <span class="reward-val">${fmt(reward.amount)} ${MO_REWARDS[reward.type ?? 1] ?? `REWARD TYPE ${reward.type}`}</span></span>`}
+          ${expiry && html`<span class="order-expiry">EXPIRES: ${expiry.toLocaleString()}</span>`}
+        </div>
+      </div>
+    `;
+  })}`);
+}
+
+/** "★ MAJOR ORDER" lines for a gambit or scout card. */
+function renderOrderLinks(links) {
+  if (!links.length) return '';
+  return html`
+    <div class="mo-links">
+      ${links.map(l => html`<div class="mo-link"><span class="mo-star">★</span> MAJOR ORDER — ${l.text}</div>`)}
+    </div>`;
+}
@@ -0,0 +1,160 @@
+// ============================================================
+// GAMBIT HD2 — Incremental DOM Updates
+//
+// The card lists are re-rendered on every refresh. Replacing
+// their innerHTML would throw away everything the reader was
+// doing — scroll position, hover, text selection, a card's focus
+// highlight — and restart every CSS animation. patchChildren()
+// instead compares the new markup with what is on screen and
+// changes only what differs:
+//
+//   - children are matched by data-planet-index, so a card stays
+//     the same element when the list is re-sorted; children
+//     without one are matched by position
+//   - matched elements keep their node and get only the changed
+//     attributes and text, so a progress bar's new width animates
+//     through its CSS transition
+//   - an element with data-value flashes when the value changes,
+//     showing the difference (data-delta) — score, liberation and
+//     diver counts on the cards
+//
+// Classes the page adds at run time (TRANSIENT_CLASSES), a
+// delta still on show and state the reader sets (the open
+// attribute of <details>) survive a patch.
+//
+// Depends on globals from html.js (SafeHtml markup).
+// ============================================================
+
+const PATCH_KEY = 'data-planet-index';
+
+// Added to elements after rendering — a patch must not remove them
+const TRANSIENT_CLASSES = ['card-focus', 'value-up', 'value-down'];
+
+// Set by the reader rather than by the markup
+const PRESERVED_ATTRIBUTES = ['open'];
+
+/**
+ * Make `container`'s children match `markup`, reusing the elements
+ * already there.
+ *
+ * @param {Element} container
+ * @param {SafeHtml} markup - html`` output
+ */
+function patchChildren(container, markup) {
+  const template = document.createElement('template');
+  template.innerHTML = String(markup);
+  patchChildNodes(container, template.content);
+}
+
+function patchKey(node) {
+  return node.nodeType === Node.ELEMENT_NODE ? node.getAttribute(PATCH_KEY) : null;
+}
+
+/** Same element type, so one can be patched into the other. */
+function samePatchKind(a, b) {
+  return a.nodeType === b.nodeType && a.nodeName === b.nodeName && patchKey(a) === patchKey(b);
+}
+
+/**
+ * Patch the children of `from` into those of `to`: keyed children
+ * are found wherever they are and moved into place, the rest are
+ * matched in order. Unmatched new children are inserted (moved out
+ * of `to`), unmatched old ones removed.
+ */
+function patchChildNodes(from, to) {
+  const keyed = new Map();
+  for (const child of from.childNodes) {
+    const key = patchKey(child);
+    if (key != null) keyed.set(`${child.nodeName}#${key}`, child);
+  }
+
+  // `cursor` is the first old child not yet placed
+  let cursor = from.firstChild;
+  for (const next of [...to.childNodes]) {
+    const key = patchKey(next);
+    let match = null;
+    if (key != null) {
+      match = keyed.get(`${next.nodeName}#${key}`) ?? null;
+      keyed.delete(`${next.nodeName}#${key}`);
+    } else if (cursor && patchKey(cursor) == null && samePatchKind(cursor, next)) {
+      match = cursor;
+    }
+
+    if (!match) {
+      from.insertBefore(next, cursor);
+      continue;
+    }
+    if (match === cursor) cursor = cursor.nextSibling;
+    else from.insertBefore(match, cursor);
+    patchNode(match, next);
+  }
+
+  while (cursor) {
+    const after = cursor.nextSibling;
+    cursor.remove();
+    cursor = after;
+  }
+}
+
+function patchNode(from, to) {
+  if (from.nodeType !== Node.ELEMENT_NODE) {
+    if (from.nodeValue !== to.nodeValue) from.nodeValue = to.nodeValue;
+    return;
+  }
+  patchAttributes(from, to);
+  patchChildNodes(from, to);
+}
+
+function patchAttributes(from, to) {
+  for (const { name, value } of [...to.attributes]) {
+    if (name === 'class') {
+      const kept = TRANSIENT_CLASSES.filter(cls => from.classList.contains(cls));
+      const next = [value, ...kept].join(' ').trim();
+      if (from.getAttribute('class') !== next) from.setAttribute('class', next);
+      continue;
+    }
+    const old = from.getAttribute(name);
+    if (old === value) continue;
+    from.setAttribute(name, value);
+    if (name === 'data-value' && old != null) flashValueChange(from, old, value);
+  }
+
+  for (const { name } of [...from.attributes]) {
+    if (!to.hasAttribute(name) && !PRESERVED_ATTRIBUTES.includes(name) && name !== 'data-delta') {
+      from.removeAttribute(name);
+    }
+  }
+}
+
+// ---- Value Changes -----------------------------------------
+
+/** "+1.4" / "−1,200": the change, with as many decimals as the new value. */
+function fmtValueDelta(oldValue, newValue) {
+  const digits = (newValue.split('.')[1] ?? '').length;
+  const delta  = Number(newValue) - Number(oldValue);
+  if (!isFinite(delta) || Math.abs(delta) < 0.5 * 10 ** -digits) return null;
+
+  const text = Math.abs(delta).toLocaleString(undefined, {
+    minimumFractionDigits: digits,
+    maximumFractionDigits: digits,
+  });
+  return `${delta > 0 ? '+' : '−'}${text}`;
+}
+
+/** Highlight an element whose data-value changed, restarting the animation. */
+function flashValueChange(el, oldValue, newValue) {
+  const delta = fmtValueDelta(oldValue, newValue);
+  if (!delta) return;
+
+  el.classList.remove('value-up', 'value-down');
+  void el.offsetWidth; // restart the animation
+  el.setAttribute('data-delta', delta);
+  el.classList.add(delta.startsWith('+') ? 'value-up' : 'value-down');
+}
+
+// Drop the highlight once shown, so moving the card doesn't replay it
+document.addEventListener('animationend', evt => {
+  if (evt.animationName !== 'value-delta') return;
+  evt.target.classList.remove('value-up', 'value-down');
+  evt.target.removeAttribute('data-delta');
+});
@@ -0,0 +1,270 @@
+// ============================================================
+// GAMBIT HD2 — War Replay
+//
+// Time-travel over the recorded snapshot history. A timeline
+// scrubber picks any past snapshot; the war is rebuilt as it was
+// at that moment and every view (gambits, scout, map, orders,
+// detail) is rendered from it, with the clock (core.js clockNow)
+// and the analysis history (history.js historyView) cut off at
+// the snapshot's time. Playback steps through the snapshots at
+// a chosen speed.
+//
+// Snapshots only record what changes (health, players, owners,
+// defense events, campaigns, MO progress); names, positions and
+// supply lines come from the live data at the time the replay is
+// opened. Snapshots recorded before campaigns and owners were
+// stored fall back to the live campaign list and owners.
+//
+// Live polling pauses while replaying and resumes on exit.
+//
+// Depends on globals from core.js (state, clockNow), app.js
+// (render, refresh), history.js (activeSnapshots, setHistoryCutoff),
+// api.js (dataSource) and html.js (html).
+// ============================================================
+
+const REPLAY_SPEEDS = {
+  60:   '1 MIN / SEC',
+  600:  '10 MIN / SEC',
+  3600: '1 HR / SEC',
+};
+const REPLAY_DEFAULT_SPEED = 600;
+
+// Wall-clock time per frame during playback. Long gaps (nobody had
+// the app open) are skipped at the upper bound instead of waited out.
+const REPLAY_MIN_FRAME_MS = 150;
+const REPLAY_MAX_FRAME_MS = 2_000;
+
+/**
+ * Active replay, or null while live:
+ *   frames  — snapshots at the time the replay was opened
+ *   index   — frame being shown
+ *   live    — { war, campaigns, assignments, planets, stale } to return to
+ *   playing, speed, timer
+ */
+let replay = null;
+
+// ---- Reconstruction ----------------------------------------
+
+/** A live planet object as it was at `snap`. */
+function replayPlanet(planet, snap) {
+  let event = null;
+  const d = snap.defense?.[planet.index];
+  if (d) {
+    const liveEvent = planet.event?.id === d.id ? planet.event : null;
+    const maxHealth = d.maxHealth ?? liveEvent?.maxHealth;
+    // An older event recorded without its metadata can't be shown
+    if (maxHealth) {
+      event = {
+        ...liveEvent,
+        id:       d.id,
+        health:   d.health,
+        maxHealth,
+        endTime:  d.endTime ?? liveEvent?.endTime,
+        faction:  d.faction ?? liveEvent?.faction,
+      };
+    }
+  }
+
+  return {
+    ...planet,
+    health:       snap.health[planet.index] ?? planet.health,
+    currentOwner: snap.owners ? snap.owners[planet.index] ?? 'Humans' : planet.currentOwner,
+    attacking:    snap.attacking ? snap.attacking[planet.index] ?? [] : planet.attacking,
+    statistics:   { ...planet.statistics, playerCount: snap.players[planet.index] ?? 0 },
+    event,
+  };
+}
+
+/**
+ * Rebuild fetchAll()-shaped data as of `snap`, using `live` for
+ * everything the snapshot doesn't record.
+ */
+function buildReplayData(snap, live) {
+  const planets  = live.planets.map(p => replayPlanet(p, snap));
+  const byIndex  = new Map(planets.map(p => [p.index, p]));
+  const liveByPlanet = new Map(live.campaigns.map(c => [c.planet.index, c]));
+
+  const campaignIndices = snap.campaigns
+    ?? live.campaigns.map(c => c.planet.index).filter(i => snap.health[i] != null);
+  const campaigns = campaignIndices
+    .map(i => byIndex.get(i))
+    .filter(Boolean)
+    .map(planet => ({
+      ...(liveByPlanet.get(planet.index) ?? { id: `replay-${planet.index}` }),
+      planet,
+      faction: planet.event?.faction ?? planet.currentOwner,
+    }));
+
+  // Orders active at the time, with their progress then
+  const orders = snap.orders && Object.keys(snap.orders).length
+    ? live.assignments.filter(a => a.id in snap.orders).map(a => ({ ...a, progress: snap.orders[a.id] }))
+    : live.assignments;
+
+  return {
+    war:         live.war && { ...live.war, impactMultiplier: snap.impact ?? live.war.impactMultiplier },
+    campaigns,
+    assignments: orders,
+    planets,
+    stale:       {},
+  };
+}
+
+// ---- Playback ----------------------------------------------
+
+/** Render frame `index` of the active replay. */
+function showReplayFrame(index) {
+  replay.index = Math.max(0, Math.min(replay.frames.length - 1, index));
+  const snap   = replay.frames[replay.index];
+
+  state.replayTs = snap.ts;
+  setHistoryCutoff(snap.ts);
+  render(buildReplayData(snap, replay.live), { observed: false });
+  updateReplayBar();
+}
+
+function scheduleReplayStep() {
+  clearTimeout(replay.timer);
+  if (!replay.playing) return;
+
+  const next = replay.frames[replay.index + 1];
+  if (!next) {
+    replay.playing = false;
+    updateReplayBar();
+    return;
+  }
+
+  const gapMs = next.ts - replay.frames[replay.index].ts;
+  const wait  = Math.min(REPLAY_MAX_FRAME_MS, Math.max(REPLAY_MIN_FRAME_MS, gapMs / replay.speed));
+  replay.timer = setTimeout(() => {
+    showReplayFrame(replay.index + 1);
+    scheduleReplayStep();
+  }, wait);
+}
+
+function toggleReplayPlayback() {
+  if (!replay) return;
+  // Playing from the last frame starts over
+  if (!replay.playing && replay.index >= replay.frames.length - 1) showReplayFrame(0);
+  replay.playing = !replay.playing;
+  updateReplayBar();
+  scheduleReplayStep();
+}
+
+function stepReplay(delta) {
+  if (!replay) return;
+  showReplayFrame(replay.index + delta);
+  scheduleReplayStep();
+}
+
+function seekReplay(index) {
+  if (!replay) return;
+  showReplayFrame(Number(index));
+  scheduleReplayStep();
+}
+
+function setReplaySpeed(speed) {
+  if (!replay || !(speed in REPLAY_SPEEDS)) return;
+  replay.speed = Number(speed);
+  scheduleReplayStep();
+}
+
+// ---- Enter / Exit ------------------------------------------
+
+/** Open the timeline at the latest snapshot. */
+function openReplay() {
+  const bar = document.getElementById('replay-bar');
+  bar?.classList.remove('hidden');
+  if (replay) return;
+
+  const history = activeSnapshots();
+  if (history.length < 2 || !state.allPlanets.length) {
+    renderReplayBar();
+    return;
+  }
+
+  clearTimeout(state.pollTimer);
+  replay = {
+    frames:  [...history],
+    index:   history.length - 1,
+    live:    {
+      war:         state.war,
+      campaigns:   [...state.liberationCampaigns, ...state.defenseCampaigns],
+      assignments: state.assignments,
+      planets:     state.allPlanets,
+      stale:       state.stale,
+    },
+    playing: false,
+    speed:   REPLAY_DEFAULT_SPEED,
+    timer:   null,
+  };
+  renderReplayBar();
+  showReplayFrame(replay.index);
+}
+
+/** Back to live data: restore the last live render and resume polling. */
+function exitReplay() {
+  document.getElementById('replay-bar')?.classList.add('hidden');
+  if (!replay) return;
+
+  clearTimeout(replay.timer);
+  const live = replay.live;
+  replay = null;
+
+  state.replayTs = null;
+  setHistoryCutoff(null);
+  render(live, { observed: false });
+  refresh();
+}
+
+// ---- Rendering ---------------------------------------------
+
+function renderReplayBar() {
+  const content = document.getElementById('replay-content');
+  if (!content) return;
+
+  if (!replay) {
+    content.innerHTML = html`
+      <span class="replay-label">⏮ REPLAY</span>
+      <span class="replay-time">${dataSource.historyKey || state.archive
+        ? 'Not enough history recorded yet — replay fills in as snapshots are recorded.'
+        : 'This data source is not recorded, so there is nothing to replay.'}</span>
+      <button class="btn-action" onclick="exitReplay()">CLOSE</button>`;
+    return;
+  }
+
+  const speeds = Object.entries(REPLAY_SPEEDS)
+    .map(([v, label]) => html`<option value="${v}"${Number(v) === replay.speed ? ' selected' : ''}>${label}</option>`);
+
+  content.innerHTML = html`
+    <span class="replay-label">⏮ REPLAY</span>
+    <button class="btn-action" onclick="stepReplay(-1)" title="Previous snapshot">&#9664;</button>
+    <button id="replay-play" class="btn-action" onclick="toggleReplayPlayback()"></button>
+    <button class="btn-action" onclick="stepReplay(1)" title="Next snapshot">&#9654;</button>
+    <input id="replay-scrubber" class="replay-scrubber" type="range"
+           min="0" max="${replay.frames.length - 1}" value="${replay.index}" oninput="seekReplay(this.value)">
+    <span id="replay-time" class="replay-time"></span>
+    <select class="model-select" onchange="setReplaySpeed(this.value)" title="Playback speed">${speeds}</select>
+    <button class="btn-action" onclick="exitReplay()">BACK TO LIVE</button>`;
+  updateReplayBar();
+}
+
+/** Sync the scrubber, clock and play button with the current frame. */
+function updateReplayBar() {
+  if (!replay) return;
+  const scrubber = document.getElementById('replay-scrubber');
+  const timeEl   = document.getElementById('replay-time');
+  const playBtn  = document.getElementById('replay-play');
+
+  if (scrubber) scrubber.value = replay.index;
+  if (timeEl) {
+    timeEl.textContent = `${new Date(clockNow()).toLocaleString()} · ${replay.index + 1} / ${replay.frames.length}`;
+  }
+  if (playBtn) playBtn.textContent = replay.playing ? '❚❚ PAUSE' : '▶ PLAY';
+}
+
+window.openReplay           = openReplay;
+window.exitReplay           = exitReplay;
+window.toggleReplayPlayback = toggleReplayPlayback;
+window.stepReplay           = stepReplay;
+window.seekReplay           = seekReplay;
+window.setReplaySpeed       = setReplaySpeed;
@@ -0,0 +1,164 @@
+// ============================================================
+// GAMBIT HD2 — Hash Router
+//
+// Keeps the active tab, selected planet and list options in
+// location.hash so any view can be reloaded, shared, and
+// navigated with back/forward:
+//
+//   #/gambit                 Gambit Analysis tab
+//   #/gambit/123             … scrolled to planet 123's card
+//   #/scout/123              Strategic Scout, planet 123 selected
+//   #/map                    Galaxy Map
+//   #/planet/123             detail panel for planet 123
+//   #/gambit?sort=players    any view + query parameters
+//
+// Tab and planet changes push a history entry; parameter
+// changes (filters, sort order) replace the current one so
+// they don't flood the back button.
+//
+// Depends on globals from app.js (switchTab, focusPlanetCard,
+// findPlanetCard) and detail.js (showPlanetDetail).
+// ============================================================
+
+const ROUTE_TABS    = ['gambit', 'scout', 'map', 'guide'];
+const DEFAULT_TAB   = 'gambit';
+
+// The tab shown underneath the planet detail panel
+let routeTab = DEFAULT_TAB;
+
+// Planet card to focus once the next render has produced it
+let pendingFocus = null;
+
+const routeListeners = [];
+
+// ---- Parse / Build -----------------------------------------
+
+/**
+ * Parse a location.hash into a route object.
+ *
+ * @returns {{ view: string, planet: number|null, params: Object }}
+ *   view is a tab name or 'planet' (detail panel)
+ */
+function parseRoute(hash) {
+  const [path, query = ''] = hash.replace(/^#\/?/, '').split('?');
+  const [view, planet]     = path.split('/');
+
+  const hasPlanet = /^\d+$/.test(planet ?? '');
+  const valid     = view === 'planet' ? hasPlanet : ROUTE_TABS.includes(view);
+  return {
+    view:   valid ? view : DEFAULT_TAB,
+    planet: valid && hasPlanet ? Number(planet) : null,
+    params: Object.fromEntries(new URLSearchParams(query)),
+  };
+}
+
+/** Build a location.hash string from a route object. */
+function buildRoute(route) {
+  let hash = `#/${route.view}`;
+  if (route.planet != null) hash += `/${route.planet}`;
+
+  const query = new URLSearchParams(
+    Object.entries(route.params ?? {}).filter(([, v]) => v != null && v !== '')
+  ).toString();
+  return query ? `${hash}?${query}` : hash;
+}
+
+/** The route for the current URL. */
+function currentRoute() {
+  return parseRoute(location.hash);
+}
+
+// ---- Navigation --------------------------------------------
+
+/**
+ * Merge `patch` into the current route and update the URL.
+ *
+ * @param {Object}  patch
+ * @param {Object}  [opts]
+ * @param {boolean} [opts.replace] - replace the history entry instead of pushing
+ */
+function navigate(patch, { replace = false } = {}) {
+  const route = { ...currentRoute(), ...patch };
+  const hash  = buildRoute(route);
+  if (hash === location.hash) return;
+
+  if (replace) {
+    history.replaceState(null, '', hash);
+    applyRoute(route);
+  } else {
+    location.hash = hash; // hashchange applies it
+  }
+}
+
+/** Switch tabs from the tab bar. */
+function goToTab(tab) {
+  navigate({ view: tab, planet: null });
+}
+
+/**
+ * Select a planet's card: navigates to the tab that holds it.
+ *
+ * @returns {boolean} false if the planet has no card
+ */
+function selectPlanet(planetIndex) {
+  const card = findPlanetCard(planetIndex);
+  if (!card) return false;
+  const tab = card.closest('.tab-panel')?.id.replace('tab-', '') ?? DEFAULT_TAB;
+  navigate({ view: tab, planet: planetIndex });
+  return true;
+}
+
+/** Read a query parameter from the current route. */
+function getRouteParam(key) {
+  return currentRoute().params[key];
+}
+
+/** Update query parameters in place (no new history entry). */
+function setRouteParams(params) {
+  navigate({ params: { ...currentRoute().params, ...params } }, { replace: true });
+}
+
+/**
+ * Register a callback run after every route change with the new
+ * route — used by modules that mirror query parameters.
+ */
+function onRouteChange(fn) {
+  routeListeners.push(fn);
+}
+
+window.goToTab = goToTab;
+
+// ---- Apply -------------------------------------------------
+
+/** Make the page match a route. */
+function applyRoute(route) {
+  if (route.view === 'planet') {
+    showPlanetDetail(route.planet);
+  } else {
+    routeTab = route.view;
+    showPlanetDetail(null);
+    switchTab(route.view);
+    pendingFocus = route.planet;
+    focusPendingPlanet();
+  }
+  routeListeners.forEach(fn => fn(route));
+}
+
+/**
+ * Focus the routed planet's card if it has been rendered. Called
+ * after every render so a deep link works on first load.
+ */
+function focusPendingPlanet() {
+  if (pendingFocus == null) return;
+  if (focusPlanetCard(pendingFocus)) pendingFocus = null;
+}
+
+/** Leave the planet detail panel, back to the tab underneath. */
+function routeBackToTab() {
+  navigate({ view: routeTab, planet: null });
+}
+
+window.addEventListener('hashchange', () => applyRoute(currentRoute()));
+
+// Restore the linked view on load
+applyRoute(currentRoute());
@@ -7,69 +7,89 @@
 // a liberation on any of these planets would directly support
 // the connected defense.
 //
-// Depends on globals from app.js: state, factionCls,
-// factionLabel, fmtCountdown, hoursLeft, defPct, fmt
+// Depends on globals from core.js: state, factionCls,
+// factionLabel, fmtCountdown, hoursLeft, urgencyCls, defPct, fmt,
+// graph.js: neighbors, bfsDistances, attackersOf, isEnemyHeld,
+// isolatedByLiberating, describeIsolation
+// orders.js: majorOrderLinks, renderOrderLinks,
+// html.js: html, patch.js: patchChildren and
+// watchlist.js: pinButton
 // ============================================================
 
+// How far along enemy supply lines to look for indirect vectors
+const SCOUT_MAX_HOPS = 3;
+
 // ---- Detection ---------------------------------------------
 
 /**
- * For each active defense campaign, find enemy-held planets that
- * are connected via supply lines but have no active campaign yet.
+ * For each active defense campaign, find enemy-held planets with
+ * no active campaign yet whose liberation would help the defense:
+ *
+ *   direct   — connected to the defense by a supply line
+ *   indirect — further out, but liberating it cuts off a planet
+ *              that is attacking the defense
  *
- * @param {Array} defenseCampaigns
- * @param {Array} liberationCampaigns
- * @param {Array} allPlanets          - full /api/v1/planets response
+ * @param {Array}  defenseCampaigns
+ * @param {Array}  liberationCampaigns
+ * @param {Object} graph - supply-line graph from buildSupplyGraph()
  * @returns {Array} results — [{ defenseCampaign, targets[] }]
+ *   target: { planet, decayPctHr, hops, isolated[], cutsOff }
  */
-function detectScoutTargets(defenseCampaigns, liberationCampaigns, allPlanets) {
+function detectScoutTargets(defenseCampaigns, liberationCampaigns, graph) {
   // Planet indices already being actively fought over
   const activePlanetIndices = new Set([
     ...liberationCampaigns.map(c => c.planet.index),
     ...defenseCampaigns.map(c => c.planet.index),
   ]);
 
-  // Full planet lookup by index
-  const planetByIndex = {};
-  allPlanets.forEach(p => {
-    if (p.index != null) planetByIndex[p.index] = p;
-  });
+  const decayOf = planet => planet.maxHealth
+    ? (planet.regenPerSecond * 3600 / planet.maxHealth) * 100
+    : null;
 
   const results = [];
 
   for (const dc of defenseCampaigns) {
-    const defPlanet = dc.planet;
-
-    // Collect all planet indices connected via supply lines (bidirectional)
-    const connectedIndices = new Set([
-      ...(defPlanet.waypoints ?? []),
-      // Also include planets that list this defense planet in their own waypoints
-      ...allPlanets
-        .filter(p => (p.waypoints ?? []).includes(defPlanet.index))
-        .map(p => p.index),
-    ]);
-
-    // Filter to enemy-held planets not already in any active campaign
-    const targets = [];
-    for (const idx of connectedIndices) {
+    const defIndex  = dc.planet.index;
+    const attackers = attackersOf(graph, defIndex);
+    const targets   = [];
+
+    // Direct: supply-line neighbours (bidirectional) that are enemy-held
+    // and not already in any active campaign
+    const direct = new Set(neighbors(graph, defIndex));
+    for (const idx of direct) {
       if (activePlanetIndices.has(idx)) continue;
-
-      const planet = planetByIndex[idx];
-      if (!planet) continue;
-
-      const owner = (planet.currentOwner ?? '').toLowerCase();
+      const planet = graph.planets.get(idx);
       // Skip planets we already own or with no ownership data
-      if (!owner || owner.includes('human')) continue;
-
-      const decayPctHr = planet.maxHealth
-        ? (planet.regenPerSecond * 3600 / planet.maxHealth) * 100
-        : null;
+      if (!isEnemyHeld(planet)) continue;
+
+      targets.push({
+        planet,
+        decayPctHr: decayOf(planet),
+        hops:       1,
+        isolated:   isolatedByLiberating(graph, idx),
+        cutsOff:    null,
+      });
+    }
 
-      targets.push({ planet, decayPctHr });
+    // Indirect: enemy planets a few hops out along enemy supply lines
+    // whose liberation isolates one of this defense's attackers
+    if (attackers.length) {
+      const dist = bfsDistances(graph, defIndex, isEnemyHeld);
+      for (const [idx, hops] of dist) {
+        if (hops < 2 || hops > SCOUT_MAX_HOPS || activePlanetIndices.has(idx)) continue;
+        const isolated = isolatedByLiberating(graph, idx);
+        const cutsOff  = isolated.find(p => attackers.includes(p.index));
+        if (!cutsOff) continue;
+
+        const planet = graph.planets.get(idx);
+        targets.push({ planet, decayPctHr: decayOf(planet), hops, isolated, cutsOff });
+      }
     }
 
-    // Sort: easiest to liberate first (lowest enemy regen rate)
-    targets.sort((a, b) => (a.decayPctHr ?? Infinity) - (b.decayPctHr ?? Infinity));
+    // Sort: direct vectors first, then easiest to liberate (lowest enemy regen rate)
+    targets.sort((a, b) =>
+      a.hops - b.hops || (a.decayPctHr ?? Infinity) - (b.decayPctHr ?? Infinity)
+    );
 
     if (targets.length > 0) {
       results.push({ defenseCampaign: dc, targets });
@@ -90,6 +110,35 @@ function detectScoutTargets(defenseCampaigns, liberationCampaigns, allPlanets) {
   return results;
 }
 
+// ---- Summary -----------------------------------------------
+
+/** Plain-data view of one scout result, for JSON output and text reports. */
+function scoutSummary(result) {
+  const defPlanet = result.defenseCampaign.planet;
+  const event     = defPlanet.event;
+  const hrs       = event?.endTime ? hoursLeft(event.endTime) : null;
+  const nameOf    = p => p.name ?? `PLANET #${p.index}`;
+
+  return {
+    defense:      nameOf(defPlanet),
+    planetIndex:  defPlanet.index,
+    faction:      event?.faction ?? result.defenseCampaign.faction ?? null,
+    hoursLeft:    hrs,
+    integrityPct: defPct(event),
+    targets:      result.targets.map(({ planet, decayPctHr, hops, isolated, cutsOff }) => ({
+      planet:      nameOf(planet),
+      planetIndex: planet.index,
+      faction:     planet.currentOwner ?? null,
+      hops,
+      regenPctHr:  decayPctHr,
+      isolates:    isolated.map(nameOf),
+      cutsOff:     cutsOff ? nameOf(cutsOff) : null,
+      majorOrder:  majorOrderLinks(planet.index, { protects: [defPlanet.index], faction: planet.currentOwner })
+        .map(link => link.text),
+    })),
+  };
+}
+
 // ---- Rendering ---------------------------------------------
 
 /** Render a single scout recon card for one defense campaign. */
@@ -102,32 +151,44 @@ function renderScoutCard(result) {
   const defFLabel = factionLabel(event?.faction ?? dc.faction ?? '');
 
   const hrs     = event?.endTime ? hoursLeft(event.endTime) : Infinity;
-  const urgCls  = hrs < 1 ? 'critical' : hrs < 6 ? 'urgent' : '';
+  const urgCls  = urgencyCls(hrs);
   const timerVal = event?.endTime ? fmtCountdown(event.endTime) : '—';
   const defPct_ = defPct(event);
 
   // Target planet rows
-  const targetsHtml = result.targets.map(({ planet, decayPctHr }) => {
+  const targetsHtml = result.targets.map(({ planet, decayPctHr, hops, isolated, cutsOff }) => {
     const fCls   = factionCls(planet.currentOwner ?? '');
     const fLabel = factionLabel(planet.currentOwner ?? '');
     const decay  = decayPctHr != null ? decayPctHr.toFixed(2) : '?';
     const sector = planet.sector ? `${planet.sector}  ·  ` : '';
 
-    return `
-      <div class="scout-target">
+    const chainHtml = isolated.length > 0 && html`<span class="scout-meta-item scout-chain">Liberating here ${describeIsolation(isolated.length)}${
+      cutsOff && html` — including attacker <strong>${cutsOff.name ?? `#${cutsOff.index}`}</strong>`
+    }</span>`;
+
+    const orderLinks = majorOrderLinks(planet.index, { protects: [defPlanet.index], faction: planet.currentOwner });
+
+    return html`
+      <div class="scout-target${hops > 1 ? ' indirect' : ''}" data-planet-index="${planet.index}">
         <div class="scout-target-header">
           <div class="scout-target-name">${planet.name ?? `PLANET #${planet.index}`}</div>
+          ${typeof pinButton === 'function' && pinButton(planet.index)}
+          ${hops > 1 && html`<span class="scout-hops">${hops} HOPS</span>`}
           <span class="faction-badge ${fCls}">${fLabel}</span>
         </div>
         <div class="scout-target-meta">
           <span class="scout-meta-item">${sector}Enemy regen: <strong>${decay}%/hr</strong></span>
-          <span class="scout-cta">▶ START LIBERATION HERE TO SUPPORT THIS DEFENSE</span>
+          ${chainHtml}
+          <span class="scout-cta">${hops > 1
+            ? '▶ START LIBERATION HERE TO CUT OFF THE ATTACK ON THIS DEFENSE'
+            : '▶ START LIBERATION HERE TO SUPPORT THIS DEFENSE'}</span>
         </div>
+        ${renderOrderLinks(orderLinks)}
       </div>`;
-  }).join('');
+  });
 
-  return `
-    <div class="scout-card ${urgCls}">
+  return html`
+    <div class="scout-card ${urgCls}" data-planet-index="${defPlanet.index}">
 
       <!-- Defense being supported -->
       <div class="scout-card-header">
@@ -136,13 +197,14 @@ function renderScoutCard(result) {
           <div class="scout-defense-name">${defPlanet.name ?? `PLANET #${defPlanet.index}`}</div>
           <div class="scout-defense-meta">
             <span class="faction-badge ${defFCls}">${defFLabel}</span>
-            ${defPlanet.sector ? `<span class="scout-sector">${defPlanet.sector}</span>` : ''}
+            ${defPlanet.sector && html`<span class="scout-sector">${defPlanet.sector}</span>`}
+            ${typeof pinButton === 'function' && pinButton(defPlanet.index)}
           </div>
         </div>
         <div class="scout-timer-block">
           <div class="scout-timer-label">TIME REMAINING</div>
           <div class="timer-value ${urgCls}" data-end="${event?.endTime ?? ''}">${timerVal}</div>
-          <div class="scout-def-pct">${defPct_.toFixed(1)}% integrity</div>
+          <div class="scout-def-pct" data-value="${defPct_.toFixed(1)}">${defPct_.toFixed(1)}% integrity</div>
         </div>
       </div>
 
@@ -169,20 +231,21 @@ function renderScout() {
   const results = detectScoutTargets(
     state.defenseCampaigns,
     state.liberationCampaigns,
-    state.allPlanets,
+    state.graph,
   );
+  state.scoutResults = results;
 
   const totalTargets = results.reduce((n, r) => n + r.targets.length, 0);
   if (countEl) countEl.textContent = totalTargets;
 
   if (!results.length) {
-    container.innerHTML = `
+    patchChildren(container, html`
       <div class="empty-state scout-empty">
         <div class="scout-empty-heading">NO UNTAPPED ATTACK VECTORS DETECTED</div>
         <span>All supply-line connected planets are already under active campaign — check the Gambit Analysis tab for current opportunities.</span>
-      </div>`;
+      </div>`);
     return;
   }
 
-  container.innerHTML = results.map(renderScoutCard).join('');
+  patchChildren(container, html`${results.map(renderScoutCard)}`);
 }
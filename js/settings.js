@@ -0,0 +1,315 @@
+// ============================================================
+// GAMBIT HD2 — User Settings
+//
+// Typed, persisted settings. Every tunable threshold of the
+// analysis lives in SETTINGS_SCHEMA with its type, range and
+// default; values are read directly as `settings.<key>` by the
+// analysis and rendering modules, so the model can be tuned to
+// the current meta without editing code.
+//
+// The ⚙ SETTINGS panel edits them with validation and a reset
+// to defaults. Changes re-render from the data already loaded
+// (app.js renderViews) — only the data source needs a reload.
+// ============================================================
+
+const SETTINGS_KEY = 'gambit-hd2-settings';
+
+/**
+ * Field spec:
+ *   type     'number' | 'enum' | 'url' | 'text'
+ *   group    panel section
+ *   min/max/step, integer, unit   (number)
+ *   options  { value: label }     (enum)
+ *   pattern  RegExp               (text)
+ *   reload   true if it only takes effect after a page reload
+ */
+const SETTINGS_SCHEMA = {
+  // 'heuristic' = original 0–100 point score
+  // 'montecarlo' = simulated probability of beating the defense timer
+  scoringModel: {
+    group: 'MODEL', label: 'Success model', type: 'enum', default: 'heuristic',
+    options: { heuristic: 'POINT SCORE', montecarlo: 'MONTE CARLO' },
+  },
+  diversPerPctHr: {
+    group: 'MODEL', label: 'Helldivers per 1%/hr', type: 'number', default: 10_000,
+    min: 500, max: 100_000, step: 500, integer: true,
+    help: 'Liberation speed assumed per diver until enough history has been recorded to calibrate it.',
+  },
+
+  minLibPct: {
+    group: 'GAMBIT CONDITIONS', label: 'Minimum liberation progress', type: 'number', default: 25,
+    min: 0, max: 100, step: 1, unit: '%',
+  },
+  maxCompletionHrs: {
+    group: 'GAMBIT CONDITIONS', label: 'Completion window', type: 'number', default: 48,
+    min: 1, max: 168, step: 1, unit: 'h',
+    help: 'A liberation must be completable within this. Also the scoring and simulation horizon when no defense is at risk.',
+  },
+  fullBufferHrs: {
+    group: 'GAMBIT CONDITIONS', label: 'Buffer for full time points', type: 'number', default: 12,
+    min: 1, max: 72, step: 1, unit: 'h',
+    help: 'Lead of the ETA over the defense timer that earns the full 25 time points.',
+  },
+
+  maxGambitCards: {
+    group: 'DISPLAY', label: 'Gambit card limit', type: 'number', default: 6,
+    min: 1, max: 50, step: 1, integer: true,
+    help: 'Gambits with a connected defense always show; other liberations fill the remaining slots.',
+  },
+  urgentHrs: {
+    group: 'DISPLAY', label: 'Timer urgent below', type: 'number', default: 6,
+    min: 0.5, max: 48, step: 0.5, unit: 'h',
+  },
+  criticalHrs: {
+    group: 'DISPLAY', label: 'Timer critical below', type: 'number', default: 1,
+    min: 0.1, max: 24, step: 0.1, unit: 'h',
+  },
+
+  deployBudget: {
+    group: 'PLANNING', label: 'Extra divers to deploy', type: 'number', default: 20_000,
+    min: 1_000, max: 1_000_000, step: 1_000, integer: true,
+    help: 'Divers the deployment plan spreads across liberations and defenses.',
+  },
+
+  briefingFormat: {
+    group: 'SHARING', label: 'Briefing format', type: 'enum', default: 'discord',
+    options: { discord: 'DISCORD', plain: 'PLAIN TEXT', compact: 'COMPACT' },
+  },
+  briefingWebhook: {
+    group: 'SHARING', label: 'Briefing webhook', type: 'url', default: '',
+    help: 'Discord (or compatible) webhook that SEND TO WEBHOOK posts briefings to; blank = copy only.',
+  },
+
+  // Data source (api.js) — overridden by ?api= / ?fixtures= in the URL
+  apiBase: {
+    group: 'DATA SOURCE', label: 'API base URL', type: 'url', default: '', reload: true,
+    help: 'API-compatible server; blank = community API.',
+  },
+  fixtures: {
+    group: 'DATA SOURCE', label: 'Fixture directory', type: 'text', default: '', reload: true,
+    pattern: /^[\w./-]*$/,
+    help: 'Name under fixtures/ (e.g. demo); takes precedence over the API base.',
+  },
+};
+
+// Constraints between fields, checked on load and on every change
+const SETTINGS_RULES = [
+  {
+    keys:    ['criticalHrs', 'urgentHrs'],
+    check:   s => s.criticalHrs < s.urgentHrs,
+    message: 'Critical threshold must be below the urgent threshold',
+  },
+];
+
+const SETTINGS_DEFAULTS = Object.fromEntries(
+  Object.entries(SETTINGS_SCHEMA).map(([key, spec]) => [key, spec.default])
+);
+
+const settings = loadSettings();
+
+// ---- Validation --------------------------------------------
+
+/**
+ * Coerce and check a raw value (e.g. an input's string) against the
+ * field's spec.
+ *
+ * @returns {{ value: any } | { error: string }}
+ */
+function validateSetting(key, raw) {
+  const spec = SETTINGS_SCHEMA[key];
+  if (!spec) return { error: `Unknown setting "${key}"` };
+
+  switch (spec.type) {
+    case 'number': {
+      const value = typeof raw === 'number' ? raw : Number(String(raw).trim());
+      if (String(raw).trim() === '' || !isFinite(value)) return { error: 'Must be a number' };
+      if (spec.integer && !Number.isInteger(value)) return { error: 'Must be a whole number' };
+      if (value < spec.min || value > spec.max) return { error: `Must be between ${spec.min} and ${spec.max}` };
+      return { value };
+    }
+    case 'enum':
+      return raw in spec.options ? { value: raw } : { error: 'Not a valid option' };
+    case 'url': {
+      const value = String(raw ?? '').trim();
+      if (!value) return { value };
+      try {
+        const url = new URL(value);
+        if (!/^https?:$/.test(url.protocol)) return { error: 'Must be an http(s) URL' };
+      } catch {
+        return { error: 'Not a valid URL' };
+      }
+      return { value };
+    }
+    case 'text': {
+      const value = String(raw ?? '').trim();
+      return spec.pattern && !spec.pattern.test(value) ? { error: 'Contains invalid characters' } : { value };
+    }
+  }
+  return { error: `Unsupported type "${spec.type}"` };
+}
+
+/** The first cross-field rule that `candidate` breaks, or null. */
+function brokenSettingsRule(candidate) {
+  return SETTINGS_RULES.find(rule => !rule.check(candidate)) ?? null;
+}
+
+// ---- Persistence -------------------------------------------
+
+/**
+ * Read persisted settings, falling back to defaults for anything
+ * missing or no longer valid.
+ */
+function loadSettings() {
+  let stored = {};
+  try {
+    stored = JSON.parse(localStorage.getItem(SETTINGS_KEY) ?? '{}');
+  } catch { /* use defaults */ }
+
+  const loaded = { ...SETTINGS_DEFAULTS };
+  for (const key of Object.keys(SETTINGS_SCHEMA)) {
+    if (!(key in stored)) continue;
+    const result = validateSetting(key, stored[key]);
+    if ('value' in result) loaded[key] = result.value;
+    else console.warn(`[GAMBIT] Ignoring saved setting ${key}: ${result.error}`);
+  }
+
+  for (const rule of SETTINGS_RULES) {
+    if (rule.check(loaded)) continue;
+    console.warn(`[GAMBIT] ${rule.message} — restoring defaults`);
+    rule.keys.forEach(k => { loaded[k] = SETTINGS_DEFAULTS[k]; });
+  }
+  return loaded;
+}
+
+function persistSettings() {
+  try {
+    localStorage.setItem(SETTINGS_KEY, JSON.stringify(settings));
+  } catch (err) {
+    console.warn('[GAMBIT] Failed to save settings:', err);
+  }
+}
+
+/**
+ * Validate, update and persist one setting.
+ *
+ * @returns {string | null} error message, or null if saved
+ */
+function saveSetting(key, value) {
+  const result = validateSetting(key, value);
+  if ('error' in result) return result.error;
+
+  const broken = brokenSettingsRule({ ...settings, [key]: result.value });
+  if (broken) return broken.message;
+
+  settings[key] = result.value;
+  persistSettings();
+  return null;
+}
+
+/** Restore every default and re-render. */
+function resetSettings() {
+  const reload = Object.keys(SETTINGS_SCHEMA)
+    .some(k => SETTINGS_SCHEMA[k].reload && settings[k] !== SETTINGS_DEFAULTS[k]);
+  Object.assign(settings, SETTINGS_DEFAULTS);
+  persistSettings();
+  applySettings();
+  renderSettingsPanel(reload);
+}
+
+/** Re-render everything that reads settings, from the data already loaded. */
+function applySettings() {
+  const modelSelect = document.getElementById('scoring-model');
+  if (modelSelect) modelSelect.value = settings.scoringModel;
+  if (typeof renderCalibrationStatus === 'function') renderCalibrationStatus();
+  if (typeof renderViews === 'function' && state.graph) renderViews();
+}
+
+// ---- Panel -------------------------------------------------
+
+// Reload-only settings changed since the panel was opened
+let settingsNeedReload = false;
+
+function renderSettingInput(key, spec) {
+  const value = settings[key];
+  if (spec.type === 'enum') {
+    const opts = Object.entries(spec.options)
+      .map(([v, label]) => html`<option value="${v}"${v === value ? ' selected' : ''}>${label}</option>`);
+    return html`<select class="model-select" data-setting="${key}" onchange="updateSetting('${key}', this)">${opts}</select>`;
+  }
+  if (spec.type === 'number') {
+    return html`
+      <input type="number" class="setting-input" data-setting="${key}" value="${value}"
+             min="${spec.min}" max="${spec.max}" step="${spec.step}" onchange="updateSetting('${key}', this)">
+      ${spec.unit && html`<span class="setting-unit">${spec.unit}</span>`}`;
+  }
+  return html`<input type="text" class="setting-input wide" data-setting="${key}" value="${value}"
+                 placeholder="${spec.type === 'url' ? 'https://…' : ''}" onchange="updateSetting('${key}', this)">`;
+}
+
+function renderSettingsPanel(needReload = settingsNeedReload) {
+  settingsNeedReload = needReload;
+  const content = document.getElementById('settings-content');
+  if (!content || document.getElementById('settings-panel')?.classList.contains('hidden')) return;
+
+  const groups = {};
+  for (const [key, spec] of Object.entries(SETTINGS_SCHEMA)) {
+    (groups[spec.group] ??= []).push(html`
+      <div class="setting-row${settings[key] !== spec.default ? ' changed' : ''}">
+        <label class="setting-label">${spec.label}</label>
+        <div class="setting-control">${renderSettingInput(key, spec)}</div>
+        <div class="setting-default">default ${spec.default === '' ? 'blank' : spec.default}${spec.unit ?? ''}</div>
+        ${spec.help && html`<div class="setting-help">${spec.help}</div>`}
+        <div class="setting-error" data-error-for="${key}"></div>
+      </div>`);
+  }
+
+  content.innerHTML = html`
+    <div class="detail-header">
+      <div>
+        <div class="gambit-label">SAVED IN THIS BROWSER</div>
+        <div class="gambit-planet-title">SETTINGS</div>
+      </div>
+    </div>
+
+    ${needReload && html`
+      <div class="setting-reload">
+        Data source changes apply after a reload.
+        <button class="btn-action" onclick="location.reload()">RELOAD NOW</button>
+      </div>`}
+
+    ${Object.entries(groups).map(([group, rows]) => html`
+      <div class="detail-section">
+        <div class="gambit-section-label">${group}</div>
+        ${rows}
+      </div>`)}
+
+    <div class="alert-controls">
+      <button class="btn-action" onclick="resetSettings()">RESET TO DEFAULTS</button>
+    </div>`;
+}
+
+/** Input handler: save if valid, otherwise show why next to the field. */
+function updateSetting(key, input) {
+  const error   = saveSetting(key, input.value);
+  const errorEl = document.querySelector(`[data-error-for="${key}"]`);
+  input.classList.toggle('invalid', !!error);
+  if (errorEl) errorEl.textContent = error ?? '';
+  if (error) return;
+
+  applySettings();
+  renderSettingsPanel(settingsNeedReload || !!SETTINGS_SCHEMA[key].reload);
+}
+
+function openSettingsPanel() {
+  document.getElementById('settings-panel')?.classList.remove('hidden');
+  renderSettingsPanel();
+}
+
+function closeSettingsPanel() {
+  document.getElementById('settings-panel')?.classList.add('hidden');
+}
+
+window.openSettingsPanel  = openSettingsPanel;
+window.closeSettingsPanel = closeSettingsPanel;
+window.updateSetting      = updateSetting;
+window.resetSettings      = resetSettings;
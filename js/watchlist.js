@@ -0,0 +1,258 @@
+// ============================================================
+// GAMBIT HD2 — Watchlist
+//
+// Planets a squad follows all week, whatever else is on the
+// front. The ☆ on a planet, gambit or scout card pins a planet;
+// pinned planets get the WATCHLIST panel at the top of the Gambit
+// tab with their current state, read from the full planet list so
+// a planet with no campaign is still tracked:
+//
+//   - liberation %, defense integrity and divers, each with the
+//     change since you last looked
+//   - a log of what happened in between: campaigns starting and
+//     ending, the planet changing hands
+//
+// "Last looked" is the moment you last left the page (or pressed
+// MARK SEEN), so the deltas cover what happened while you were
+// away. Only fresh API data is logged — replays and archives are
+// shown against the same baseline but change nothing.
+//
+// Pins and their baselines are saved in localStorage.
+//
+// Depends on globals from core.js (state, clockNow, factionCls,
+// factionLabel, libPct, defPct, fmt, fmtCountdown, timeAgo),
+// graph.js (isEnemyHeld), patch.js (patchChildren,
+// fmtValueDelta) and html.js (html).
+// ============================================================
+
+const WATCHLIST_KEY = 'gambit-hd2-watchlist';
+
+const WATCH_MAX_EVENTS   = 20;   // change log kept per planet
+const WATCH_SHOWN_EVENTS = 3;    // … and shown on its card
+
+// planet index → { name, pinnedAt, seen, last, events }
+//   seen   stats when you last looked — the deltas count from here
+//   last   stats at the latest refresh — the change log compares with it
+const watchlist = loadWatchlist();
+
+// ---- Persistence -------------------------------------------
+
+function loadWatchlist() {
+  try {
+    return JSON.parse(localStorage.getItem(WATCHLIST_KEY) ?? '{}') ?? {};
+  } catch {
+    return {};
+  }
+}
+
+function saveWatchlist() {
+  try {
+    localStorage.setItem(WATCHLIST_KEY, JSON.stringify(watchlist));
+  } catch (err) {
+    console.warn('[GAMBIT] Failed to save the watchlist:', err);
+  }
+}
+
+function isPinned(planetIndex) {
+  return Object.hasOwn(watchlist, planetIndex);
+}
+
+// ---- Tracking ----------------------------------------------
+
+/** What the watchlist follows about a planet right now. */
+function watchStats(planet) {
+  const index    = planet.index;
+  const campaign = state.defenseCampaigns.some(c => c.planet.index === index) ? 'defense'
+    : state.liberationCampaigns.some(c => c.planet.index === index) ? 'liberation'
+      : null;
+  return {
+    ts:       clockNow(),
+    owner:    planet.currentOwner ?? null,
+    campaign,
+    libPct:   isEnemyHeld(planet) ? libPct(planet) : null,
+    defPct:   planet.event ? defPct(planet.event) : null,
+    players:  planet.statistics?.playerCount ?? 0,
+  };
+}
+
+/** Log lines for what changed between two observations. */
+function watchEvents(prev, next) {
+  const events = [];
+  if (prev.owner !== next.owner) {
+    events.push(factionCls(next.owner) === 'human'
+      ? `Liberated from ${factionLabel(prev.owner)}`
+      : `Taken by ${factionLabel(next.owner)}`);
+  }
+  if (prev.campaign !== next.campaign) {
+    events.push(next.campaign
+      ? `${next.campaign === 'defense' ? 'Defense' : 'Liberation'} campaign started`
+      : `${prev.campaign === 'defense' ? 'Defense' : 'Liberation'} campaign ended`);
+  }
+  return events;
+}
+
+/**
+ * Compare every pinned planet with the previous refresh and log the
+ * changes. Called by app.js render() for fresh API data only.
+ */
+function recordWatchlist() {
+  if (!Object.keys(watchlist).length) return;
+
+  for (const planet of state.allPlanets) {
+    const entry = watchlist[planet.index];
+    if (!entry) continue;
+
+    const stats = watchStats(planet);
+    if (entry.last) {
+      for (const text of watchEvents(entry.last, stats)) entry.events.push({ ts: stats.ts, text });
+      entry.events = entry.events.slice(-WATCH_MAX_EVENTS);
+    }
+    entry.name = planet.name ?? entry.name;
+    entry.last = stats;
+    entry.seen ??= stats;
+  }
+  saveWatchlist();
+}
+
+/** Take the current state as seen: one planet, or every pin. */
+function markWatchlistSeen(planetIndex = null) {
+  // A replayed or archived moment is not what "seen" should mean
+  if (state.replayTs != null || state.archive) return;
+
+  for (const [index, entry] of Object.entries(watchlist)) {
+    if (planetIndex == null || Number(index) === planetIndex) entry.seen = entry.last ?? entry.seen;
+  }
+  saveWatchlist();
+  renderWatchlist();
+}
+
+// ---- Pins --------------------------------------------------
+
+/** The ☆/★ toggle shown on cards. */
+function pinButton(planetIndex) {
+  const pinned = isPinned(planetIndex);
+  return html`<button class="pin-btn${pinned ? ' pinned' : ''}" data-pin="${planetIndex}"
+                      title="${pinned ? 'Remove from watchlist' : 'Add to watchlist'}">${pinned ? '★' : '☆'}</button>`;
+}
+
+function togglePin(planetIndex) {
+  if (isPinned(planetIndex)) {
+    delete watchlist[planetIndex];
+  } else {
+    const planet = state.allPlanets.find(p => p.index === planetIndex);
+    const stats  = planet ? watchStats(planet) : null;
+    watchlist[planetIndex] = {
+      name:     planet?.name ?? null,
+      pinnedAt: clockNow(),
+      seen:     stats,
+      last:     stats,
+      events:   [],
+    };
+  }
+  saveWatchlist();
+
+  // Every card showing this planet, without a full re-render
+  const pinned = isPinned(planetIndex);
+  document.querySelectorAll(`.pin-btn[data-pin="${planetIndex}"]`).forEach(btn => {
+    btn.classList.toggle('pinned', pinned);
+    btn.textContent = pinned ? '★' : '☆';
+    btn.title       = pinned ? 'Remove from watchlist' : 'Add to watchlist';
+  });
+  renderWatchlist();
+}
+
+// ---- Rendering ---------------------------------------------
+
+/** One figure with its change since last seen, e.g. "42.1% +3.4". */
+function renderWatchStat(label, now, then, digits, unit = '') {
+  if (now == null) return null;
+  const delta = then != null ? fmtValueDelta(then.toFixed(digits), now.toFixed(digits)) : null;
+  return html`
+    <span class="watch-stat">
+      <span class="watch-stat-label">${label}</span>
+      <strong>${digits ? now.toFixed(digits) : fmt(now)}${unit}</strong>
+      ${delta && html`<span class="watch-delta ${delta.startsWith('+') ? 'up' : 'down'}">${delta}${unit}</span>`}
+    </span>`;
+}
+
+function renderWatchCard(index, entry) {
+  const planet = state.allPlanets.find(p => p.index === index);
+  const name   = planet?.name ?? entry.name ?? `PLANET #${index}`;
+  if (!planet) {
+    return html`
+      <div class="watch-card" data-planet-index="${index}">
+        <div class="watch-card-header">${pinButton(index)}<span class="watch-name">${name}</span></div>
+        <div class="watch-since">NOT IN THE CURRENT DATA</div>
+      </div>`;
+  }
+
+  const now   = watchStats(planet);
+  const seen  = entry.seen ?? now;
+  const event = planet.event;
+  const fCls  = factionCls(now.owner);
+  const mode  = now.campaign;
+
+  return html`
+    <div class="watch-card ${fCls}" data-planet-index="${index}">
+      <div class="watch-card-header">
+        ${pinButton(index)}
+        <span class="watch-name">${name}</span>
+        <span class="faction-badge ${fCls}">${factionLabel(now.owner)}</span>
+        <span class="mode-badge ${mode ?? 'idle'}">${mode === 'defense' ? 'DEFEND' : mode === 'liberation' ? 'LIBERATE' : 'NO CAMPAIGN'}</span>
+      </div>
+      <div class="watch-stats">
+        ${renderWatchStat('LIBERATED', now.libPct, seen.libPct, 1, '%')}
+        ${renderWatchStat('INTEGRITY', now.defPct, seen.defPct, 1, '%')}
+        ${renderWatchStat('DIVERS', now.players, seen.players, 0)}
+        ${event?.endTime && html`
+          <span class="watch-stat">
+            <span class="watch-stat-label">ENDS IN</span>
+            <strong class="timer-value" data-end="${event.endTime}">${fmtCountdown(event.endTime)}</strong>
+          </span>`}
+      </div>
+      ${seen.owner !== now.owner && html`<div class="watch-flip">WAS ${factionLabel(seen.owner)} WHEN YOU LAST LOOKED</div>`}
+      ${entry.events.length > 0 && html`
+        <ul class="watch-events">
+          ${entry.events.slice(-WATCH_SHOWN_EVENTS).reverse().map(e => html`
+            <li><span class="watch-event-time">${timeAgo(new Date(e.ts))}</span> ${e.text}</li>`)}
+        </ul>`}
+      <div class="watch-since">CHANGES SINCE ${timeAgo(new Date(seen.ts)).toUpperCase()}</div>
+    </div>`;
+}
+
+/** Render the WATCHLIST panel; hidden while nothing is pinned. */
+function renderWatchlist() {
+  const section   = document.getElementById('watchlist-section');
+  const container = document.getElementById('watchlist-container');
+  const countEl   = document.getElementById('watchlist-count');
+  if (!section || !container) return;
+
+  const pins = Object.entries(watchlist)
+    .map(([index, entry]) => [Number(index), entry])
+    .sort(([, a], [, b]) => a.pinnedAt - b.pinnedAt);
+
+  section.classList.toggle('hidden', !pins.length);
+  if (countEl) countEl.textContent = pins.length;
+  patchChildren(container, html`${pins.map(([index, entry]) => renderWatchCard(index, entry))}`);
+}
+
+window.markWatchlistSeen = markWatchlistSeen;
+
+// ☆/★ buttons carry the planet index as data, read back as a number
+document.addEventListener('click', evt => {
+  const index = Number(evt.target.closest('[data-pin]')?.getAttribute('data-pin'));
+  if (Number.isInteger(index)) togglePin(index);
+});
+
+// Pins changed in another tab
+window.addEventListener('storage', evt => {
+  if (evt.key !== WATCHLIST_KEY) return;
+  for (const key of Object.keys(watchlist)) delete watchlist[key];
+  Object.assign(watchlist, loadWatchlist());
+  renderWatchlist();
+});
+
+// Leaving the page counts as having looked
+document.addEventListener('visibilitychange', () => {
+  if (document.visibilityState === 'hidden') markWatchlistSeen();
+});
@@ -0,0 +1,320 @@
+// ============================================================
+// GAMBIT HD2 — What-If Simulator
+//
+// WHAT NEEDS TO CHANGE says what is wrong with a gambit; the
+// WHAT IF button on a gambit card lets players try the fix.
+// Three sliders replace the live figures:
+//
+//   divers         on-planet Helldivers — also moves the rate, by
+//                  what one more diver adds (diverContribution)
+//   rate           net liberation %/hr, for "what if the rate
+//                  were…" independently of the diver count
+//   defense time   hours until the earliest connected defense is
+//                  lost (gambits with a defense at risk only)
+//
+// Each change re-runs the card's own scoring — buildConditions(),
+// calcSuccessPct() (or simulateGambit() under the Monte Carlo
+// model) and toRiskLevel() — and shows the tier, ETA and
+// checklist it gives, with checks that flipped marked. It also
+// finds the smallest diver count that makes the gambit GAMBIT
+// RECOMMENDED with the other two sliders as set. That search scores
+// the gambit about a dozen times — a full simulation each under the
+// Monte Carlo model — so it runs when a slider is let go, not on
+// every step of a drag.
+//
+// Scenarios are kept per planet until the simulator is closed, so
+// a refresh re-scores them against the new data.
+//
+// Depends on globals from core.js (state, fmt), gambit.js
+// (buildConditions, calcSuccessPct, toRiskLevel, calcEta,
+// getRecommendation, diverContribution, diverRatePctHr, fmtRate,
+// fmtGambitEta, renderGambits), defense.js (defenseHoursLeft),
+// montecarlo.js (simulateGambit), patch.js (patchChildren) and
+// html.js (html).
+// ============================================================
+
+const WHATIF_TARGET_PCT   = 70;          // GAMBIT RECOMMENDED and up
+const WHATIF_MIN_DIVERS   = 10_000;      // divers slider reaches at least this far
+const WHATIF_DIVERS_STEP  = 100;
+const WHATIF_RATE_SPAN    = [-5, 10];    // %/hr the rate slider covers at least
+const WHATIF_RATE_STEP    = 0.05;
+const WHATIF_MIN_DEF_HRS  = 72;          // defense slider reaches at least this far
+const WHATIF_DEF_STEP     = 0.5;
+
+// planet index → { players, rateOffset, defHours }
+//   rateOffset  %/hr the rate slider adds on top of what the divers give
+const whatIfScenarios = new Map();
+
+// gambit → { key, surge } — the last surge search. The search sets
+// the diver count itself, so only the rate and defense sliders
+// change its result; a refresh brings new gambit objects.
+const whatIfSurges = new WeakMap();
+
+// ---- Scenario ----------------------------------------------
+
+/** Slider ranges and the per-diver rate for one gambit. */
+function whatIfBase(g) {
+  const planet   = g.libCampaign.planet;
+  const imp      = state.war?.impactMultiplier;
+  const perDiver = diverContribution(planet, g.netRateObj, imp)?.ratePerPlayer
+    ?? diverRatePctHr(planet.currentOwner, imp);
+  const minDefHr = g.connectedDefenses.length ? Math.min(...g.connectedDefenses.map(defenseHoursLeft)) : Infinity;
+
+  const maxDivers = Math.ceil(Math.max(
+    WHATIF_MIN_DIVERS, 2 * (g.playerReqs?.recommended ?? 0), 3 * g.players,
+  ) / 1_000) * 1_000;
+  const rate     = g.netRate ?? 0;
+  const [lo, hi] = WHATIF_RATE_SPAN;
+
+  return {
+    perDiver,
+    maxDivers,
+    rateMin:  Math.floor(Math.min(lo, rate - g.players * perDiver)),
+    rateMax:  Math.ceil(Math.max(hi, rate + (maxDivers - g.players) * perDiver)),
+    defHours: isFinite(minDefHr) ? Math.max(0, minDefHr) : null,
+    defMax:   isFinite(minDefHr) ? Math.max(WHATIF_MIN_DEF_HRS, Math.ceil(minDefHr)) : null,
+  };
+}
+
+function defaultScenario(base, g) {
+  return { players: g.players, rateOffset: 0, defHours: base.defHours };
+}
+
+/** Net %/hr under a scenario: the live rate, moved by the added divers and the rate slider. */
+function scenarioRate(g, base, scenario) {
+  return (g.netRate ?? 0) + (scenario.players - g.players) * base.perDiver + scenario.rateOffset;
+}
+
+/**
+ * Score a gambit as the card would, with the scenario's figures in
+ * place of the live ones.
+ *
+ * @returns {{ rateObj, eta, conditions, successPct, risk, rec }}
+ */
+function evaluateWhatIf(g, base, scenario) {
+  const planet  = g.libCampaign.planet;
+  const rate    = scenarioRate(g, base, scenario);
+  const shift   = rate - (g.netRate ?? 0);
+  const rateObj = { ...g.netRateObj, value: rate };
+  if (rateObj.low != null && rateObj.high != null) {
+    rateObj.low  += shift;
+    rateObj.high += shift;
+  }
+
+  const eta      = calcEta(g.libPct, rateObj);
+  const minDefHr = scenario.defHours ?? Infinity;
+  const conditions = buildConditions(g.libCampaign, rateObj, eta.value, g.connectedDefenses, g.playerReqs,
+    { players: scenario.players, minDefHr });
+
+  let successPct = calcSuccessPct(g.libPct, rate, eta.value, g.connectedDefenses, conditions, minDefHr);
+  if (g.scoringModel === 'montecarlo') {
+    const simulation = simulateGambit(planet, rateObj, minDefHr);
+    if (simulation) successPct = Math.round(simulation.probability * 100);
+  }
+
+  return {
+    rateObj,
+    eta,
+    conditions,
+    successPct,
+    risk: toRiskLevel(successPct),
+    rec:  getRecommendation(successPct, planet.name ?? `Planet #${planet.index}`),
+  };
+}
+
+/**
+ * Fewest on-planet divers that score WHATIF_TARGET_PCT, keeping the
+ * scenario's rate offset and defense time; null when the slider's
+ * range is not enough. More divers never lower the score, so a
+ * binary search over the slider steps finds it.
+ */
+function whatIfSurge(g, base, scenario) {
+  const scoreAt = step => evaluateWhatIf(g, base, { ...scenario, players: step * WHATIF_DIVERS_STEP }).successPct;
+
+  let lo = 0;
+  let hi = base.maxDivers / WHATIF_DIVERS_STEP;
+  if (scoreAt(hi) < WHATIF_TARGET_PCT) return null;
+  while (lo < hi) {
+    const mid = Math.floor((lo + hi) / 2);
+    if (scoreAt(mid) >= WHATIF_TARGET_PCT) hi = mid;
+    else lo = mid + 1;
+  }
+  return lo * WHATIF_DIVERS_STEP;
+}
+
+/**
+ * whatIfSurge() for the scenario, from the last search when the rate
+ * and defense sliders haven't moved since. Otherwise searches, or,
+ * with `search` false, returns undefined.
+ */
+function cachedWhatIfSurge(g, base, scenario, search) {
+  const key    = `${scenario.rateOffset}|${scenario.defHours}`;
+  const cached = whatIfSurges.get(g);
+  if (cached?.key === key) return cached.surge;
+  if (!search) return undefined;
+
+  const surge = whatIfSurge(g, base, scenario);
+  whatIfSurges.set(g, { key, surge });
+  return surge;
+}
+
+// ---- Rendering ---------------------------------------------
+
+function renderWhatIfSlider(key, label, value, display, min, max, step) {
+  return html`
+    <label class="whatif-slider">
+      <span class="whatif-slider-label">${label}</span>
+      <input type="range" data-whatif-key="${key}" min="${min}" max="${max}" step="${step}" value="${value}">
+      <span class="whatif-value">${display}</span>
+    </label>`;
+}
+
+/**
+ * @param {Object}  g
+ * @param {Object}  [opts]
+ * @param {boolean} [opts.dragging=false] - a slider is being dragged:
+ *   re-score only, leaving a stale surge search for when it is let go
+ */
+function renderWhatIfContent(g, { dragging = false } = {}) {
+  const index    = g.libCampaign.planet.index;
+  const base     = whatIfBase(g);
+  const scenario = whatIfScenarios.get(index);
+  const out      = evaluateWhatIf(g, base, scenario);
+  const rate     = out.rateObj.value;
+  const surge    = cachedWhatIfSurge(g, base, scenario, !dragging);
+  const target   = getRecommendation(WHATIF_TARGET_PCT, '').headline;
+  const pctUnit  = g.scoringModel === 'montecarlo' ? '%' : '';
+  const eta      = fmtGambitEta({ timeToComplete: out.eta.value, eta: out.eta, netRate: rate });
+
+  return html`
+    <div class="gambit-section-label">WHAT IF</div>
+    <div class="whatif-sliders">
+      ${renderWhatIfSlider('players', 'DIVERS', scenario.players, fmt(scenario.players),
+        0, base.maxDivers, WHATIF_DIVERS_STEP)}
+      ${renderWhatIfSlider('rate', 'RATE', rate.toFixed(2), `${rate >= 0 ? '+' : ''}${rate.toFixed(2)}%/hr`,
+        base.rateMin, base.rateMax, WHATIF_RATE_STEP)}
+      ${scenario.defHours != null && renderWhatIfSlider('defHours', 'DEFENSE LEFT', scenario.defHours,
+        `${scenario.defHours.toFixed(1)}h`, 0, base.defMax, WHATIF_DEF_STEP)}
+    </div>
+
+    <div class="whatif-outcome">
+      <span class="score-number ${out.risk.cls}">${out.successPct}${pctUnit}</span>
+      <div>
+        <span class="risk-badge ${out.risk.cls}">${out.risk.label}</span>
+        ${out.risk.label !== g.risk.label && html`<span class="whatif-was">was ${g.risk.label} (${g.successPct}${pctUnit})</span>`}
+        <div class="whatif-headline ${out.rec.cls}">${out.rec.icon} ${out.rec.headline}</div>
+      </div>
+    </div>
+    <div class="gambit-target-stats">
+      <span class="tstat ${rate > 0 ? 'positive' : 'negative'}">${fmtRate(out.rateObj)}</span>
+      <span class="tstat">${eta} to completion</span>
+    </div>
+
+    <div class="whatif-surge">
+      ${surge === undefined
+        ? html`<span class="whatif-pending">Finding the divers needed for <strong>${target}</strong> when you let go…</span>`
+        : surge == null
+        ? html`No diver count up to ${fmt(base.maxDivers)} reaches <strong>${target}</strong> with this rate
+            ${scenario.defHours != null ? 'and defense time' : ''}.`
+        : html`<strong>${target}</strong> from <strong>${fmt(surge)}</strong> divers on-planet${
+            surge > g.players ? ` — a surge of ${fmt(surge - g.players)}` : ' — already there'}.`}
+    </div>
+
+    ${out.conditions.map((c, i) => html`
+      <div class="condition ${c.pass ? 'pass' : 'fail'}${c.pass !== g.conditions[i]?.pass ? ' whatif-flipped' : ''}">
+        <span class="cond-icon">${c.pass ? '✓' : '✗'}</span>
+        <span class="cond-text">
+          ${c.label}
+          <em class="cond-detail">${c.detail}</em>
+        </span>
+      </div>`)}
+
+    <div class="gambit-card-actions">
+      <button class="btn-action" data-whatif-reset="${index}" title="Back to the live figures">RESET</button>
+    </div>`;
+}
+
+function whatIfOpen(index) {
+  return whatIfScenarios.has(index);
+}
+
+/** The simulator section of a gambit card, when open. */
+function renderWhatIf(g) {
+  const index = g.libCampaign.planet.index;
+  if (!whatIfOpen(index)) return null;
+  return html`<div class="gambit-whatif" data-whatif="${index}">${renderWhatIfContent(g)}</div>`;
+}
+
+/**
+ * Move each slider to its scenario value — a patch only changes the
+ * value attribute, which a slider that has been dragged ignores.
+ */
+function syncWhatIfSliders(root = document) {
+  root.querySelectorAll('.gambit-whatif input[data-whatif-key]').forEach(input => {
+    input.value = input.getAttribute('value');
+  });
+}
+
+// ---- Controls ----------------------------------------------
+
+function whatIfGambit(index) {
+  return (state.gambits ?? []).find(g => g.libCampaign.planet.index === index) ?? null;
+}
+
+/** Re-render one card's simulator in place, keeping the slider being dragged. */
+function updateWhatIf(index, { dragging = false } = {}) {
+  const g       = whatIfGambit(index);
+  const section = document.querySelector(`.gambit-whatif[data-whatif="${index}"]`);
+  if (!g || !section) return;
+  patchChildren(section, renderWhatIfContent(g, { dragging }));
+  syncWhatIfSliders(section);
+}
+
+function setWhatIf(index, key, value, { dragging = false } = {}) {
+  const g        = whatIfGambit(index);
+  const scenario = whatIfScenarios.get(index);
+  if (!g || !scenario || !isFinite(value)) return;
+
+  if (key === 'rate') {
+    const base = whatIfBase(g);
+    scenario.rateOffset = value - scenarioRate(g, base, { ...scenario, rateOffset: 0 });
+  } else {
+    scenario[key] = value;
+  }
+  updateWhatIf(index, { dragging });
+}
+
+function resetWhatIf(index) {
+  const g = whatIfGambit(index);
+  if (!g) return;
+  whatIfScenarios.set(index, defaultScenario(whatIfBase(g), g));
+  updateWhatIf(index);
+}
+
+/** Open or close the simulator on a gambit card. */
+function toggleWhatIf(index) {
+  const g = whatIfGambit(index);
+  if (whatIfScenarios.has(index) || !g) whatIfScenarios.delete(index);
+  else whatIfScenarios.set(index, defaultScenario(whatIfBase(g), g));
+  renderGambits(state.gambits);
+}
+
+// The card's WHAT IF and RESET buttons and the sliders carry the
+// planet index as data, read back as a number — never as code.
+document.addEventListener('click', evt => {
+  const toggle = evt.target.closest('[data-whatif-toggle]');
+  if (toggle) toggleWhatIf(Number(toggle.getAttribute('data-whatif-toggle')));
+  const reset = evt.target.closest('[data-whatif-reset]');
+  if (reset) resetWhatIf(Number(reset.getAttribute('data-whatif-reset')));
+});
+
+// `input` fires on every step of a drag, `change` once it is let go
+for (const type of ['input', 'change']) {
+  document.addEventListener(type, evt => {
+    const input   = evt.target.closest('input[data-whatif-key]');
+    const section = input?.closest('[data-whatif]');
+    if (!section) return;
+    setWhatIf(Number(section.getAttribute('data-whatif')), input.getAttribute('data-whatif-key'), input.valueAsNumber,
+      { dragging: type === 'input' });
+  });
+}
@@ -0,0 +1,121 @@
+#!/usr/bin/env node
+// ============================================================
+// GAMBIT HD2 — Backtest Runner
+//
+// Scores the gambit model against a recording of resolved
+// campaigns (see js/backtest.js for the format):
+//
+//   node tools/backtest.js fixtures/backtest-demo/recording.json
+//
+// Options:
+//   --step <minutes>      time between evaluated frames (default 60)
+//   --model <name>        heuristic | montecarlo (default heuristic)
+//   --json                print the full result as JSON
+//
+// No dependencies — plain Node.
+// ============================================================
+
+'use strict';
+
+const fs = require('fs');
+
+const { loadGambit } = require('./headless');
+const { textTable: table, pct, date } = require('./format');
+
+// ---- Options -----------------------------------------------
+
+function parseArgs(argv) {
+  const opts = { file: null, stepMin: null, model: 'heuristic', json: false };
+  for (let i = 0; i < argv.length; i++) {
+    const value = argv[i + 1];
+    switch (argv[i]) {
+      case '--step':  opts.stepMin = Number(value); i++; break;
+      case '--model': opts.model   = value;         i++; break;
+      case '--json':  opts.json    = true;          break;
+      default:
+        if (argv[i].startsWith('--') || opts.file) {
+          console.error(`Unknown option: ${argv[i]}`);
+          process.exit(1);
+        }
+        opts.file = argv[i];
+    }
+  }
+  if (!opts.file) {
+    console.error('Usage: node tools/backtest.js <recording.json> [--step <minutes>] [--model heuristic|montecarlo] [--json]');
+    process.exit(1);
+  }
+  if (opts.stepMin != null && !(opts.stepMin > 0)) {
+    console.error('--step must be a positive number of minutes');
+    process.exit(1);
+  }
+  return opts;
+}
+
+// ---- Report ------------------------------------------------
+
+const brier = v => (v == null ? '—' : v.toFixed(3));
+
+function report(result) {
+  const m = result.metrics;
+  const out = [
+    `${result.name ?? 'Recording'}: ${date(result.from)} → ${date(result.to)}`,
+    `${result.frames} frames, ${result.evaluated} evaluated, `
+      + `${m.resolved} of ${result.predictions.length} predictions resolved, ${pct(m.baseRate)} succeeded`,
+    '',
+  ];
+
+  if (!m.resolved) {
+    out.push('No resolved predictions — none of the predicted campaigns ended within the recording.');
+    return out.join('\n');
+  }
+
+  out.push('Brier score (lower is better)', table(
+    ['Headline score', 'Point score', 'Monte Carlo', 'Base rate'],
+    [[brier(m.brier.score), brier(m.brier.pointScore), brier(m.brier.monteCarlo), brier(m.brier.baseline)]],
+  ), '');
+
+  out.push('Hit rate by tier', table(
+    ['Tier', 'Predictions', 'Succeeded', 'Hit rate', 'Avg. score'],
+    m.tiers.map(t => [t.tier, t.n, t.hits, pct(t.rate), pct(t.predicted)]),
+  ), '');
+
+  out.push('Calibration', table(
+    ['Score', 'Predictions', 'Avg. score', 'Succeeded'],
+    m.calibration.filter(b => b.n).map(b => [`${b.from * 100}–${b.to * 100}`, b.n, pct(b.predicted), pct(b.observed)]),
+  ), '');
+
+  out.push('Campaign resolutions', table(
+    ['Planet', 'Campaign', 'Result', 'At'],
+    result.campaigns.map(c => [c.planet, c.kind, c.result, date(c.at)]),
+  ));
+
+  return out.join('\n');
+}
+
+// ---- Main --------------------------------------------------
+
+function main() {
+  const opts = parseArgs(process.argv.slice(2));
+
+  let recording;
+  try {
+    recording = JSON.parse(fs.readFileSync(opts.file, 'utf8'));
+  } catch (err) {
+    console.error(`Cannot read recording ${opts.file}: ${err.message}`);
+    process.exit(1);
+  }
+
+  let gambit;
+  try {
+    gambit = loadGambit({ settings: { scoringModel: opts.model } });
+  } catch (err) {
+    console.error(err.message);
+    process.exit(1);
+  }
+
+  const stepMs = opts.stepMin != null ? opts.stepMin * 60_000 : gambit.BACKTEST_STEP_MS;
+  const result = gambit.runBacktest(recording, { stepMs });
+  console.log(opts.json ? JSON.stringify(result, null, 2) : report(result));
+}
+
+main();
@@ -0,0 +1,29 @@
+// ============================================================
+// GAMBIT HD2 — Text Output Helpers
+//
+// Plain-text and Markdown tables for the command-line tools.
+//
+// No dependencies — plain Node.
+// ============================================================
+
+'use strict';
+
+/** Left-aligned text table. */
+function textTable(header, rows) {
+  const widths = header.map((h, i) => Math.max(h.length, ...rows.map(r => String(r[i]).length)));
+  const line   = cells => cells.map((c, i) => String(c).padEnd(widths[i])).join('  ').trimEnd();
+  return [line(header), line(widths.map(w => '-'.repeat(w))), ...rows.map(line)].join('\n');
+}
+
+/** GitHub-flavoured Markdown table. */
+function markdownTable(header, rows) {
+  const cell = v => String(v).replace(/\|/g, '\\|');
+  const line = cells => `| ${cells.map(cell).join(' | ')} |`;
+  return [line(header), line(header.map(() => '---')), ...rows.map(line)].join('\n');
+}
+
+const pct   = v => (v == null ? '—' : `${(v * 100).toFixed(0)}%`);
+const hours = v => (v == null || !isFinite(v) ? '—' : `${v.toFixed(1)}h`);
+const date  = ts => (ts == null ? '—' : new Date(ts).toISOString().replace('T', ' ').slice(0, 16));
+
+module.exports = { textTable, markdownTable, pct, hours, date };
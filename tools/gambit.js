@@ -0,0 +1,289 @@
+#!/usr/bin/env node
+// ============================================================
+// GAMBIT HD2 — Command Line
+//
+// The gambit and scout analysis without a browser, for bots and
+// cron jobs:
+//
+//   node tools/gambit.js analyze [source] [options]   gambit opportunities
+//   node tools/gambit.js scout   [source] [options]   untapped attack vectors
+//   node tools/gambit.js watch   [source] [options]   analyze on every refresh
+//
+// Source (default: the live community API):
+//   --api <url>          API-compatible server
+//   --fixtures <dir>     fixture name under fixtures/, or a directory
+//   --file <json>        a saved { war, campaigns, assignments, planets }
+//                        response set, an archive bundle exported from the
+//                        page, or a backtest recording — its last frame is
+//                        analysed with the earlier ones as history
+//
+// Options:
+//   --format <f>         table | json | markdown (default table)
+//   --model <name>       heuristic | montecarlo (default: settings default)
+//   --all                every gambit, not just the ones the page shows
+//   --interval <s>       watch: seconds between refreshes (default 60)
+//   --count <n>          watch: stop after n refreshes
+//
+// JSON is one object per run (one line per refresh for watch), made
+// of gambitSummary() / scoutSummary() records. Exits with 1 on bad
+// usage or when no data could be loaded.
+//
+// No dependencies — plain Node 18+.
+// ============================================================
+
+'use strict';
+
+const fs   = require('fs');
+const path = require('path');
+
+const { loadGambit } = require('./headless');
+const { textTable, markdownTable, hours, date } = require('./format');
+
+const COMMANDS = ['analyze', 'scout', 'watch'];
+const FORMATS  = ['table', 'json', 'markdown'];
+
+const USAGE = `Usage: node tools/gambit.js <${COMMANDS.join('|')}> [--api <url> | --fixtures <dir> | --file <json>]
+       [--format ${FORMATS.join('|')}] [--model heuristic|montecarlo] [--all] [--interval <s>] [--count <n>]`;
+
+// ---- Options -----------------------------------------------
+
+function fail(message) {
+  console.error(message);
+  process.exit(1);
+}
+
+function parseArgs(argv) {
+  const opts = {
+    command: argv[0], api: null, fixtures: null, file: null,
+    format: 'table', model: null, all: false, interval: 60, count: null,
+  };
+  if (!COMMANDS.includes(opts.command)) fail(USAGE);
+
+  for (let i = 1; i < argv.length; i++) {
+    const value = argv[i + 1];
+    switch (argv[i]) {
+      case '--api':      opts.api      = value;         i++; break;
+      case '--fixtures': opts.fixtures = value;         i++; break;
+      case '--file':     opts.file     = value;         i++; break;
+      case '--format':   opts.format   = value;         i++; break;
+      case '--model':    opts.model    = value;         i++; break;
+      case '--all':      opts.all      = true;          break;
+      case '--interval': opts.interval = Number(value); i++; break;
+      case '--count':    opts.count    = Number(value); i++; break;
+      default:
+        fail(`Unknown option: ${argv[i]}\n${USAGE}`);
+    }
+  }
+
+  if ([opts.api, opts.fixtures, opts.file].filter(Boolean).length > 1) fail('Pick one of --api, --fixtures and --file');
+  if (!FORMATS.includes(opts.format)) fail(`--format must be one of ${FORMATS.join(', ')}`);
+  if (!(opts.interval > 0)) fail('--interval must be a positive number of seconds');
+  if (opts.count != null && !(Number.isInteger(opts.count) && opts.count > 0)) fail('--count must be a positive whole number');
+  if (opts.command === 'watch' && opts.file) fail('watch needs a source that changes — use the API or --fixtures');
+  return opts;
+}
+
+/** Page query string selecting the data source in api.js. */
+function sourceQuery(opts) {
+  if (opts.api) return `?api=${encodeURIComponent(opts.api)}`;
+  if (opts.fixtures) {
+    // A directory is resolved against the working directory, a bare name against fixtures/
+    const dir = opts.fixtures.includes('/') ? path.resolve(opts.fixtures) : opts.fixtures;
+    return `?fixtures=${encodeURIComponent(dir)}`;
+  }
+  return '?source=live';
+}
+
+// ---- Analysis ----------------------------------------------
+
+/**
+ * A saved file as { data, history, ts }: the newest frame, analysis
+ * history from every frame, and the time the data was observed.
+ */
+function readFile(gambit, file) {
+  let raw;
+  try {
+    raw = JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (err) {
+    fail(`Cannot read ${file}: ${err.message}`);
+  }
+
+  if (raw?.format === gambit.ARCHIVE_FORMAT) {
+    try {
+      const archive = gambit.parseArchive(raw, path.basename(file));
+      return { data: archive.data, history: archive.snapshots, ts: archive.clock };
+    } catch (err) {
+      fail(`Cannot read ${file}: ${err.message}`);
+    }
+  }
+
+  const isRecording = Array.isArray(raw) || Array.isArray(raw.frames);
+  const frames = gambit.normalizeRecording(isRecording
+    ? raw
+    : [{ ts: Date.parse(raw.war?.now ?? '') || Date.now(), ...raw }]);
+  if (!frames.length) fail(`${file} has no usable frames`);
+
+  const last = frames[frames.length - 1];
+  return {
+    data:    { war: last.war, campaigns: last.campaigns, assignments: last.assignments, planets: last.planets },
+    history: frames.map(f => gambit.snapshotEntry(f.ts, f.planets, f.war, f.assignments, f.campaigns)),
+    ts:      last.ts,
+  };
+}
+
+/** Run both analyses on `data`, optionally against a given history. */
+function analyse(gambit, data, history = null) {
+  const run = () => {
+    gambit.refreshCalibration(gambit.state.allPlanets);
+    const { liberationCampaigns, defenseCampaigns, war, graph } = gambit.state;
+    return {
+      gambits: gambit.detectGambits(liberationCampaigns, defenseCampaigns, war, graph),
+      scout:   gambit.detectScoutTargets(defenseCampaigns, liberationCampaigns, graph),
+    };
+  };
+  gambit.ingest(data);
+  return history ? gambit.withHistoryView(history, run) : run();
+}
+
+/** Fetch from the configured source, warning about sections served stale. */
+async function fetchData(gambit) {
+  const data = await gambit.fetchAll();
+  for (const [name, { error }] of Object.entries(data.stale)) {
+    console.error(`[GAMBIT] ${name} unavailable (${error?.message ?? error}) — using cached data`);
+  }
+  if (!data.planets || !data.campaigns) throw new Error('Planet or campaign data unavailable');
+  return data;
+}
+
+// ---- Output ------------------------------------------------
+
+const num  = n => (n == null ? '—' : Math.round(n).toLocaleString('en-US'));
+const rate = (v, estimated) => (v == null ? '—' : `${v >= 0 ? '+' : ''}${v.toFixed(2)}%/hr${estimated ? '*' : ''}`);
+
+function gambitRows(gambit, summaries) {
+  return summaries.map(s => [
+    s.majorOrder.length ? '★' : '',
+    s.planet,
+    s.faction,
+    `${s.libPct.toFixed(1)}%`,
+    rate(s.netRatePctHr, s.rateEstimated),
+    s.etaHours == null ? '—' : gambit.fmtRange(s.etaHours, s.etaBand?.[0], s.etaBand?.[1] ?? Infinity, 1, 'h'),
+    s.defenses.map(d => `${d.planet} ${hours(d.hoursLeft)}`).join(', ') || '—',
+    num(s.players),
+    s.playersNeeded ? `${num(s.playersNeeded.min)}–${num(s.playersNeeded.recommended)}` : '—',
+    `${s.successPct}%`,
+    s.tier,
+  ]);
+}
+
+const GAMBIT_HEADER = ['MO', 'PLANET', 'FACTION', 'LIB', 'NET RATE', 'ETA', 'DEFENSE', 'DIVERS', 'NEEDED', 'SUCCESS', 'TIER'];
+const SCOUT_HEADER  = ['DEFENSE', 'TIME LEFT', 'INTEGRITY', 'TARGET', 'HOPS', 'REGEN', 'CUTS OFF'];
+
+function scoutRows(summaries) {
+  return summaries.flatMap(s => s.targets.map((t, i) => [
+    i ? '' : s.defense,
+    i ? '' : hours(s.hoursLeft),
+    i ? '' : `${s.integrityPct.toFixed(1)}%`,
+    `${t.majorOrder.length ? '★ ' : ''}${t.planet}`,
+    t.hops,
+    t.regenPctHr == null ? '?' : `${t.regenPctHr.toFixed(2)}%/hr`,
+    t.cutsOff ?? '—',
+  ]));
+}
+
+/** Major Order lines listed under a table. */
+function orderNotes(items) {
+  return items.flatMap(({ name, majorOrder }) => majorOrder.map(text => `★ ${name}: ${text}`));
+}
+
+/**
+ * Format one analysis run.
+ *
+ * @param {'gambits' | 'scout'} kind
+ */
+function formatRun(gambit, kind, result, { format, all, source, ts }) {
+  const gambits = kind === 'gambits'
+    ? (all ? result.gambits : gambit.visibleGambits(result.gambits)).map(gambit.gambitSummary)
+    : null;
+  const scout = kind === 'scout' ? result.scout.map(gambit.scoutSummary) : null;
+
+  if (format === 'json') {
+    return JSON.stringify({ source, at: new Date(ts).toISOString(), ...(gambits ? { gambits } : { scout }) });
+  }
+
+  const title  = `${kind === 'gambits' ? 'GAMBIT ANALYSIS' : 'STRATEGIC SCOUT'} — ${source} — ${date(ts)} UTC`;
+  const header = gambits ? GAMBIT_HEADER : SCOUT_HEADER;
+  const rows   = gambits ? gambitRows(gambit, gambits) : scoutRows(scout);
+  const notes  = gambits
+    ? orderNotes(gambits.map(s => ({ name: s.planet, majorOrder: s.majorOrder })))
+    : orderNotes(scout.flatMap(s => s.targets.map(t => ({ name: t.planet, majorOrder: t.majorOrder }))));
+  const empty  = gambits ? 'No active liberation campaigns to analyse.' : 'No untapped attack vectors.';
+
+  if (format === 'markdown') {
+    return [
+      `### ${title}`,
+      '',
+      rows.length ? markdownTable(header, rows) : `_${empty}_`,
+      ...(notes.length ? ['', ...notes.map(n => `- ${n}`)] : []),
+    ].join('\n');
+  }
+  return [title, '', rows.length ? textTable(header, rows) : empty, ...(notes.length ? ['', ...notes] : [])].join('\n');
+}
+
+// ---- Main --------------------------------------------------
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+async function main() {
+  const opts = parseArgs(process.argv.slice(2));
+
+  // Piped into head, a closed pipe just ends the run
+  process.stdout.on('error', err => {
+    if (err.code === 'EPIPE') process.exit(0);
+    throw err;
+  });
+
+  let gambit;
+  try {
+    gambit = loadGambit({ search: sourceQuery(opts), settings: opts.model ? { scoringModel: opts.model } : {} });
+  } catch (err) {
+    fail(err.message);
+  }
+
+  const kind   = opts.command === 'scout' ? 'scout' : 'gambits';
+  const source = opts.file ? path.basename(opts.file) : gambit.dataSource.label;
+  const print  = (result, ts) => console.log(formatRun(gambit, kind, result, { ...opts, source, ts }));
+
+  if (opts.file) {
+    const { data, history, ts } = readFile(gambit, opts.file);
+    gambit.state.replayTs = ts;   // countdowns as of the recording
+    print(analyse(gambit, data, history), ts);
+    return;
+  }
+
+  if (opts.command !== 'watch') {
+    try {
+      print(analyse(gambit, await fetchData(gambit)), Date.now());
+    } catch (err) {
+      fail(`[GAMBIT] ${err.message}`);
+    }
+    return;
+  }
+
+  // Watch: every refresh is recorded, so measured rates build up as it runs
+  for (let n = 1; ; n++) {
+    try {
+      const data = await fetchData(gambit);
+      gambit.ingest(data);
+      gambit.recordSnapshot(data.planets, data.war, data.stale.assignments ? null : data.assignments, data.campaigns);
+      print(analyse(gambit, data), Date.now());
+    } catch (err) {
+      console.error(`[GAMBIT] Refresh failed: ${err.message}`);
+    }
+    if (opts.count && n >= opts.count) break;
+    if (opts.format !== 'json') console.log('');
+    await sleep(opts.interval * 1000);
+  }
+}
+
+main();
@@ -0,0 +1,147 @@
+// ============================================================
+// GAMBIT HD2 — Headless Loader
+//
+// Loads the app's analysis scripts (js/*.js) into a Node vm
+// context, so command-line tools and scripts run the exact same
+// model as the browser:
+//
+//   const { loadGambit } = require('./tools/headless');
+//   const gambit = loadGambit({ settings: { scoringModel: 'montecarlo' } });
+//   const data   = await gambit.fetchAll();
+//   gambit.ingest(data);
+//   gambit.detectGambits(gambit.state.liberationCampaigns, …).map(gambit.gambitSummary);
+//
+// The scripts are classic browser scripts sharing one global
+// scope. The analysis builds on core.js (state, ingest and the
+// planet helpers), not on app.js, so the dashboard itself —
+// app.js and the rendering-only modules (map, detail, alerts,
+// replay, router, …) — is not loaded. Just enough of the browser
+// is provided for the rest to load: a DOM that finds nothing,
+// in-memory localStorage, and a fetch that reads relative URLs
+// (fixtures/…) from the repository.
+//
+// Each script lists the globals tools may use. loadGambit() puts
+// them on the object it returns, under the names the page uses,
+// and throws if a script no longer defines one — a rename fails
+// on load instead of deep inside a tool.
+//
+// No dependencies — plain Node 18+.
+// ============================================================
+
+'use strict';
+
+const fs   = require('fs');
+const path = require('path');
+const vm   = require('vm');
+
+const ROOT = path.resolve(__dirname, '..');
+
+// Load order matters — same as index.html. Each script maps to
+// the globals it exports to tools.
+const ANALYSIS_SCRIPTS = {
+  html:        [],
+  settings:    ['settings', 'saveSetting'],
+  api:         ['dataSource', 'fetchAll', 'POLL_INTERVAL_MS', 'rebaseTimes'],
+  history:     ['snapshots', 'snapshotEntry', 'withHistoryView', 'setHistoryCutoff', 'recordSnapshot'],
+  graph:       [],
+  core:        ['state', 'ingest', 'clockNow'],
+  gambit:      ['detectGambits', 'visibleGambits', 'gambitSummary', 'fmtRange'],
+  calibration: ['refreshCalibration'],
+  montecarlo:  [],
+  defense:     [],
+  orders:      [],
+  scout:       ['detectScoutTargets', 'scoutSummary'],
+  backtest:    ['runBacktest', 'normalizeRecording', 'BACKTEST_STEP_MS', 'BACKTEST_TIERS'],
+  archive:     ['parseArchive', 'ARCHIVE_FORMAT'],
+};
+
+// ---- Browser Shims -----------------------------------------
+
+/** A document in which nothing is ever found. */
+function stubDocument() {
+  return {
+    getElementById:   () => null,
+    querySelector:    () => null,
+    querySelectorAll: () => [],
+    addEventListener: () => {},
+    hidden:           false,
+    visibilityState:  'visible',
+  };
+}
+
+function memoryStorage() {
+  const items = new Map();
+  return {
+    getItem:    key => items.get(key) ?? null,
+    setItem:    (key, value) => { items.set(key, String(value)); },
+    removeItem: key => { items.delete(key); },
+  };
+}
+
+/**
+ * fetch() that serves relative URLs from the repository, like a local
+ * web server would, and absolute paths from the file system.
+ */
+function repoFetch(url, opts) {
+  if (/^https?:/.test(url)) return fetch(url, opts);
+
+  const file = path.resolve(ROOT, String(url).split('?')[0]);
+  return fs.promises.readFile(file, 'utf8').then(
+    body => new Response(body, { status: 200, headers: { 'Content-Type': 'application/json' } }),
+    ()   => new Response('Not found', { status: 404 }),
+  );
+}
+
+// ---- Loader ------------------------------------------------
+
+/**
+ * Load the analysis scripts into a fresh context.
+ *
+ * @param {Object} [opts]
+ * @param {string} [opts.search]   - page query string, e.g. '?fixtures=demo' (api.js data source)
+ * @param {Object} [opts.settings] - settings.js values to apply, validated like the settings panel
+ * @returns {Object} the context's global object, with the exports of ANALYSIS_SCRIPTS
+ */
+function loadGambit({ search = '', settings = {} } = {}) {
+  const context = {
+    console,
+    document:        stubDocument(),
+    localStorage:    memoryStorage(),
+    location:        { search, hash: '', href: `http://localhost/${search}` },
+    navigator:       {},
+    fetch:           repoFetch,
+    Response, URL, URLSearchParams, AbortController, structuredClone,
+    setTimeout, clearTimeout, setInterval, clearInterval,
+    addEventListener: () => {},
+  };
+  context.window = context;
+  vm.createContext(context);
+
+  for (const [name, exports] of Object.entries(ANALYSIS_SCRIPTS)) {
+    const file = path.join(ROOT, 'js', `${name}.js`);
+    vm.runInContext(fs.readFileSync(file, 'utf8'), context, { filename: file });
+
+    // Script-scope bindings (const/let/class) aren't properties of the
+    // global object; expose them through getters, so a reassigned `let`
+    // reads its current value.
+    for (const global of exports) {
+      const read = vm.runInContext(`() => ${global}`, context);
+      try {
+        read();
+      } catch {
+        throw new Error(`js/${name}.js no longer defines ${global} (tools/headless.js ANALYSIS_SCRIPTS)`);
+      }
+      if (!Object.hasOwn(context, global)) {
+        Object.defineProperty(context, global, { get: read, enumerable: true });
+      }
+    }
+  }
+
+  for (const [key, value] of Object.entries(settings)) {
+    const error = context.saveSetting(key, value);
+    if (error) throw new Error(`Invalid setting ${key}=${value}: ${error}`);
+  }
+  return context;
+}
+
+module.exports = { loadGambit, ROOT };
@@ -0,0 +1,174 @@
+#!/usr/bin/env node
+// ============================================================
+// GAMBIT HD2 — Local Mock API Server
+//
+// Serves a fixture directory as an API-compatible server, plus
+// the app itself, for offline development and demos:
+//
+//   node tools/mock-server.js [options]
+//   open http://localhost:4000/?api=http://localhost:4000
+//
+// Options:
+//   --port <n>          listen port (default 4000)
+//   --fixtures <dir>    fixture directory (default fixtures/demo)
+//   --latency <ms>      delay every API response
+//   --fail <a,b>        answer 503 for these endpoints (war, campaigns, …)
+//   --rate-limit <n>    allow n API requests per minute, then 429
+//
+// Timestamps are rebased by the browser's own fixture code (api.js
+// rebaseTimes, loaded through tools/headless.js): the data looks as
+// if it was recorded when the server started.
+// ETag / If-None-Match and CORS are supported so the client's
+// caching and retry paths can be exercised.
+//
+// No dependencies — plain Node.
+// ============================================================
+
+'use strict';
+
+const http   = require('http');
+const fs     = require('fs');
+const path   = require('path');
+const crypto = require('crypto');
+
+const { loadGambit, ROOT } = require('./headless');
+
+const { rebaseTimes } = loadGambit();
+
+const MIME = {
+  '.html': 'text/html; charset=utf-8',
+  '.js':   'text/javascript; charset=utf-8',
+  '.css':  'text/css; charset=utf-8',
+  '.json': 'application/json; charset=utf-8',
+  '.svg':  'image/svg+xml',
+  '.png':  'image/png',
+  '.ico':  'image/x-icon',
+};
+
+const CORS_HEADERS = {
+  'Access-Control-Allow-Origin':   '*',
+  'Access-Control-Allow-Headers':  'Accept, If-None-Match, X-Super-Client, X-Super-Contact',
+  'Access-Control-Expose-Headers': 'ETag, Retry-After',
+};
+
+// ---- Options -----------------------------------------------
+
+function parseArgs(argv) {
+  const opts = { port: 4000, fixtures: 'fixtures/demo', latency: 0, fail: [], rateLimit: 0 };
+  for (let i = 0; i < argv.length; i++) {
+    const value = argv[i + 1];
+    switch (argv[i]) {
+      case '--port':       opts.port      = Number(value); i++; break;
+      case '--fixtures':   opts.fixtures  = value;         i++; break;
+      case '--latency':    opts.latency   = Number(value); i++; break;
+      case '--fail':       opts.fail      = value.split(','); i++; break;
+      case '--rate-limit': opts.rateLimit = Number(value); i++; break;
+      default:
+        console.error(`Unknown option: ${argv[i]}`);
+        process.exit(1);
+    }
+  }
+  return opts;
+}
+
+// ---- Fixtures ----------------------------------------------
+
+/**
+ * Load every endpoint of a fixture directory into memory.
+ *
+ * @returns {Map<string, { body: string, etag: string }>} endpoint name → response
+ */
+function loadFixtures(dir) {
+  const manifestPath = path.join(dir, 'manifest.json');
+  const manifest     = fs.existsSync(manifestPath) ? JSON.parse(fs.readFileSync(manifestPath, 'utf8')) : {};
+  const offsetMs     = Date.now() - Date.parse(manifest.recordedAt ?? '');
+
+  const responses = new Map();
+  for (const file of fs.readdirSync(dir)) {
+    if (!file.endsWith('.json') || file === 'manifest.json') continue;
+    const raw  = JSON.parse(fs.readFileSync(path.join(dir, file), 'utf8'));
+    const body = JSON.stringify(isNaN(offsetMs) ? raw : rebaseTimes(raw, offsetMs));
+    const etag = `"${crypto.createHash('sha1').update(body).digest('hex').slice(0, 16)}"`;
+    responses.set(path.basename(file, '.json'), { body, etag });
+  }
+  return { manifest, responses };
+}
+
+// ---- Server ------------------------------------------------
+
+function send(res, status, headers, body = '') {
+  res.writeHead(status, { ...CORS_HEADERS, ...headers });
+  res.end(body);
+}
+
+/** Serve a file from the repository root (the app itself). */
+function serveStatic(urlPath, res) {
+  let decoded;
+  try {
+    decoded = decodeURIComponent(urlPath === '/' ? '/index.html' : urlPath);
+  } catch {
+    return send(res, 400, { 'Content-Type': 'text/plain' }, 'Bad request');
+  }
+
+  const file = path.normalize(path.join(ROOT, decoded));
+  if (!file.startsWith(ROOT + path.sep)) return send(res, 403, {}, 'Forbidden');
+
+  fs.readFile(file, (err, data) => {
+    if (err) return send(res, 404, { 'Content-Type': 'text/plain' }, 'Not found');
+    send(res, 200, { 'Content-Type': MIME[path.extname(file)] ?? 'application/octet-stream' }, data);
+  });
+}
+
+function main() {
+  const opts = parseArgs(process.argv.slice(2));
+  const dir  = path.resolve(ROOT, opts.fixtures);
+  const { manifest, responses } = loadFixtures(dir);
+
+  // Timestamps of recent API requests, for --rate-limit
+  const recent = [];
+
+  const server = http.createServer((req, res) => {
+    const { pathname } = new URL(req.url, 'http://localhost');
+
+    if (req.method === 'OPTIONS') return send(res, 204, {});
+    if (!pathname.startsWith('/api/')) return serveStatic(pathname, res);
+
+    const name  = pathname.replace(/\/+$/, '').split('/').pop();
+    const entry = responses.get(name);
+
+    setTimeout(() => {
+      if (opts.rateLimit) {
+        const now = Date.now();
+        while (recent.length && now - recent[0] > 60_000) recent.shift();
+        if (recent.length >= opts.rateLimit) {
+          const retryAfter = Math.ceil((60_000 - (now - recent[0])) / 1000);
+          console.log(`429 ${pathname} (retry after ${retryAfter}s)`);
+          return send(res, 429, { 'Retry-After': String(retryAfter) });
+        }
+        recent.push(now);
+      }
+
+      if (opts.fail.includes(name)) {
+        console.log(`503 ${pathname} (--fail)`);
+        return send(res, 503, {});
+      }
+      if (!entry) {
+        console.log(`404 ${pathname}`);
+        return send(res, 404, { 'Content-Type': 'application/json' }, '{"error":"not found"}');
+      }
+      if (req.headers['if-none-match'] === entry.etag) {
+        console.log(`304 ${pathname}`);
+        return send(res, 304, { ETag: entry.etag });
+      }
+      console.log(`200 ${pathname}`);
+      send(res, 200, { 'Content-Type': MIME['.json'], ETag: entry.etag }, entry.body);
+    }, opts.latency);
+  });
+
+  server.listen(opts.port, () => {
+    console.log(`Mock API serving ${path.relative(ROOT, dir)}${manifest.name ? ` — ${manifest.name}` : ''}`);
+    console.log(`Open http://localhost:${opts.port}/?api=http://localhost:${opts.port}`);
+  });
+}
+
+main();